@@ -0,0 +1,369 @@
+/* assets/admin.js
+    Staff dashboard (admin/index.html) — English only, like the staff emails
+    - Sign-in: the password is ADMIN_TOKEN; kept in sessionStorage ('quirk_admin') and sent as a Bearer token
+    - Lead list with date / status / make / consultant / source filters (GET /api/leads)
+    - Lead detail: customer, vehicle + decoded VIN specs, offer, condition answers, photos and a history
+      timeline (GET /api/leads/<id>; #<id> in the URL so back/refresh keep the lead open)
+    - Offer form on the lead: save or revise the appraiser's offer and optionally email it to the customer
+      (POST /api/leads/<id>/offer)
+    - Metrics for the date range: leads per day, VIN decode rate, photo rate, conversion by utmSource
+      (GET /api/reports/dashboard)
+*/
+(() => {
+  const main = document.getElementById("adminMain");
+  const login = document.getElementById("adminLogin");
+  if (!main || !login) return;
+
+  const TOKEN_KEY = "quirk_admin";
+  const DEFAULT_DAYS = 30;
+
+  const $ = (id) => document.getElementById(id);
+  const esc = (s) =>
+    String(s ?? "").replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+  const usd = (n) => `$${Math.round(Number(n) || 0).toLocaleString("en-US")}`;
+  const pct = (n) => (n === null || n === undefined ? "—" : `${n}%`);
+  const when = (iso) => (iso ? new Date(iso).toLocaleString("en-US", { dateStyle: "medium", timeStyle: "short" }) : "");
+  const day = (d) => d.toISOString().slice(0, 10);
+  const vehicleOf = (l) => [l.year, l.make, l.model].filter(Boolean).join(" ");
+
+  let token = "";
+  try { token = sessionStorage.getItem(TOKEN_KEY) || ""; } catch { /* private mode — sign in each time */ }
+
+  const say = (text) => { $("adminStatus").textContent = text; };
+
+  function showLogin(message = "") {
+    token = "";
+    try { sessionStorage.removeItem(TOKEN_KEY); } catch { /* ignore */ }
+    main.hidden = true;
+    login.hidden = false;
+    $("adminLoginStatus").textContent = message;
+    $("adminPassword").focus();
+  }
+
+  /** GET a staff route, or POST it `payload` as JSON; a 401 sends the user back to sign-in */
+  async function api(path, payload) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), 20000);
+    try {
+      const res = await fetch(path, {
+        ...(payload ? { method: "POST", body: JSON.stringify(payload) } : {}),
+        headers: {
+          Accept: "application/json",
+          ...(payload ? { "Content-Type": "application/json" } : {}),
+          Authorization: `Bearer ${token}`,
+        },
+        cache: "no-store",
+        signal: controller.signal,
+      });
+      const body = await res.json().catch(() => ({}));
+      if (res.status === 401) {
+        showLogin("Wrong password — try again.");
+        throw new Error("Unauthorized");
+      }
+      if (!res.ok || !body.ok) throw new Error(body.error || `HTTP ${res.status}`);
+      return body;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /* -------------------- Filters -------------------- */
+  function filters() {
+    const q = {};
+    for (const el of $("adminFilters").elements) {
+      if (el.name && el.value.trim()) q[el.name] = el.value.trim();
+    }
+    return q;
+  }
+
+  function defaultDates() {
+    const today = new Date();
+    if (!$("fTo").value) $("fTo").value = day(today);
+    if (!$("fFrom").value) $("fFrom").value = day(new Date(today.getTime() - (DEFAULT_DAYS - 1) * 86400000));
+  }
+
+  /* -------------------- Metrics -------------------- */
+  function renderMetrics(m) {
+    const cards = [
+      ["Leads", String(m.leads), `${m.repeats} repeat submission${m.repeats === 1 ? "" : "s"} not counted`],
+      ["VIN decode rate", pct(m.decode.rate), `${m.decode.decoded} of ${m.decode.withVin} leads with a VIN`],
+      ["Photo rate", pct(m.photos.rate), `${m.photos.withPhotos} of ${m.leads} leads sent photos`],
+      ["Accepted offers", String(m.conversion.reduce((n, r) => n + r.accepted, 0)), "customers who accepted on the offer page"],
+    ];
+    $("metricCards").innerHTML = cards.map(([label, value, hint]) => `
+      <div class="metric"><div class="hint">${esc(label)}</div><div class="value">${esc(value)}</div><p class="hint">${esc(hint)}</p></div>
+    `).join("");
+
+    const peak = Math.max(1, ...m.perDay.map((d) => d.leads));
+    $("perDay").innerHTML = m.perDay
+      .map((d) => `<span style="height:${Math.max(2, (d.leads / peak) * 100)}%" title="${esc(`${d.day}: ${d.leads}`)}"></span>`)
+      .join("");
+    $("perDay").setAttribute("aria-label", `Leads per day, ${m.from} to ${m.to}`);
+    $("perDayAxis").innerHTML = `<span>${esc(m.from)}</span><span>leads per day (peak ${peak})</span><span>${esc(m.to)}</span>`;
+
+    $("conversionRows").innerHTML = m.conversion.length
+      ? m.conversion.map((r) => `
+        <tr><td>${esc(r.source)}</td><td class="num">${r.leads}</td><td class="num">${r.offered}</td><td class="num">${r.accepted}</td><td class="num">${esc(pct(r.rate))}</td></tr>
+      `).join("")
+      : `<tr><td colspan="5">No leads in this range.</td></tr>`;
+  }
+
+  /* -------------------- List -------------------- */
+  function renderList(leads) {
+    $("leadCount").textContent = `Leads (${leads.length}${leads.length === 500 ? "+" : ""})`;
+    $("leadRows").innerHTML = leads.length
+      ? leads.map((l) => `
+        <tr data-id="${esc(l.id)}" tabindex="0">
+          <td>${esc(when(l.createdAt))}</td>
+          <td>${esc(l.id)}</td>
+          <td>${esc(l.name || l.email || l.phone || "")}</td>
+          <td>${esc(vehicleOf(l))}</td>
+          <td><span class="status-pill ${esc(l.status)}">${esc(l.status)}</span>${l.offerAmount ? ` ${esc(usd(l.offerAmount))}` : ""}</td>
+          <td>${esc(l.consultant || "")}</td>
+          <td>${esc(l.source || "")}</td>
+          <td class="num">${l.photoCount || 0}</td>
+        </tr>
+      `).join("")
+      : `<tr><td colspan="8">No leads match these filters.</td></tr>`;
+  }
+
+  async function loadList() {
+    defaultDates();
+    const q = filters();
+    say("Loading…");
+    try {
+      const range = new URLSearchParams({ from: q.from, to: q.to });
+      const [list, metrics] = await Promise.all([
+        api(`/api/leads?${new URLSearchParams({ ...q, limit: "500" })}`),
+        api(`/api/reports/dashboard?${range}`),
+      ]);
+      renderList(list.leads);
+      renderMetrics(metrics);
+      say("");
+    } catch (e) {
+      if (e.message !== "Unauthorized") say(`Could not load leads: ${e.message}`);
+    }
+  }
+
+  /* -------------------- Detail -------------------- */
+  const SPEC_LABELS = [
+    ["vinBodyClass", "Body class"], ["vinDriveType", "Drivetrain"], ["vinDisplacementL", "Engine (L)"],
+    ["vinCylinders", "Cylinders"], ["vinFuelType", "Fuel"], ["vinTransmission", "Transmission"], ["vinPlantCountry", "Plant country"],
+  ];
+  const CONDITION_LABELS = [
+    ["title", "Title"], ["keys", "Keys"], ["owners", "Owners"], ["accident", "Accident"], ["accidentRepair", "Accident repair"],
+    ["warnings", "Warning lights"], ["mech", "Mechanical"], ["cosmetic", "Cosmetic"], ["interior", "Interior"],
+    ["mods", "Modifications"], ["smells", "Smells"], ["service", "Service"], ["tires", "Tires"], ["brakes", "Brakes"], ["wear", "Other wear"],
+  ];
+
+  const dl = (rows) => `<dl>${rows.filter(([, v]) => v !== undefined && v !== null && String(v).trim() !== "")
+    .map(([k, v]) => `<dt>${esc(k)}</dt><dd>${esc(v)}</dd>`).join("") || "<dt>—</dt><dd></dd>"}</dl>`;
+  const block = (title, html) => `<div><h3>${esc(title)}</h3>${html}</div>`;
+
+  let conditionQuestions = null; // assets/condition-questions.js, for the follow-up answers' wording
+  const loadConditionQuestions = () =>
+    conditionQuestions
+      ? Promise.resolve(conditionQuestions)
+      : import("/assets/condition-questions.js").then((m) => (conditionQuestions = m)).catch(() => null);
+
+  /** Everything that happened to the lead, oldest first */
+  function historyOf(r) {
+    const items = [{ at: r.createdAt, text: `Received via ${r.source || "form"}${r.duplicateOf ? ` (repeat of ${r.duplicateOf})` : ""}` }];
+    for (const h of r.statusHistory || []) {
+      if (h.status === "new") continue;
+      items.push({ at: h.at, text: `Status → ${h.status}${h.amount ? ` (${usd(h.amount)})` : ""}${h.by ? ` by ${h.by}` : ""}` });
+    }
+    for (const m of r.messages || []) {
+      const what = m.channel === "offer" && m.action ? `Offer page (${m.action})` : m.channel === "sms" ? "Text" : m.channel;
+      items.push({ at: m.at, text: `${m.direction === "in" ? "From customer" : "To customer"} — ${what}: ${m.body}` });
+    }
+    const delivery = r.delivery || {};
+    const stateOf = (c) => (c.status === "pending" ? "queued"
+      : c.skipped ? `skipped (${c.skipped})`
+      : c.ok ? "sent"
+      : `failed${c.error ? ` (${c.error})` : ""}${c.status === "retrying" ? ", retrying" : c.status === "dead" ? ", parked in the outbox" : ""}`);
+    const channels = [
+      ...Object.entries(delivery.channels || {}).map(([name, c]) => [`Staff ${name}`, c]),
+      ["Customer confirmation email", delivery.customer],
+      ["Customer confirmation text", delivery.customerSms],
+      ["ADF post", (delivery.adf || {}).post],
+      ["ADF email", (delivery.adf || {}).email],
+    ];
+    for (const [label, c] of channels) {
+      if (c) items.push({ at: c.at || r.createdAt, text: `${label}: ${stateOf(c)}` });
+    }
+    return items.sort((a, b) => String(a.at).localeCompare(String(b.at)));
+  }
+
+  /** Appraiser's offer: saved (appraised) or also emailed (offered); locked once the customer answers */
+  function offerForm(r) {
+    const offer = r.offer || {};
+    const status = r.status || "new";
+    if (status === "accepted" || status === "declined") {
+      return `<p class="hint">The customer ${esc(status)} this offer, so it can't be changed.</p>`;
+    }
+    const field = (id, label, input) => `<label for="${id}">${esc(label)}</label>${input}`;
+    const text = (name, value) => `<textarea id="offer-${name}" name="${name}" rows="2">${esc(value)}</textarea>`;
+    return `
+      <form class="offer-form" data-id="${esc(r.id)}" id="offerForm">
+        ${field("offer-amount", "Offer (USD)", `<input id="offer-amount" min="1" name="amount" required step="1" type="number" value="${esc(offer.amount || "")}"/>`)}
+        ${field("offer-expiresAt", "Expires", `<input id="offer-expiresAt" name="expiresAt" type="date" value="${esc(String(offer.expiresAt || "").slice(0, 10))}"/>`)}
+        <p class="hint">Leave empty for the default (OFFER_TTL_DAYS).</p>
+        ${field("offer-appraiser", "Appraiser", `<input id="offer-appraiser" name="appraiser" type="text" value="${esc(offer.appraiser || "")}"/>`)}
+        ${field("offer-notes", "Internal notes", text("notes", offer.notes || ""))}
+        ${field("offer-message", "Note to customer", text("message", offer.message || ""))}
+        <div class="checkbox-row">
+          <input id="offer-send" name="send" type="checkbox"${r.lead && r.lead.email ? "" : " disabled"}/>
+          <label for="offer-send">${r.lead && r.lead.email ? "Email the offer to the customer" : "No customer email — save only"}</label>
+        </div>
+        <button type="submit">${status === "new" ? "Save offer" : "Save revised offer"}</button>
+        <p aria-live="polite" class="hint" id="offerStatus"></p>
+      </form>`;
+  }
+
+  async function submitOffer(form) {
+    const id = form.dataset.id;
+    const f = form.elements;
+    const send = f.send.checked;
+    const button = form.querySelector("button[type=submit]");
+    button.disabled = true;
+    $("offerStatus").textContent = send ? "Saving and emailing…" : "Saving…";
+    try {
+      const saved = await api(`/api/leads/${encodeURIComponent(id)}/offer`, {
+        amount: f.amount.value,
+        expiresAt: f.expiresAt.value,
+        appraiser: f.appraiser.value.trim(),
+        notes: f.notes.value.trim(),
+        message: f.message.value.trim(),
+        send,
+      });
+      const { lead } = await api(`/api/leads/${encodeURIComponent(id)}`);
+      await renderDetail(lead);
+      $("offerStatus").textContent = `${send ? "Offer emailed to the customer" : "Offer saved, not sent yet"} — status: ${saved.status}.`;
+      loadList();
+    } catch (e) {
+      button.disabled = false;
+      if (e.message !== "Unauthorized") $("offerStatus").textContent = `Could not save the offer: ${e.message}`;
+    }
+  }
+
+  async function renderDetail(r) {
+    const l = r.lead || {};
+    const f = r.fields || {};
+    const cq = await loadConditionQuestions();
+    const report = cq && r.conditionReport ? cq.conditionReportRows(r.conditionReport) : [];
+
+    const photos = r.photos || [];
+    const gallery = photos.length
+      ? `<div class="admin-gallery">${photos.map((p) => {
+        const caption = esc(p.label || p.filename || p.field);
+        const note = p.note ? `<br>${esc(p.note)}` : "";
+        if (!p.url) return `<a>${caption} (not stored)${note}</a>`;
+        const image = String(p.mimetype || "").startsWith("image/");
+        return `<a href="${esc(p.url)}" rel="noopener" target="_blank">${image ? `<img alt="${caption}" loading="lazy" src="${esc(p.thumbUrl || p.url)}">` : "📄 "}${caption}${note}</a>`;
+      }).join("")}</div>`
+      : "<p class=\"hint\">No photos.</p>";
+
+    const offer = r.offer || {};
+    $("detailTitle").textContent = `${l.name || "Lead"} — ${vehicleOf(l)} (${r.id})`;
+    $("detailBody").innerHTML = [
+      block("Customer", dl([
+        ["Name", l.name], ["Email", l.email], ["Phone", l.phone], ["Language", l.lang],
+        ["Consultant", (r.routing && r.routing.consultant && r.routing.consultant.name) || f.salesConsultant],
+        ["Routed to", ((r.routing && r.routing.to) || []).join(", ")],
+        ["Source", [l.utmSource || f.utmSource, l.utmMedium || f.utmMedium, l.utmCampaign || f.utmCampaign].filter(Boolean).join(" / ")],
+        ["Referrer", l.referrer || f.referrer],
+      ])),
+      block("Vehicle", dl([
+        ["VIN", l.vin], ["Vehicle", vehicleOf(l)], ["Trim", l.trim],
+        ["Mileage", l.mileage ? Number(l.mileage).toLocaleString("en-US") : ""],
+        ["Colors", [l.extColor, l.intColor].filter(Boolean).join(" / ")],
+        ...SPEC_LABELS.map(([k, label]) => [label, f[k]]),
+      ])),
+      block("Value & offer", dl([
+        ["Status", r.status],
+        ["Preliminary range", r.estimate ? `${usd(r.estimate.low)} – ${usd(r.estimate.high)}` : "not in the value table"],
+        ["Payoff", l.payoff ? `${usd(l.payoff)}${l.lienholder ? ` (${l.lienholder})` : ""}` : ""],
+        ["Equity", r.equity && r.equity.position !== "unknown" ? `${usd(r.equity.point)} (${r.equity.position})` : ""],
+        ["Offer", offer.amount ? usd(offer.amount) : ""],
+        ["Expires", when(offer.expiresAt)],
+        ["Appraiser", offer.appraiser], ["Internal notes", offer.notes], ["Note to customer", offer.message],
+      ])),
+      block("Offer", offerForm(r)),
+      block("Condition", dl([
+        ...CONDITION_LABELS.map(([k, label]) => [label, f[k]]),
+        ...report.flatMap((g) => g.rows.map(([q, a]) => [`${g.group}: ${q}`, a])),
+      ])),
+      block(`Photos (${photos.length})`, gallery),
+      block("History", `<ol class="history">${historyOf(r).map((h) => `<li><time>${esc(when(h.at))}</time>${esc(h.text)}</li>`).join("")}</ol>`),
+    ].join("");
+
+    $("adminList").hidden = true;
+    $("adminMetrics").hidden = true;
+    $("adminDetail").hidden = false;
+  }
+
+  async function openLead(id) {
+    say("Loading…");
+    try {
+      const { lead } = await api(`/api/leads/${encodeURIComponent(id)}`);
+      await renderDetail(lead);
+      window.scrollTo(0, 0);
+      say("");
+    } catch (e) {
+      if (e.message !== "Unauthorized") say(`Could not open ${id}: ${e.message}`);
+    }
+  }
+
+  function closeLead() {
+    $("adminDetail").hidden = true;
+    $("adminList").hidden = false;
+    $("adminMetrics").hidden = false;
+  }
+
+  /** #<lead id> opens that lead; no hash shows the list */
+  function route() {
+    const id = decodeURIComponent(location.hash.slice(1));
+    if (/^[0-9]{8}-[A-Z0-9]{6}$/.test(id)) openLead(id);
+    else closeLead();
+  }
+
+  /* -------------------- Wiring -------------------- */
+  function start() {
+    login.hidden = true;
+    main.hidden = false;
+    loadList();
+    route();
+  }
+
+  login.addEventListener("submit", (e) => {
+    e.preventDefault();
+    token = $("adminPassword").value.trim();
+    $("adminPassword").value = "";
+    if (!token) return;
+    try { sessionStorage.setItem(TOKEN_KEY, token); } catch { /* ignore */ }
+    start();
+  });
+  $("adminSignOut").addEventListener("click", () => showLogin());
+  $("adminFilters").addEventListener("submit", (e) => {
+    e.preventDefault();
+    loadList();
+  });
+
+  const rowId = (e) => { const tr = e.target.closest("tr[data-id]"); return tr ? tr.dataset.id : ""; };
+  $("leadRows").addEventListener("click", (e) => { const id = rowId(e); if (id) location.hash = id; });
+  $("leadRows").addEventListener("keydown", (e) => {
+    const id = rowId(e);
+    if (id && (e.key === "Enter" || e.key === " ")) { e.preventDefault(); location.hash = id; }
+  });
+  $("detailBody").addEventListener("submit", (e) => {
+    if (e.target.id !== "offerForm") return;
+    e.preventDefault();
+    submitOffer(e.target);
+  });
+  $("detailBack").addEventListener("click", () => { history.pushState(null, "", location.pathname); closeLead(); });
+  window.addEventListener("hashchange", route);
+
+  if (token) start();
+  else showLogin();
+})();
@@ -1,11 +1,21 @@
 /* assets/app.js
     Quirk Sight-Unseen Trade Tool — VIN decode + Netlify Forms submit
-    - VIN decode (NHTSA VPIC) prefills Year/Make/Model/Trim
+    - VIN decode (/api/vin → NHTSA vPIC, cached, offline fallback) prefills Year/Make/Model/Trim + hidden factory specs
+    - VIN check-digit (position 9) verification before decoding
     - Auto-decodes when VIN reaches 17 chars; also on button click
-    - Model loader for Make+Year (VPIC)
+    - Model loader for Make+Year (/api/models)
     - Case-insensitive select setting (adds missing option so value “sticks”)
-    - Spanish toggle using sessionStorage ('quirk_lang') so language resets per tab
+    - Locale files in assets/locales (en, es, pt-BR); live language switch, choice kept in sessionStorage ('quirk_lang')
     - Logo SVG injection + recolor
+    - Photo previews with remove buttons; client-side resize/re-encode; per-file/per-category/total limits
+    - Step-by-step wizard with per-step validation; localStorage autosave; emailed resume links (/api/drafts)
+    - Guided photo capture: named shots with silhouettes + completion meter; slot labels/notes sent as photoSlots
+    - Condition follow-ups: questions opened by earlier answers (assets/condition-questions.js), sent as conditionReport
+    - Submit via fetch, validated by the shared schema in assets/lead-schema.js (inline localized errors)
+    - Success page: reference number, vehicle + photo count, drop-off time picker with .ics download (/api/dropoff)
+    - Offer page: the appraiser's offer from /api/offers/<token> with accept / decline / ask a question
+    - Attribution: first/last-touch UTM + referrer and gclid/fbclid kept in localStorage ('quirk_attribution'); phoneRaw as E.164
+    - Bot checks: signed page-load token (/api/form-token) and the optional challenge widget
 */
 
 /* -------------------- Small utilities -------------------- */
@@ -27,6 +37,18 @@ async function fetchWithTimeout(resource, options = {}) {
   }
 }
 
+/** assets/lead-schema.js (shared with the server), loaded once on demand; resolves null if unavailable */
+let leadSchemaPromise = null;
+function loadLeadSchema() {
+  if (!leadSchemaPromise) {
+    leadSchemaPromise = import("/assets/lead-schema.js").catch((e) => {
+      console.error("Schema load failed:", e);
+      return null;
+    });
+  }
+  return leadSchemaPromise;
+}
+
 function validVin(v) {
   if (!v) return false;
   const s = String(v).trim().toUpperCase();
@@ -48,44 +70,47 @@ function setSelectValue(sel, val) {
   }
 }
 
+/** Fresh per-form key so the server can ignore double-clicks/resubmits of the same fill-out */
+function newIdempotencyKey() {
+  if (window.crypto && typeof crypto.randomUUID === "function") return crypto.randomUUID();
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+}
+
 function showToast(msg) {
   const t = $("#toast") || $("#modelStatus");
   if (t) { t.textContent = msg; }
 }
 
-/* -------------------- VIN Decode (robust) -------------------- */
-// Primary: DecodeVinValuesExtended; Fallback: DecodeVin
+/* -------------------- VIN Decode (via /api/vin) -------------------- */
+// The function proxies NHTSA vPIC with a cache and bundled fallbacks (netlify/functions/vehicle.js).
+// Factory specs come back keyed by these hidden input ids.
+const VIN_SPEC_FIELDS = [
+  "vinBodyClass", "vinDriveType", "vinDisplacementL", "vinCylinders",
+  "vinFuelType", "vinTransmission", "vinPlantCountry",
+];
+
 async function decodeVin(vin) {
-  const url1 = `https://vpic.nhtsa.dot.gov/api/vehicles/DecodeVinValuesExtended/${encodeURIComponent(vin)}?format=json`;
-  const try1 = await fetchWithTimeout(url1);
-  if (!try1.ok) throw new Error(`VIN decode failed (HTTP ${try1.status})`);
-  const js1 = await try1.json();
-  const r1 = js1 && js1.Results && js1.Results[0];
-  if (r1) {
-    const out = {
-      year: r1.ModelYear || r1.Model_Year,
-      make: r1.Make,
-      model: r1.Model,
-      trim: r1.Trim,
-    };
-    if (out.year || out.make || out.model || out.trim) return out;
-  }
-
-  // Fallback (rare)
-  const url2 = `https://vpic.nhtsa.dot.gov/api/vehicles/DecodeVin/${encodeURIComponent(vin)}?format=json`;
-  const try2 = await fetchWithTimeout(url2);
-  if (!try2.ok) throw new Error(`VIN fallback failed (HTTP ${try2.status})`);
-  const js2 = await try2.json();
-  const r2 = js2 && js2.Results || [];
-  const map = new Map(r2.map(x => [x.Variable, x.Value]));
+  const res = await fetchWithTimeout(`/api/vin/${encodeURIComponent(vin)}`);
+  if (!res.ok) throw new Error(`VIN decode failed (HTTP ${res.status})`);
+  const js = await res.json();
   return {
-    year: map.get("Model Year") || "",
-    make: map.get("Make") || "",
-    model: map.get("Model") || "",
-    trim: map.get("Trim") || "",
+    year: js.year || "",
+    make: js.make || "",
+    model: js.model || "",
+    trim: js.trim || "",
+    specs: js.specs || {},
+    source: js.source || "",
   };
 }
 
+/** Fill (or clear, with {}) the hidden factory-spec inputs */
+function setVinSpecs(specs = {}) {
+  for (const id of VIN_SPEC_FIELDS) {
+    const el = document.getElementById(id);
+    if (el) el.value = specs[id] || "";
+  }
+}
+
 /* -------------------- Models for Make+Year -------------------- */
 async function loadModelsFor(make, year) {
   const status = $("#modelStatus");
@@ -93,27 +118,24 @@ async function loadModelsFor(make, year) {
   if (!modelSel) return;
 
   // Reset options
-  modelSel.innerHTML = `<option value="" data-i18n="selectModel">Select Model</option>`;
+  modelSel.innerHTML = `<option value="" data-i18n="selectModel">${t("selectModel")}</option>`;
   if (status) status.textContent = "";
 
   if (!make || !year) return;
 
   try {
-    if (status) status.textContent = "Loading models…";
-    const url = `https://vpic.nhtsa.dot.gov/api/vehicles/GetModelsForMakeYear/make/${encodeURIComponent(make)}/modelyear/${encodeURIComponent(year)}?format=json`;
+    if (status) status.textContent = t("models.loading");
+    const url = `/api/models?make=${encodeURIComponent(make)}&year=${encodeURIComponent(year)}`;
     const res = await fetchWithTimeout(url);
     if (!res.ok) throw new Error(`HTTP ${res.status}`);
     const data = await res.json();
 
-    const list = (data.Results || [])
-      .map((r) => r.Model_Name)
-      .filter(Boolean)
-      .sort((a, b) => a.localeCompare(b));
+    const list = (data.models || []).filter(Boolean);
 
     for (const m of list) modelSel.add(new Option(m, m));
-    if (status) status.textContent = list.length ? "" : "No models found for that Make/Year.";
+    if (status) status.textContent = list.length ? "" : t("models.none");
   } catch (e) {
-    if (status) status.textContent = "Could not load models.";
+    if (status) status.textContent = t("models.failed");
     console.error("Model load failed:", e);
   }
 }
@@ -125,7 +147,9 @@ function populateYearsIfEmpty() {
 
   const thisYear = new Date().getFullYear();
   const min = thisYear - 30;
-  yearSel.add(new Option("Select Year", ""), undefined);
+  const placeholder = new Option(t("selectYear"), "");
+  placeholder.dataset.i18n = "selectYear";
+  yearSel.add(placeholder);
   for (let y = thisYear + 1; y >= min; y--) {
     yearSel.add(new Option(String(y), String(y)));
   }
@@ -140,8 +164,27 @@ function bootstrapCommonMakesIfEmpty() {
     "Jeep","Volkswagen","Subaru","Mazda","BMW","Mercedes-Benz","Audi","Dodge",
     "Chrysler","Buick","Cadillac","Lincoln","Volvo"
   ];
-  makeSel.add(new Option("Select Make", ""), undefined);
+  const placeholder = new Option(t("selectMake"), "");
+  placeholder.dataset.i18n = "selectMake";
+  makeSel.add(placeholder);
   for (const m of common) makeSel.add(new Option(m, m));
+
+  // Swap in the server's bundled catalog (works even when vPIC is down); keep any selection
+  fetchWithTimeout("/api/makes", { timeout: 5000 })
+    .then((res) => (res.ok ? res.json() : null))
+    .then((data) => {
+      const makes = data && data.makes;
+      if (!makes || !makes.length) return;
+      const have = new Set(Array.from(makeSel.options, (o) => o.value.toLowerCase()));
+      const extra = makes.filter((m) => !have.has(m.toLowerCase()));
+      for (const m of extra) makeSel.add(new Option(m, m));
+      // Re-sort the real makes (placeholders have value "" and stay on top)
+      const opts = Array.from(makeSel.options).filter((o) => o.value).sort((a, b) => a.text.localeCompare(b.text));
+      const current = makeSel.value;
+      opts.forEach((o) => makeSel.add(o));
+      makeSel.value = current;
+    })
+    .catch((e) => console.warn("Make list load failed:", e));
 }
 
 /* -------------------- Wire up events on DOM ready -------------------- */
@@ -170,17 +213,26 @@ document.addEventListener("DOMContentLoaded", () => {
   async function doDecode() {
     const vin = (vinInput && vinInput.value || "").trim().toUpperCase();
     if (!validVin(vin)) {
-      showToast("Enter a valid 17-character VIN.");
+      showToast(t("vin.invalid"));
       if (vinInput) vinInput.focus();
       return;
     }
 
-    const btnText = decodeBtn ? decodeBtn.textContent : "";
-    if (decodeBtn) { decodeBtn.disabled = true; decodeBtn.textContent = "Decoding…"; }
+    // Position-9 check digit — catch typos before they decode into the wrong car
+    const schema = await loadLeadSchema();
+    if (schema && !schema.vinCheckDigitOk(vin)) {
+      setVinSpecs({});
+      showFieldErrors({ vin: schema.validateLead({ vin }).errors.vin });
+      return;
+    }
+    clearFieldError("vin");
+
+    if (decodeBtn) { decodeBtn.disabled = true; decodeBtn.textContent = t("vin.decoding"); }
     showToast("");
 
     try {
-      const { year, make, model, trim } = await decodeVin(vin);
+      const { year, make, model, trim, specs, source } = await decodeVin(vin);
+      setVinSpecs(specs);
 
       if (year) setSelectValue("#year", year);
       if (make) setSelectValue("#make", make);
@@ -192,15 +244,18 @@ document.addEventListener("DOMContentLoaded", () => {
       if (trim && trimInput) trimInput.value = trim || "";
 
       if (!year && !make && !model && !trim) {
-        showToast("VIN decoded, but details are limited. Please fill fields manually.");
+        showToast(t("vin.limited"));
+      } else if (source === "local") {
+        showToast(t("vin.local"));
       } else {
         showToast("");
       }
     } catch (e) {
       console.error("VIN decode failed:", e);
-      showToast("Could not decode VIN. Please fill fields manually.");
+      setVinSpecs({});
+      showToast(t("vin.failed"));
     } finally {
-      if (decodeBtn) { decodeBtn.disabled = false; decodeBtn.textContent = btnText; }
+      if (decodeBtn) { decodeBtn.disabled = false; decodeBtn.textContent = t("decodeVinBtn"); }
     }
   }
 
@@ -213,6 +268,7 @@ document.addEventListener("DOMContentLoaded", () => {
       const v = (vinInput.value || "").toUpperCase().replace(/\s+/g, "");
       if (v !== window.__lastVin) {
         window.__lastVin = v;
+        setVinSpecs({}); // specs belong to the previous VIN
         if (validVin(v)) doDecode();
       }
     }, 300));
@@ -252,98 +308,1343 @@ document.addEventListener("DOMContentLoaded", () => {
   }
 })();
 
-/* -------------------- Full i18n: English <-> Spanish -------------------- */
-(function i18nFull(){
-  const LANG_KEY = "quirk_lang";
-  const STORAGE = window.sessionStorage; // per tab
-
-  const MAP_EN_ES = new Map([
-    ["title", "Tasación de intercambio sin inspección"],
-    ["welcome", "Bienvenido al programa de tasación sin inspección de Quirk Auto Dealers"],
-    ["aboutYou", "Cuéntenos sobre usted"],
-    ["instructions", "Complete este formulario con información precisa y completa sobre su vehículo. El valor de intercambio que le proporcionemos será válido siempre que la condición del vehículo coincida con sus respuestas."],
-    ["decodeVinBtn", "Decodificar VIN y autocompletar"],
-    ["clearBtn", "Borrar formulario"],
-    ["nameLabel", "Nombre completo"],
-    ["phoneLabel", "Número de teléfono"],
-    ["phoneHint", "Formato: (###) ###-####"],
-    ["emailLabel", "Correo electrónico"],
-    ["consultantLabel", "¿Quién es su asesor de ventas?"],
-    ["consultantPlaceholder", "¿Con quién ha estado trabajando?"],
-    
-    ["vinLabel", "VIN (obligatorio)"],
-    ["vinHint", "El VIN se escribe en mayúsculas automáticamente; las letras I, O, Q no son válidas."],
-    ["mileageLabel", "Kilometraje actual"],
-    ["yearLabel", "Año"],
-    ["makeLabel", "Marca"],
-    ["modelLabel", "Modelo"],
-    ["trimLabel", "Nivel de equipamiento (si se conoce)"],
-    ["extColorLabel", "Color exterior"],
-    ["intColorLabel", "Color interior"],
-    ["keysLabel", "Número de llaves incluidas"],
-    ["titleStatus", "Estado del título"],
-    ["ownersLabel", "Número de propietarios (estimado OK)"],
-    ["accidentLabel", "¿Ha estado el vehículo involucrado en un accidente?"],
-    ["accidentRepair", "Si es así, ¿fue reparado profesionalmente?"],
-    ["vehDetails", "Detalles del vehículo"],
-    ["vehCondition", "Cuéntenos sobre su vehículo"],
-    ["warnings", "¿Alguna luz de advertencia en el tablero?"],
-    ["mech", "Problemas mecánicos"],
-    ["cosmetic", "Problemas cosméticos"],
-    ["interior", "¿Interior limpio y sin daños?"],
-    ["mods", "¿Piezas o modificaciones no originales?"],
-    ["smells", "¿Olores inusuales?"],
-    ["service", "¿Mantenimientos al día?"],
-    ["tires", "Estado de los neumáticos"],
-    ["brakes", "Estado de los frenos"],
-    ["wearOther", "Otros elementos de desgaste (¿problemas?)"],
-    ["photos", "Fotos (opcional)"],
-    ["photosExterior", "Fotos del exterior"],
-    ["photosInterior", "Fotos del interior"],
-    ["photosDash", "Tablero / Odómetro"],
-    ["photosDamage", "Daños / defectos"],
-    ["photoHint", "Máx 10MB por archivo; 24 archivos en total."],
-    ["finalDisclaimerTitle", "Aviso final"],
-    ["finalDisclaimer", "Confirmo que la información proporcionada es correcta a mi leal saber y entender. Entiendo que el valor de tasación puede cambiar si la condición real del vehículo no coincide con los detalles anteriores."],
-    ["agreeLabel", "Acepto y confirmo"],
-    ["submit", "Obtener mi tasación"],
-    ["submitAnother", "Enviar otro vehículo"],
-    ["backToDealer", "Volver a Quirk Volkswagen MA"],
-    ["successTitle", "¡Gracias! - Quirk Volkswagen MA"],
-    ["successHeading", "¡Gracias!"],
-    ["successMessage", "Hemos recibido los detalles de su intercambio. Un especialista de Quirk Volkswagen MA se pondrá en contacto con usted en breve."]
-  ]);
-
-  function translateDoc(lang) {
-    if (lang !== "es") return;
-    document.querySelectorAll("[data-i18n]").forEach((el) => {
-      const key = el.getAttribute("data-i18n");
-      if (MAP_EN_ES.has(key)) {
-        const val = MAP_EN_ES.get(key);
-        if (el.tagName === "INPUT" || el.tagName === "TEXTAREA" || el.tagName === "SELECT") {
-          el.placeholder = val;
-        } else if (el.tagName === "TITLE") {
-          document.title = val;
-        } else {
-          el.textContent = val;
+/* -------------------- Success page: preliminary range -------------------- */
+(function showPreliminaryRange() {
+  const box = document.getElementById("prelimRange");
+  const out = document.getElementById("prelimRangeAmount");
+  if (!box || !out) return;
+
+  const params = new URLSearchParams(location.search);
+  const low = parseInt(params.get("low"), 10);
+  const high = parseInt(params.get("high"), 10);
+  if (!(low > 0 && high >= low)) return;
+
+  const usd = (n) => `$${n.toLocaleString("en-US")}`;
+  out.textContent = `${usd(low)} – ${usd(high)}`;
+  box.hidden = false;
+})();
+
+/* -------------------- i18n: locale files + live switching -------------------- */
+// Strings live in assets/locales/<code>.js. The HTML carries English plus data-i18n keys
+// (data-i18n-placeholder for placeholders); code looks its messages up with t("key").
+// <option>s only swap their label — each has a value attribute, so leads keep canonical answers.
+const LOCALES = { en: "English", es: "Español", "pt-BR": "Português" };
+const LANG_KEY = "quirk_lang"; // sessionStorage, so the language resets per tab
+const localeDicts = { en: {} };
+const localeLoads = {};
+let currentLocale = "en";
+
+const currentLang = () => currentLocale;
+
+function loadLocale(code) {
+  if (!localeLoads[code]) {
+    localeLoads[code] = import(`/assets/locales/${code}.js`)
+      .then((m) => (localeDicts[code] = m.default))
+      .catch((e) => {
+        console.error(`Locale ${code} load failed:`, e);
+        delete localeLoads[code]; // try again on the next switch
+        return null;
+      });
+  }
+  return localeLoads[code];
+}
+
+/** Message for `key` in the current locale (English fallback), {placeholders} filled from vars */
+function t(key, vars = {}) {
+  const tpl = (localeDicts[currentLocale] || {})[key] ?? localeDicts.en[key] ?? key;
+  return String(tpl).replace(/\{(\w+)\}/g, (_, k) => vars[k] ?? "");
+}
+
+/** Switch the page to a LOCALES code without reloading; fires "locale:change" for code-rendered UI */
+async function applyI18n(lang) {
+  const wanted = LOCALES[lang] ? lang : "en";
+  await Promise.all([loadLocale("en"), loadLocale(wanted)]);
+  currentLocale = localeDicts[wanted] ? wanted : "en";
+  try { sessionStorage.setItem(LANG_KEY, currentLocale); } catch { /* private mode */ }
+  document.documentElement.lang = currentLocale;
+
+  const known = (key) => key in (localeDicts[currentLocale] || {}) || key in localeDicts.en;
+  document.querySelectorAll("[data-i18n]").forEach((el) => {
+    const key = el.getAttribute("data-i18n");
+    if (!known(key)) return;
+    if (el.tagName === "TITLE") {
+      document.title = t(key);
+      return;
+    }
+    // An <option> without a value submits its text — pin the English text before translating it
+    if (el.tagName === "OPTION" && !el.hasAttribute("value")) el.setAttribute("value", el.value);
+    el.textContent = t(key);
+  });
+  document.querySelectorAll("[data-i18n-placeholder]").forEach((el) => {
+    const key = el.getAttribute("data-i18n-placeholder");
+    if (known(key)) el.placeholder = t(key);
+  });
+
+  // Sent with the lead (confirmation email language, staff see it on the lead)
+  const langField = document.getElementById("lang");
+  if (langField) langField.value = currentLocale;
+  const picker = document.getElementById("langSelect");
+  if (picker) picker.value = currentLocale;
+
+  document.dispatchEvent(new CustomEvent("locale:change", { detail: { lang: currentLocale } }));
+}
+
+// Resolves once the linked, saved or default English locale is applied
+const localeReady = (function initLocale() {
+  // ?lang= wins (the success page redirect carries the language the lead was submitted in)
+  let saved = new URLSearchParams(location.search).get("lang");
+  if (!LOCALES[saved]) {
+    try { saved = sessionStorage.getItem(LANG_KEY); } catch { /* private mode */ }
+  }
+
+  const picker = document.getElementById("langSelect");
+  if (picker) {
+    picker.innerHTML = "";
+    for (const [code, name] of Object.entries(LOCALES)) picker.add(new Option(name, code));
+    picker.value = LOCALES[saved] ? saved : "en";
+    picker.hidden = false;
+    picker.addEventListener("change", () => applyI18n(picker.value));
+  }
+  return applyI18n(saved || "en");
+})();
+
+/* -------------------- Success page: reference, summary, drop-off -------------------- */
+// trade-appraisal.js redirects here with ?ref=&vehicle=&photos=&lang= (see successResponse there).
+(function showSuccessSummary() {
+  const box = document.getElementById("successSummary");
+  if (!box) return;
+
+  const params = new URLSearchParams(location.search);
+  const ref = params.get("ref") || "";
+  const vehicle = (params.get("vehicle") || "").slice(0, 80);
+  const photos = parseInt(params.get("photos"), 10) || 0;
+  if (!ref && !vehicle && !params.has("photos")) return; // opened directly
+
+  if (/^\d{8}-[A-Z0-9]{6}$/.test(ref)) {
+    document.getElementById("successRef").textContent = ref;
+    document.getElementById("successRefBox").hidden = false;
+  }
+  if (vehicle) {
+    document.getElementById("successVehicle").textContent = vehicle;
+    document.getElementById("successVehicleRow").hidden = false;
+  }
+  const photoOut = document.getElementById("successPhotos");
+  const showPhotos = () => { photoOut.textContent = photos > 0 ? String(photos) : t("success.noPhotos"); };
+  localeReady.then(showPhotos);
+  document.addEventListener("locale:change", showPhotos);
+  box.hidden = false;
+})();
+
+// Drop-off times come from /api/dropoff (dealer hours, in the dealer's time zone);
+// the link downloads a .ics reminder for the chosen one — nothing is booked.
+(function dropoffPicker() {
+  const box = document.getElementById("dropoff");
+  const select = document.getElementById("dropoffSlot");
+  const link = document.getElementById("dropoffIcs");
+  if (!box || !select || !link) return;
+
+  const ref = new URLSearchParams(location.search).get("ref") || "";
+  let timeZone = "";
+
+  const updateLink = () => {
+    const q = new URLSearchParams({ start: select.value, lang: currentLang(), ...(ref ? { ref } : {}) });
+    link.href = `/api/dropoff/ics?${q}`;
+  };
+  const labelSlots = () => {
+    const fmt = new Intl.DateTimeFormat(currentLang(), {
+      timeZone, weekday: "long", month: "long", day: "numeric", hour: "numeric", minute: "2-digit",
+    });
+    for (const o of select.options) o.textContent = fmt.format(new Date(o.value));
+    updateLink();
+  };
+
+  Promise.all([
+    fetchWithTimeout("/api/dropoff", { timeout: 5000 }).then((res) => (res.ok ? res.json() : null)),
+    localeReady,
+  ])
+    .then(([data]) => {
+      if (!data || !data.slots || !data.slots.length) return;
+      timeZone = data.timeZone;
+      for (const start of data.slots) select.add(new Option(start, start));
+      labelSlots();
+      select.addEventListener("change", updateLink);
+      document.addEventListener("locale:change", labelSlots);
+      box.hidden = false;
+    })
+    .catch((e) => console.warn("Drop-off times unavailable:", e));
+})();
+
+/* -------------------- Offer page: appraiser's offer, accept / decline / question -------------------- */
+// offer/index.html?t=<token> — the link in the offer email (netlify/lib/offers.js).
+(function offerPage() {
+  const box = document.getElementById("offerBox");
+  const status = document.getElementById("offerStatus");
+  if (!box || !status) return;
+
+  const token = new URLSearchParams(location.search).get("t") || "";
+  const api = `/api/offers/${encodeURIComponent(token)}`;
+  let offer = null;
+  let note = "";   // last status message key, re-translated on language switch
+
+  const say = (key) => { note = key; status.textContent = key ? t(key) : ""; };
+  const render = () => {
+    if (!offer) return;
+    document.getElementById("offerIntro").textContent =
+      t(offer.name ? "offer.intro" : "offer.introNoName", { name: offer.name, vehicle: offer.vehicle });
+    document.getElementById("offerAmount").textContent = `$${Number(offer.amount).toLocaleString("en-US")}`;
+    const date = new Intl.DateTimeFormat(currentLang(), { weekday: "long", month: "long", day: "numeric" }).format(new Date(offer.expiresAt));
+    document.getElementById("offerExpires").textContent = t("offer.expires", { date });
+    if (offer.message) {
+      document.getElementById("offerMessageLabel").textContent = t("offer.messageLabel");
+      document.getElementById("offerMessage").textContent = offer.message;
+      document.getElementById("offerMessageBox").hidden = false;
+    }
+    const open = offer.status === "offered";
+    document.getElementById("offerActions").hidden = !open;
+    document.getElementById("offerQuestion").hidden = !open;
+    if (!open) say(`offer.${offer.status}`); // accepted | declined | expired
+    else if (note) say(note);
+    box.hidden = false;
+  };
+
+  async function send(action, message = "") {
+    const buttons = box.querySelectorAll("button");
+    buttons.forEach((b) => { b.disabled = true; });
+    try {
+      const res = await fetchWithTimeout(api, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ action, message }),
+      });
+      const data = await res.json().catch(() => ({}));
+      if (res.ok && data.offer) {
+        offer = data.offer;
+        if (action === "question") {
+          document.getElementById("offerQuestionText").value = "";
+          say("offer.questionSent");
         }
+        render();
+      } else if (res.status === 404 || res.status === 409) {
+        await load();
+      } else {
+        say("offer.failed");
       }
-    });
+    } catch {
+      say("offer.failed");
+    } finally {
+      buttons.forEach((b) => { b.disabled = false; });
+    }
   }
 
-  let lang = STORAGE.getItem(LANG_KEY);
-  if (!lang) { lang = "en"; STORAGE.setItem(LANG_KEY, lang); }
-  if (lang === "es") translateDoc("es");
+  async function load() {
+    if (!/^[A-Za-z0-9_-]{20,64}$/.test(token)) return say("offer.invalid");
+    try {
+      const res = await fetchWithTimeout(api, { timeout: 8000 });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok || !data.offer) return say(res.status === 404 ? "offer.invalid" : "offer.failed");
+      offer = data.offer;
+      say("");
+      render();
+    } catch {
+      say("offer.failed");
+    }
+  }
+
+  document.getElementById("offerAccept").addEventListener("click", () => send("accept"));
+  document.getElementById("offerDecline").addEventListener("click", () => {
+    if (window.confirm(t("offer.confirmDecline"))) send("decline");
+  });
+  document.getElementById("offerQuestion").addEventListener("submit", (e) => {
+    e.preventDefault();
+    const text = document.getElementById("offerQuestionText").value.trim();
+    if (!text) return say("offer.questionEmpty");
+    send("question", text);
+  });
+  document.addEventListener("locale:change", () => (offer ? render() : say(note)));
+
+  localeReady.then(() => {
+    say("offer.loading");
+    return load();
+  });
+})();
+
+/* -------------------- Photos: previews, compression, limits -------------------- */
+// Each file input keeps its own list; processed files are written back into input.files
+// (DataTransfer) so both the fetch submit and the native POST send exactly what's previewed.
+const PHOTO_PREVIEWS = {
+  photoExterior: "prevExterior",
+  photoInterior: "prevInterior",
+  photoDash: "prevDash",
+  photoDamage: "prevDamage",
+};
+
+const PHOTO_LIMITS = {
+  maxFileBytes: 10 * 1024 * 1024,  // after compression
+  maxTotal: 24,
+  perField: { photoExterior: 10, photoInterior: 6, photoDash: 1, photoDamage: 6 },
+  maxEdge: 2000,                   // px, long edge
+  jpegQuality: 0.82,
+};
+
+const photoState = {};    // field → [{ file, url, slot?, note? }]
+let photosPending = 0;    // submit waits while > 0
+let photoSlots = null;    // assets/photo-slots.js once the guided capture has loaded it
+
+const photoCount = () => Object.values(photoState).reduce((n, list) => n + list.length, 0);
+
+/** Decode with EXIF orientation applied (createImageBitmap, else an <img>) */
+async function decodeImage(file) {
+  if (window.createImageBitmap) {
+    try { return await createImageBitmap(file, { imageOrientation: "from-image" }); } catch { /* fall through */ }
+  }
+  const url = URL.createObjectURL(file);
+  try {
+    const img = new Image();
+    img.decoding = "async";
+    img.src = url;
+    await img.decode();
+    return img;
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
+
+/**
+ * Resize to PHOTO_LIMITS.maxEdge and re-encode as JPEG. Orientation is baked into the pixels
+ * and EXIF (incl. GPS) is dropped. Formats the browser can't decode go up unchanged.
+ */
+async function preparePhoto(file) {
+  let img;
+  try {
+    img = await decodeImage(file);
+  } catch {
+    return file;
+  }
+  const w0 = img.width || img.naturalWidth;
+  const h0 = img.height || img.naturalHeight;
+  const scale = Math.min(1, PHOTO_LIMITS.maxEdge / Math.max(w0, h0));
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.round(w0 * scale);
+  canvas.height = Math.round(h0 * scale);
+  canvas.getContext("2d").drawImage(img, 0, 0, canvas.width, canvas.height);
+  if (img.close) img.close();
+
+  const blob = await new Promise((resolve) => canvas.toBlob(resolve, "image/jpeg", PHOTO_LIMITS.jpegQuality));
+  if (!blob) return file;
+  const name = `${file.name.replace(/\.[^.]+$/, "") || "photo"}.jpg`;
+  return new File([blob], name, { type: "image/jpeg", lastModified: file.lastModified });
+}
 
-  const btn = document.getElementById("langToggle");
-  if (btn) {
+/** Mirror photoState[field] into the <input type=file> (and slot labels into #photoSlots) */
+function syncPhotoInput(field) {
+  syncPhotoSlots();
+  const input = document.getElementById(field);
+  if (!input || typeof DataTransfer === "undefined") return;
+  const dt = new DataTransfer();
+  for (const p of photoState[field] || []) dt.items.add(p.file);
+  input.files = dt.files;
+}
+
+/** Guided shots travel as JSON [{ field, filename, slot, note }] matched to files by field + filename */
+function syncPhotoSlots() {
+  const hidden = document.getElementById("photoSlots");
+  if (!hidden) return;
+  const list = [];
+  for (const [field, entries] of Object.entries(photoState)) {
+    for (const p of entries) {
+      if (p.slot) list.push({ field, filename: p.file.name, slot: p.slot, note: p.note || "" });
+    }
+  }
+  hidden.value = list.length ? JSON.stringify(list) : "";
+}
+
+function photoStatusEl(field) {
+  const grid = document.getElementById(PHOTO_PREVIEWS[field]);
+  if (!grid) return null;
+  let el = document.getElementById(`${field}Status`);
+  if (!el) {
+    el = document.createElement("div");
+    el.id = `${field}Status`;
+    el.className = "hint photo-status";
+    el.setAttribute("aria-live", "polite");
+    grid.insertAdjacentElement("afterend", el);
+  }
+  return el;
+}
+
+function setPhotoStatus(field, messages) {
+  const el = photoStatusEl(field);
+  if (el) el.textContent = messages.join(" ");
+}
+
+const fmtSize = (bytes) =>
+  bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(1)} MB` : `${Math.max(1, Math.round(bytes / 1024))} KB`;
+
+function renderPhotoPreviews(field) {
+  const grid = document.getElementById(PHOTO_PREVIEWS[field]);
+  if (!grid) return;
+  grid.innerHTML = "";
+  (photoState[field] || []).forEach((p, i) => {
+    const cell = document.createElement("div");
+    cell.className = "thumb";
+
+    const img = document.createElement("img");
+    img.src = p.url;
+    img.alt = p.file.name;
+    cell.appendChild(img);
+
+    const meta = document.createElement("div");
+    meta.className = "meta";
+    const label = p.slot && photoSlots ? photoSlots.slotLabel(p.slot, currentLang()) : "";
+    meta.textContent = label ? `${label} · ${fmtSize(p.file.size)}` : fmtSize(p.file.size);
+    cell.appendChild(meta);
+
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = "thumb-remove";
+    btn.setAttribute("aria-label", t("photo.remove"));
+    btn.textContent = "×";
     btn.addEventListener("click", () => {
-      const next = STORAGE.getItem(LANG_KEY) === "es" ? "en" : "es";
-      STORAGE.setItem(LANG_KEY, next);
-      location.reload();
+      const [gone] = photoState[field].splice(i, 1);
+      if (gone) URL.revokeObjectURL(gone.url);
+      syncPhotoInput(field);
+      renderPhotoPreviews(field);
+      setPhotoStatus(field, []);
     });
+    cell.appendChild(btn);
+
+    grid.appendChild(cell);
+  });
+  document.dispatchEvent(new CustomEvent("photos:change"));
+}
+
+/** Drop whatever photo currently fills a guided slot */
+function removeSlotPhoto(slot) {
+  for (const [field, entries] of Object.entries(photoState)) {
+    const i = entries.findIndex((p) => p.slot === slot);
+    if (i < 0) continue;
+    URL.revokeObjectURL(entries[i].url);
+    entries.splice(i, 1);
+    syncPhotoInput(field);
+    renderPhotoPreviews(field);
+    return;
   }
-})();
+}
+
+/**
+ * New picks for one input: filter, compress, enforce limits, preview.
+ * With `slot`, only the first file is used, it replaces that slot's photo and is renamed to the slot id.
+ * @returns {Promise<number>} photos added
+ */
+async function addPhotos(field, fileList, { slot = "", note = "" } = {}) {
+  let picked = Array.from(fileList || []);
+  const notes = [];
+  if (!picked.length) { syncPhotoInput(field); return 0; }
+  if (slot) {
+    picked = picked.slice(0, 1);
+    removeSlotPhoto(slot);
+  }
+
+  // Single-photo inputs (dash) swap the old photo for the new one
+  const input = document.getElementById(field);
+  if (input && !input.multiple) {
+    for (const p of photoState[field] || []) URL.revokeObjectURL(p.url);
+    photoState[field] = [];
+  }
+  const kept = photoState[field] || (photoState[field] = []);
+  let added = 0;
+
+  photosPending++;
+  setPhotoStatus(field, [t("photo.preparing")]);
+  try {
+    for (const original of picked) {
+      if (!/^image\//.test(original.type || "")) {
+        notes.push(t("photo.notImage", { name: original.name }));
+        continue;
+      }
+      if (kept.length >= PHOTO_LIMITS.perField[field]) {
+        notes.push(t("photo.fieldFull", { max: PHOTO_LIMITS.perField[field] }));
+        break;
+      }
+      if (photoCount() >= PHOTO_LIMITS.maxTotal) {
+        notes.push(t("photo.totalFull", { max: PHOTO_LIMITS.maxTotal }));
+        break;
+      }
+      let file = await preparePhoto(original);
+      if (file.size > PHOTO_LIMITS.maxFileBytes) {
+        notes.push(t("photo.tooBig", { name: original.name }));
+        continue;
+      }
+      if (slot) {
+        const ext = (file.name.match(/\.[^.]+$/) || [".jpg"])[0];
+        file = new File([file], `${slot}${ext}`, { type: file.type, lastModified: file.lastModified });
+      }
+      kept.push({ file, url: URL.createObjectURL(file), ...(slot ? { slot, note } : {}) });
+      added++;
+    }
+  } finally {
+    photosPending--;
+  }
+
+  syncPhotoInput(field);
+  renderPhotoPreviews(field);
+  setPhotoStatus(field, notes);
+  return added;
+}
+
+function resetPhotos() {
+  for (const field of Object.keys(PHOTO_PREVIEWS)) {
+    for (const p of photoState[field] || []) URL.revokeObjectURL(p.url);
+    photoState[field] = [];
+    syncPhotoInput(field);
+    renderPhotoPreviews(field);
+    setPhotoStatus(field, []);
+  }
+}
+
+document.addEventListener("DOMContentLoaded", () => {
+  for (const field of Object.keys(PHOTO_PREVIEWS)) {
+    const input = document.getElementById(field);
+    if (!input) continue;
+    photoState[field] = [];
+    // The input's own selection is replaced by our merged list as soon as we read it
+    input.addEventListener("change", () => {
+      const picked = Array.from(input.files || []);
+      const already = new Set((photoState[field] || []).map((p) => p.file));
+      addPhotos(field, picked.filter((f) => !already.has(f)));
+    });
+  }
+  // Slot labels and remove-button names follow the language
+  document.addEventListener("locale:change", () => {
+    for (const field of Object.keys(PHOTO_PREVIEWS)) if (photoState[field]) renderPhotoPreviews(field);
+  });
+});
+
+/* -------------------- Guided photo capture -------------------- */
+// One named shot at a time (front 3/4, sides, tires, odometer, VIN plate, damage + note).
+// Every shot goes through addPhotos() into its category input, tagged with the slot id.
+// Line-art silhouettes drawn inside the capture frame (viewBox 0 0 160 90)
+const WHEEL = (x, y, r = 9) => `<circle cx="${x}" cy="${y}" r="${r}"/><circle cx="${x}" cy="${y}" r="${r / 2.5}"/>`;
+const GUIDED_OVERLAYS = {
+  side: `<path d="M14 62 L14 50 Q16 44 28 42 L50 40 L66 26 Q70 23 78 23 L108 23 Q116 23 122 30 L132 40 L146 44 Q150 46 150 52 L150 62 Z"/><path d="M56 40 L70 28 L92 28 L92 40 Z M98 28 L116 28 L126 40 L98 40 Z"/>${WHEEL(40, 62)}${WHEEL(124, 62)}`,
+  front34: `<path d="M18 64 L18 50 Q20 44 30 42 L56 38 L70 24 L112 22 Q120 22 126 30 L136 42 L142 48 L142 64 Z"/><path d="M60 38 L72 27 L98 26 L98 38 Z"/><path d="M104 26 L118 26 L128 40 L104 40 Z"/><path d="M18 52 L34 52 M136 52 L142 52"/>${WHEEL(42, 64)}${WHEEL(118, 64, 7)}`,
+  rear34: `<path d="M142 64 L142 50 Q140 44 130 42 L104 38 L90 24 L48 22 Q40 22 34 30 L24 42 L18 48 L18 64 Z"/><path d="M100 38 L88 27 L62 26 L62 38 Z"/><path d="M56 26 L42 26 L32 40 L56 40 Z"/><path d="M142 52 L126 52 M24 52 L18 52"/>${WHEEL(118, 64)}${WHEEL(42, 64, 7)}`,
+  tire: `<circle cx="80" cy="45" r="36"/><circle cx="80" cy="45" r="22"/><circle cx="80" cy="45" r="6"/>${Array.from({ length: 12 }, (_, i) => {
+    const a = (i * Math.PI) / 6;
+    return `<path d="M${(80 + 30 * Math.cos(a)).toFixed(1)} ${(45 + 30 * Math.sin(a)).toFixed(1)} L${(80 + 36 * Math.cos(a)).toFixed(1)} ${(45 + 36 * Math.sin(a)).toFixed(1)}"/>`;
+  }).join("")}`,
+  odometer: `<path d="M40 62 A40 40 0 1 1 120 62"/><path d="M80 62 L104 34"/><circle cx="80" cy="62" r="4"/><rect x="58" y="68" width="44" height="12" rx="2"/><path d="M66 74 h4 M74 74 h4 M82 74 h4 M90 74 h4"/>`,
+  vin: `<rect x="22" y="28" width="116" height="34" rx="4"/><text x="32" y="51" font-size="14" font-family="monospace" stroke="none" fill="currentColor">VIN  1XXXXXXXXX</text>`,
+  damage: `<path d="M14 62 L14 50 Q16 44 28 42 L50 40 L66 26 Q70 23 78 23 L108 23 Q116 23 122 30 L132 40 L146 44 Q150 46 150 52 L150 62 Z"/>${WHEEL(40, 62)}${WHEEL(124, 62)}<circle cx="98" cy="50" r="14" stroke-dasharray="4 3"/>`,
+};
+
+const guided = { step: 0 };
+
+function loadPhotoSlots() {
+  return import("/assets/photo-slots.js").catch((e) => {
+    console.error("Photo slots load failed:", e);
+    return null;
+  });
+}
+
+const escHtml = (s) =>
+  String(s).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+
+const slotEntry = (slot) => {
+  for (const entries of Object.values(photoState)) {
+    const hit = entries.find((p) => p.slot === slot);
+    if (hit) return hit;
+  }
+  return null;
+};
+
+const damageEntries = () => (photoState[photoSlots.DAMAGE_SLOT.field] || []).filter((p) => p.slot);
+
+/** Next free damage slot id ("damage1"…) */
+function nextDamageSlot() {
+  const used = new Set(damageEntries().map((p) => p.slot));
+  for (let i = 1; i <= photoSlots.DAMAGE_SLOT.max; i++) {
+    const id = `${photoSlots.DAMAGE_SLOT.prefix}${i}`;
+    if (!used.has(id)) return id;
+  }
+  return "";
+}
+
+function renderGuided() {
+  const box = document.getElementById("guidedPhotos");
+  if (!box || !photoSlots) return;
+  const lang = currentLang();
+  const slots = photoSlots.PHOTO_SLOTS;
+  const required = slots.filter((s) => s.required);
+  const doneCount = required.filter((s) => slotEntry(s.id)).length;
+  const steps = slots.length + 1; // + damage step
+  guided.step = Math.min(Math.max(guided.step, 0), steps - 1);
+  const onDamage = guided.step === slots.length;
+  const slot = onDamage ? photoSlots.DAMAGE_SLOT : slots[guided.step];
+  const copy = slot[lang] || slot.en;
+  const entry = onDamage ? null : slotEntry(slot.id);
+  const pct = Math.round((doneCount / required.length) * 100);
+
+  box.innerHTML = `
+    <div class="guided-head">
+      <strong>${escHtml(t("guided.title"))}</strong>
+      <span class="hint">${escHtml(t("guided.meter", { done: doneCount, total: required.length }))}</span>
+    </div>
+    <div class="guided-meter" role="progressbar" aria-valuemin="0" aria-valuemax="${required.length}" aria-valuenow="${doneCount}"><span style="width:${pct}%"></span></div>
+    <p class="hint">${escHtml(t("guided.intro"))}</p>
+    <ol class="guided-chips">
+      ${slots.map((s, i) => `<li><button type="button" data-step="${i}" class="${[i === guided.step ? "current" : "", slotEntry(s.id) ? "done" : ""].join(" ").trim()}">${escHtml((s[lang] || s.en).label)}</button></li>`).join("")}
+      <li><button type="button" data-step="${slots.length}" class="${[onDamage ? "current" : "", damageEntries().length ? "done" : ""].join(" ").trim()}">${escHtml((photoSlots.DAMAGE_SLOT[lang] || photoSlots.DAMAGE_SLOT.en).label)}</button></li>
+    </ol>
+    <div class="guided-step">
+      <div class="guided-title">${escHtml(t("guided.step", { n: guided.step + 1, total: steps }))} · ${escHtml(copy.label)}</div>
+      <div class="guided-frame">
+        ${entry
+          ? `<img src="${entry.url}" alt="${escHtml(copy.label)}">`
+          : `<svg viewBox="0 0 160 90" aria-hidden="true" fill="none" stroke="currentColor" stroke-width="2" stroke-linejoin="round">${GUIDED_OVERLAYS[slot.overlay] || ""}</svg>`}
+      </div>
+      <p class="hint">${escHtml(copy.hint)}</p>
+      ${onDamage ? `
+        <ul class="guided-damage">
+          ${damageEntries().map((p) => `
+            <li data-slot="${escHtml(p.slot)}">
+              <img src="${p.url}" alt="">
+              <textarea rows="2" aria-label="${escHtml(t("guided.damageNote"))}"></textarea>
+              <button type="button" class="ghost-btn guided-remove">${escHtml(t("guided.remove"))}</button>
+            </li>`).join("")}
+        </ul>
+        ${nextDamageSlot() ? `<textarea rows="2" class="guided-note" placeholder="${escHtml(t("guided.damageNote"))}" aria-label="${escHtml(t("guided.damageNote"))}"></textarea>` : `<p class="hint">${escHtml(t("guided.damageFull"))}</p>`}
+      ` : ""}
+      <div class="guided-actions">
+        <button type="button" class="ghost-btn guided-back" ${guided.step === 0 ? "disabled" : ""}>${escHtml(t("guided.back"))}</button>
+        ${onDamage && !nextDamageSlot() ? "" : `
+        <label class="spanish-btn guided-shoot">
+          ${escHtml(t(`guided.${onDamage ? "addDamage" : entry ? "retake" : "take"}`))}
+          <input type="file" accept="image/*" capture="environment" class="visually-hidden">
+        </label>`}
+        ${onDamage ? "" : `<button type="button" class="ghost-btn guided-next">${escHtml(t(`guided.${entry ? "next" : "skip"}`))}</button>`}
+      </div>
+      <div class="hint guided-status" aria-live="polite">${onDamage ? escHtml(doneCount === required.length ? t("guided.done") : t("guided.noDamage")) : ""}</div>
+    </div>
+  `;
+
+  // Notes are user text — set as values, never through innerHTML
+  box.querySelectorAll(".guided-damage li").forEach((li) => {
+    const p = damageEntries().find((d) => d.slot === li.dataset.slot);
+    const ta = li.querySelector("textarea");
+    ta.value = (p && p.note) || "";
+    ta.addEventListener("input", () => { if (p) { p.note = ta.value.slice(0, 500); syncPhotoSlots(); } });
+    li.querySelector(".guided-remove").addEventListener("click", () => removeSlotPhoto(li.dataset.slot));
+  });
+
+  box.querySelectorAll(".guided-chips button").forEach((b) =>
+    b.addEventListener("click", () => { guided.step = Number(b.dataset.step); renderGuided(); }));
+  const back = box.querySelector(".guided-back");
+  if (back) back.addEventListener("click", () => { guided.step--; renderGuided(); });
+  const next = box.querySelector(".guided-next");
+  if (next) next.addEventListener("click", () => { guided.step++; renderGuided(); });
+
+  const shoot = box.querySelector(".guided-shoot input");
+  if (shoot) {
+    shoot.addEventListener("change", async () => {
+      const file = shoot.files && shoot.files[0];
+      if (!file) return;
+      const id = onDamage ? nextDamageSlot() : slot.id;
+      const noteEl = box.querySelector(".guided-note");
+      const note = onDamage && noteEl ? noteEl.value.trim().slice(0, 500) : "";
+      const added = await addPhotos(slot.field, [file], { slot: id, note });
+      if (added && !onDamage) guided.step++;
+      renderGuided();
+      if (!added) {
+        // Reuse the category's own message (too big, not an image, limit reached)
+        const why = document.getElementById(`${slot.field}Status`);
+        const status = document.querySelector("#guidedPhotos .guided-status");
+        if (why && status) status.textContent = why.textContent;
+      }
+    });
+  }
+}
+
+document.addEventListener("DOMContentLoaded", async () => {
+  const box = document.getElementById("guidedPhotos");
+  if (!box) return;
+  [photoSlots] = await Promise.all([loadPhotoSlots(), localeReady]);
+  if (!photoSlots) return; // plain inputs below still work
+  box.hidden = false;
+  renderGuided();
+  // Thumbnails removed below, Clear Form, etc. all land here
+  document.addEventListener("photos:change", () => {
+    if (!photoCount()) guided.step = 0;
+    renderGuided();
+  });
+  document.addEventListener("locale:change", renderGuided);
+});
+
+/* -------------------- Inline field errors -------------------- */
+// Error box goes after the input (or its wrapper for phone/checkbox rows)
+function errorAnchor(el) {
+  return el.closest(".checkbox-row") || el.closest(".phone-wrapper") || el;
+}
+
+const shownErrors = new Map(); // field → { en, es, … } so a language switch can re-word open errors
+
+function clearFieldError(name) {
+  shownErrors.delete(name);
+  const box = document.getElementById(`err-${name}`);
+  if (box) box.remove();
+  const form = document.getElementById("tradeForm");
+  const el = form && form.elements[name];
+  if (el && el.removeAttribute) el.removeAttribute("aria-invalid");
+}
+
+function clearFieldErrors() {
+  document.querySelectorAll(".field-error").forEach((box) => clearFieldError(box.id.replace(/^err-/, "")));
+}
+
+/** errors = { field: { en, es, … } } from lead-schema.js or the function's 422 body */
+function showFieldErrors(errors) {
+  const form = document.getElementById("tradeForm");
+  const lang = currentLang();
+  let first = null;
+
+  for (const [name, err] of Object.entries(errors || {})) {
+    const el = form && form.elements[name];
+    if (!el || !el.closest) continue;
+    clearFieldError(name);
+
+    const box = document.createElement("div");
+    box.className = "field-error";
+    box.id = `err-${name}`;
+    box.setAttribute("role", "alert");
+    box.textContent = err[lang] || err.en || "";
+    errorAnchor(el).insertAdjacentElement("afterend", box);
+    shownErrors.set(name, err);
+
+    el.setAttribute("aria-invalid", "true");
+    const described = (el.getAttribute("aria-describedby") || "").split(/\s+/).filter(Boolean);
+    if (!described.includes(box.id)) el.setAttribute("aria-describedby", [...described, box.id].join(" "));
+    if (!first) first = el;
+  }
+
+  if (first) {
+    revealStepFor(first);
+    first.scrollIntoView({ behavior: "smooth", block: "center" });
+    first.focus({ preventScroll: true });
+  }
+}
+
+document.addEventListener("locale:change", ({ detail }) => {
+  for (const [name, err] of shownErrors) {
+    const box = document.getElementById(`err-${name}`);
+    if (box) box.textContent = err[detail.lang] || err.en || "";
+  }
+});
+
+/* -------------------- Attribution: first/last touch, click ids -------------------- */
+// Each visit that carries campaign info (utm_* tags, gclid/fbclid, or a referrer from another site)
+// becomes the last touch; the first one seen is kept as the first touch. Direct visits change nothing,
+// so "clicked an ad, came back by typing the URL" still credits the ad. Reported by netlify/functions/reports.js.
+const ATTRIBUTION_KEY = "quirk_attribution";
+const ATTRIBUTION_DAYS = 90;
+const UTM_PARAMS = { utm_source: "source", utm_medium: "medium", utm_campaign: "campaign", utm_term: "term", utm_content: "content" };
+// touch key → [last-touch input, first-touch input]
+const TOUCH_INPUTS = {
+  source: ["utmSource", "firstUtmSource"], medium: ["utmMedium", "firstUtmMedium"],
+  campaign: ["utmCampaign", "firstUtmCampaign"], term: ["utmTerm", "firstUtmTerm"], content: ["utmContent", "firstUtmContent"],
+  referrer: ["referrer", "firstReferrer"], landingPage: ["landingPage", "firstLandingPage"],
+};
+const ATTRIBUTION_INPUTS = new Set([...Object.values(TOUCH_INPUTS).flat(), "firstSeenAt", "gclid", "fbclid"]);
+
+/** This visit as a touch: { source…content, gclid, fbclid, referrer, landingPage, at } */
+function currentTouch() {
+  const params = new URLSearchParams(location.search);
+  const cap = (v) => String(v || "").trim().slice(0, 500);
+  const touch = { at: new Date().toISOString() };
+  for (const [param, key] of Object.entries(UTM_PARAMS)) touch[key] = cap(params.get(param));
+  touch.gclid = cap(params.get("gclid"));
+  touch.fbclid = cap(params.get("fbclid"));
+
+  // Internal navigation (success page → "submit another") isn't a referral
+  let ref = "";
+  try { if (document.referrer && new URL(document.referrer).host !== location.host) ref = document.referrer; } catch { /* ignore */ }
+  touch.referrer = cap(ref);
+
+  // Landing page without unrelated query params (resume tokens stay out of lead emails)
+  const kept = new URLSearchParams();
+  for (const [k, v] of params) if (k in UTM_PARAMS || k === "gclid" || k === "fbclid") kept.set(k, v);
+  touch.landingPage = cap(location.origin + location.pathname + (kept.toString() ? `?${kept}` : ""));
+  return touch;
+}
+
+const hasCampaign = (touch) => Boolean(touch && (touch.source || touch.gclid || touch.fbclid || touch.referrer));
+
+function loadAttribution() {
+  try {
+    const a = JSON.parse(localStorage.getItem(ATTRIBUTION_KEY) || "null");
+    if (!a || !a.first || Date.now() - Date.parse(a.first.at) > ATTRIBUTION_DAYS * 86400 * 1000) return null;
+    return a;
+  } catch {
+    return null;
+  }
+}
+
+function saveAttribution(a) {
+  try { localStorage.setItem(ATTRIBUTION_KEY, JSON.stringify(a)); } catch { /* storage disabled — this visit still counts */ }
+  return a;
+}
+
+/** Record this visit; returns { first, last } */
+function recordTouch() {
+  const touch = currentTouch();
+  const stored = loadAttribution();
+  if (!stored) return saveAttribution({ first: touch, last: touch });
+  if (hasCampaign(touch)) return saveAttribution({ first: stored.first, last: touch });
+  return stored;
+}
+
+/** Copy { first, last } into the form's hidden inputs */
+function fillAttributionFields(a) {
+  const set = (id, v) => { const el = document.getElementById(id); if (el) el.value = v || ""; };
+  if (!a) return;
+  for (const [key, [lastId, firstId]] of Object.entries(TOUCH_INPUTS)) {
+    set(lastId, a.last[key]);
+    set(firstId, a.first[key]);
+  }
+  set("firstSeenAt", a.first.at);
+  // Click ids belong to the last touch (a later referral visit shouldn't be credited to an old ad click)
+  set("gclid", a.last.gclid);
+  set("fbclid", a.last.fbclid);
+}
+
+/**
+ * A resumed draft may come from another device: its first touch wins if it's older,
+ * and its last touch stands in for a direct visit here.
+ */
+function adoptDraftAttribution(values) {
+  const fromDraft = (which) => {
+    const touch = {};
+    for (const [key, ids] of Object.entries(TOUCH_INPUTS)) touch[key] = values[ids[which]] || "";
+    return touch;
+  };
+  const a = loadAttribution() || recordTouch();
+  const draftFirst = { ...fromDraft(1), at: values.firstSeenAt || "" };
+  const draftLast = { ...fromDraft(0), gclid: values.gclid || "", fbclid: values.fbclid || "", at: a.last.at };
+
+  const first = draftFirst.at && draftFirst.at < a.first.at ? draftFirst : a.first;
+  const last = !hasCampaign(a.last) && hasCampaign(draftLast) ? draftLast : a.last;
+  fillAttributionFields(saveAttribution({ first, last }));
+}
+
+document.addEventListener("DOMContentLoaded", () => {
+  if (!document.getElementById("tradeForm")) return;
+  fillAttributionFields(recordTouch());
+});
+
+/* -------------------- Bot checks: form token + optional challenge -------------------- */
+// /api/form-token (netlify/functions/form-token.js) stamps the page-load time; a challenge widget
+// (Turnstile / hCaptcha / reCAPTCHA) is added to the last step only when the site configures one.
+// If the call fails the form still submits — the server just has less to go on.
+const CHALLENGE_FIELDS = ["cf-turnstile-response", "h-captcha-response", "g-recaptcha-response"];
+
+document.addEventListener("DOMContentLoaded", async () => {
+  const tokenField = document.getElementById("formToken");
+  if (!tokenField) return;
+  try {
+    const res = await fetchWithTimeout("/api/form-token", { timeout: 8000 });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    const { token, challenge } = await res.json();
+    tokenField.value = token || "";
+
+    const box = document.getElementById("challenge");
+    if (challenge && box && !box.childElementCount) {
+      const widget = document.createElement("div");
+      widget.className = challenge.widgetClass;
+      widget.dataset.sitekey = challenge.siteKey;
+      box.appendChild(widget);
+      box.hidden = false;
+      const script = document.createElement("script");
+      script.src = challenge.script;
+      script.async = true;
+      script.defer = true;
+      document.head.appendChild(script);
+    }
+  } catch (e) {
+    console.warn("Form token unavailable:", e);
+  }
+});
+
+/** Fresh challenge after a failed attempt (each provider's global API) */
+function resetChallenge() {
+  for (const api of [window.turnstile, window.hcaptcha, window.grecaptcha]) {
+    try { if (api && typeof api.reset === "function") api.reset(); } catch { /* widget not rendered */ }
+  }
+}
+
+/* -------------------- Wizard: steps, autosave, resume links -------------------- */
+// Sections marked data-step become one-at-a-time steps (without JS the long form still shows).
+// Answers autosave to localStorage; "email me a link" stores a draft server-side (netlify/functions/drafts.js).
+const DRAFT_KEY = "quirk_draft";
+const DRAFT_MAX_AGE_DAYS = 14;
+// lienAccount: loan account numbers never sit in localStorage or an emailed draft
+const DRAFT_SKIP = new Set(["company", "photoSlots", "lang", "formToken", "smsConsent", "lienAccount", ...CHALLENGE_FIELDS]);
+const DRAFT_ANSWERS = ["name", "phone", "email", "vin", "mileage"]; // a draft needs at least one of these
+
+const wizard = { active: false, steps: [], index: 0, furthest: 0 };
+
+/** Current answers as { name: value } (no files, no honeypot) */
+function draftValues(form) {
+  const values = {};
+  for (const el of Array.from(form.elements)) {
+    if (!el.name || DRAFT_SKIP.has(el.name) || el.type === "file" || el.type === "submit" || el.type === "button") continue;
+    values[el.name] = el.type === "checkbox" ? (el.checked ? "on" : "") : el.value;
+  }
+  return values;
+}
+
+async function applyDraftValues(form, values) {
+  for (const [name, value] of Object.entries(values || {})) {
+    if (DRAFT_SKIP.has(name) || name === "model" || ATTRIBUTION_INPUTS.has(name)) continue;
+    const el = form.elements[name];
+    if (!el || el.type === "file") continue;
+    if (el.type === "checkbox") el.checked = Boolean(value);
+    else if (el.tagName === "SELECT") setSelectValue(el, value);
+    else el.value = value;
+  }
+  // Models depend on make + year
+  if (values.make && values.year) await loadModelsFor(values.make, values.year);
+  if (values.model) setSelectValue("#model", values.model);
+  syncLienFields();
+  restoreConditionAnswers();
+  adoptDraftAttribution(values);
+  window.__lastVin = String(values.vin || "").toUpperCase(); // don't re-decode (and wipe specs) on restore
+}
+
+const hasAnswers = (values) => DRAFT_ANSWERS.some((k) => String(values[k] || "").trim());
+
+function saveLocalDraft() {
+  const form = document.getElementById("tradeForm");
+  if (!form) return;
+  const values = draftValues(form);
+  try {
+    if (!hasAnswers(values)) { localStorage.removeItem(DRAFT_KEY); return; }
+    localStorage.setItem(DRAFT_KEY, JSON.stringify({ savedAt: Date.now(), step: wizard.index, values }));
+  } catch { /* storage full or disabled — autosave is best-effort */ }
+}
+const saveLocalDraftSoon = debounce(saveLocalDraft, 500);
+
+function clearLocalDraft() {
+  try { localStorage.removeItem(DRAFT_KEY); } catch { /* ignore */ }
+}
+
+function loadLocalDraft() {
+  try {
+    const d = JSON.parse(localStorage.getItem(DRAFT_KEY) || "null");
+    if (!d || !d.values || Date.now() - d.savedAt > DRAFT_MAX_AGE_DAYS * 86400 * 1000) return null;
+    return hasAnswers(d.values) ? d : null;
+  } catch {
+    return null;
+  }
+}
+
+function renderWizardProgress() {
+  const box = document.getElementById("wizardProgress");
+  if (!box) return;
+  box.innerHTML = "";
+  wizard.steps.forEach((step, i) => {
+    const li = document.createElement("li");
+    if (i < wizard.index) li.className = "done";
+    if (i === wizard.index) { li.className = "current"; li.setAttribute("aria-current", "step"); }
+
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.disabled = i > wizard.furthest;
+    const heading = step.querySelector("h2");
+    btn.innerHTML = `<span class="n">${i + 1}</span><span class="t"></span>`;
+    btn.querySelector(".t").textContent = heading ? heading.textContent.trim() : "";
+    btn.addEventListener("click", () => showStep(i));
+    li.appendChild(btn);
+    box.appendChild(li);
+  });
+  box.setAttribute("aria-label", t("wizard.progress", { n: wizard.index + 1, total: wizard.steps.length }));
+}
+
+function showStep(i, { scroll = true } = {}) {
+  const form = document.getElementById("tradeForm");
+  if (!wizard.active || !form) return;
+  wizard.index = Math.min(Math.max(i, 0), wizard.steps.length - 1);
+  wizard.furthest = Math.max(wizard.furthest, wizard.index);
+  const last = wizard.index === wizard.steps.length - 1;
+
+  wizard.steps.forEach((step, n) => step.classList.toggle("active", n === wizard.index));
+  form.classList.toggle("wizard-last", last);
+  const back = document.getElementById("wizardBack");
+  const next = document.getElementById("wizardNext");
+  if (back) back.hidden = wizard.index === 0;
+  if (next) next.hidden = last;
+  renderWizardProgress();
+  saveLocalDraftSoon();
+
+  if (scroll) {
+    const top = document.getElementById("wizardProgress") || form;
+    top.scrollIntoView({ behavior: "smooth", block: "start" });
+  }
+}
+
+/** Validate only the fields inside the current step; true when it may advance */
+async function validateStep() {
+  const form = document.getElementById("tradeForm");
+  const schema = await loadLeadSchema();
+  if (!schema) return true; // the final submit still validates natively
+  const step = wizard.steps[wizard.index];
+  const names = new Set(Array.from(step.querySelectorAll("[name]"), (el) => el.name));
+  const { errors } = schema.validateLead(draftValues(form));
+  const mine = Object.fromEntries(Object.entries(errors).filter(([k]) => names.has(k)));
+  if (Object.keys(mine).length) { showFieldErrors(mine); return false; }
+  return true;
+}
+
+async function nextStep() {
+  if (await validateStep()) showStep(wizard.index + 1);
+}
+
+/** Errors on a hidden step (e.g. from the final submit) — switch to that step first */
+function revealStepFor(el) {
+  if (!wizard.active || !el || !el.closest) return;
+  const step = el.closest("[data-step]");
+  const i = wizard.steps.indexOf(step);
+  if (i >= 0 && i !== wizard.index) showStep(i, { scroll: false });
+}
+
+async function resumeFromLink(form, token) {
+  try {
+    const res = await fetchWithTimeout(`/api/drafts/${encodeURIComponent(token)}`, { headers: { Accept: "application/json" } });
+    const body = await res.json().catch(() => ({}));
+    if (!res.ok || !body.ok) { showToast(t("wizard.resumeExpired")); return false; }
+    // Reopen in the language the link was requested in
+    if (body.lang && body.lang !== currentLang()) await applyI18n(body.lang);
+    await applyDraftValues(form, body.values);
+    wizard.furthest = body.step || 0;
+    showStep(body.step || 0, { scroll: false });
+    showToast(t("wizard.resumed"));
+    saveLocalDraft();
+  } catch (e) {
+    console.error("Resume failed:", e);
+    showToast(t("wizard.resumeExpired"));
+  }
+  history.replaceState(null, "", location.pathname); // keep the token out of bookmarks/shares
+  return true;
+}
+
+function wireSaveForLater(form) {
+  const box = document.getElementById("saveLater");
+  const toggle = document.getElementById("saveLaterToggle");
+  const panel = document.getElementById("saveLaterForm");
+  const email = document.getElementById("saveLaterEmail");
+  const send = document.getElementById("saveLaterSend");
+  const status = document.getElementById("saveLaterStatus");
+  if (!box || !toggle || !panel || !email || !send) return;
+  box.hidden = false;
+
+  toggle.addEventListener("click", () => {
+    panel.hidden = !panel.hidden;
+    if (!panel.hidden) {
+      if (!email.value && form.elements.email) email.value = form.elements.email.value;
+      email.focus();
+    }
+  });
+
+  send.addEventListener("click", async () => {
+    const to = email.value.trim();
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/.test(to)) { status.textContent = t("wizard.badEmail"); return; }
+    send.disabled = true;
+    status.textContent = t("wizard.sending");
+    try {
+      const res = await fetchWithTimeout("/api/drafts", {
+        method: "POST",
+        headers: { "Content-Type": "application/json", Accept: "application/json" },
+        body: JSON.stringify({
+          email: to,
+          lang: currentLang(),
+          step: wizard.index,
+          values: draftValues(form),
+        }),
+      });
+      const body = await res.json().catch(() => ({}));
+      if (!res.ok || !body.ok) throw new Error(body.error || `HTTP ${res.status}`);
+      status.textContent = t("wizard.sent", { email: to });
+    } catch (e) {
+      console.error("Save for later failed:", e);
+      status.textContent = t("wizard.sendFailed");
+    } finally {
+      send.disabled = false;
+    }
+  });
+}
+
+document.addEventListener("DOMContentLoaded", async () => {
+  // Landing on the success page means the draft became a lead
+  const form = document.getElementById("tradeForm");
+  if (!form) {
+    if (document.getElementById("prelimRange")) clearLocalDraft();
+    return;
+  }
+
+  wizard.steps = Array.from(form.querySelectorAll("[data-step]"));
+  if (wizard.steps.length > 1) {
+    wizard.active = true;
+    form.classList.add("wizard");
+    const progress = document.getElementById("wizardProgress");
+    const nav = document.getElementById("wizardNav");
+    if (progress) progress.hidden = false;
+    if (nav) nav.hidden = false;
+
+    const back = document.getElementById("wizardBack");
+    const next = document.getElementById("wizardNext");
+    if (back) back.addEventListener("click", () => showStep(wizard.index - 1));
+    if (next) next.addEventListener("click", nextStep);
+
+    // Enter on an earlier step means "next", not "submit" (registered before the submit handler below)
+    form.addEventListener("submit", (e) => {
+      if (wizard.index < wizard.steps.length - 1) {
+        e.preventDefault();
+        e.stopImmediatePropagation();
+        nextStep();
+      }
+    });
+    showStep(0, { scroll: false });
+  }
+
+  form.addEventListener("input", saveLocalDraftSoon);
+  form.addEventListener("change", saveLocalDraftSoon);
+  wireSaveForLater(form);
+  document.addEventListener("locale:change", () => { if (wizard.active) renderWizardProgress(); });
+
+  await localeReady; // toasts below are localized
+  const token = new URLSearchParams(location.search).get("resume");
+  if (token && await resumeFromLink(form, token)) return;
+
+  const local = loadLocalDraft();
+  if (local) {
+    await applyDraftValues(form, local.values);
+    wizard.furthest = local.step || 0;
+    showStep(local.step || 0, { scroll: false });
+    showToast(t("wizard.restored"));
+  }
+});
+
+/* -------------------- Submit (shared schema + one lead per fill-out) -------------------- */
+document.addEventListener("DOMContentLoaded", () => {
+  const form = document.getElementById("tradeForm");
+  const keyField = document.getElementById("idempotencyKey");
+  const submitBtn = document.getElementById("submitBtn");
+  if (!form) return;
+
+  if (keyField && !keyField.value) keyField.value = newIdempotencyKey();
+
+  // Until the schema loads (or if it can't), the browser's native validation + plain POST still work
+  let schema = null;
+  loadLeadSchema().then((m) => {
+    if (!m) return;
+    schema = m;
+    form.noValidate = true;
+  });
+
+  const onEdit = (e) => { if (e.target && e.target.name) clearFieldError(e.target.name); };
+  form.addEventListener("input", onEdit);
+  form.addEventListener("change", onEdit);
+
+  form.addEventListener("submit", async (e) => {
+    if (photosPending > 0) {
+      e.preventDefault();
+      showToast(t("photo.busy"));
+      return;
+    }
+    if (!schema) {
+      // Native path — lock the button so a double-click can't post twice
+      if (submitBtn) submitBtn.disabled = true;
+      return;
+    }
+    e.preventDefault();
+    clearFieldErrors();
+
+    const phoneRaw = document.getElementById("phoneRaw");
+    if (phoneRaw) phoneRaw.value = schema.toE164(form.elements.phone && form.elements.phone.value);
+
+    const data = new FormData(form);
+    const values = {};
+    for (const [k, v] of data.entries()) if (typeof v === "string") values[k] = v;
+
+    const { ok, errors } = schema.validateLead(values);
+    if (!ok) { showFieldErrors(errors); return; }
+
+    if (submitBtn) submitBtn.disabled = true;
+    try {
+      const res = await fetch(form.action, { method: "POST", body: data, headers: { Accept: "application/json" } });
+      const body = await res.json().catch(() => ({}));
+      if (res.status === 422 && body.errors) {
+        showFieldErrors(body.errors);
+        if (submitBtn) submitBtn.disabled = false;
+        return;
+      }
+      if (res.status === 429 || body.code === "challenge") {
+        showToast(t(res.status === 429 ? "submit.rateLimited" : "submit.challenge"));
+        resetChallenge();
+        if (submitBtn) submitBtn.disabled = false;
+        return;
+      }
+      if (!res.ok || !body.ok) throw new Error(`HTTP ${res.status}`);
+
+      location.href = body.successUrl || "/success/index.html";
+    } catch (err) {
+      console.error("Submit failed:", err);
+      showToast(t("submit.failed"));
+      if (submitBtn) submitBtn.disabled = false;
+    }
+  });
+
+  // Back-button restores (bfcache) should leave the button usable
+  window.addEventListener("pageshow", (e) => {
+    if (e.persisted && submitBtn) submitBtn.disabled = false;
+  });
+});
+
+/* -------------------- Lien: loan details when Title Status is "Lien" -------------------- */
+// Hidden inputs are disabled too, so a changed answer doesn't submit stale loan details.
+function syncLienFields() {
+  const title = document.getElementById("title");
+  const box = document.getElementById("lienFields");
+  if (!title || !box) return;
+  const lien = title.value === "Lien";
+  box.hidden = !lien;
+  box.querySelectorAll("input").forEach((el) => { el.disabled = !lien; });
+}
+
+document.addEventListener("DOMContentLoaded", () => {
+  const title = document.getElementById("title");
+  if (!title) return;
+  title.addEventListener("change", syncLienFields);
+  // form.reset() doesn't fire "change"; let it finish first
+  title.form.addEventListener("reset", () => setTimeout(syncLienFields));
+  syncLienFields();
+});
+
+/* -------------------- Condition follow-ups (question graph) -------------------- */
+// Each open question renders as a row of toggle buttons under its parent answer; the buttons have no
+// name, so only the hidden #conditionReport (JSON of the open answers) is submitted and autosaved.
+let conditionQuestions = null; // assets/condition-questions.js once loaded
+let conditionAnswers = {};     // everything picked, including answers to questions closed again since
+
+function loadConditionQuestions() {
+  return import("/assets/condition-questions.js").catch((e) => {
+    console.error("Condition questions load failed:", e);
+    return null;
+  });
+}
+
+/** The form answers the graph hangs off (accident, warnings…) */
+function conditionParents(form) {
+  const fields = {};
+  for (const q of conditionQuestions.CONDITION_QUESTIONS) {
+    const el = q.when && form.elements[q.when.q];
+    if (el) fields[q.when.q] = el.value;
+  }
+  return fields;
+}
+
+function renderConditionFollowups() {
+  const form = document.getElementById("tradeForm");
+  if (!form || !conditionQuestions) return;
+  const { CONDITION_GROUPS, cleanConditionReport, openQuestions, questionLabel } = conditionQuestions;
+  const fields = conditionParents(form);
+  const open = cleanConditionReport(conditionAnswers, fields);
+  const questions = openQuestions(conditionAnswers, fields);
+  const lang = currentLang();
+
+  for (const g of CONDITION_GROUPS) {
+    const box = form.querySelector(`[data-followups="${g.id}"]`);
+    if (!box) continue;
+    box.innerHTML = "";
+    const shown = questions.filter((q) => q.group === g.id);
+    box.hidden = !shown.length;
+
+    for (const q of shown) {
+      const wrap = document.createElement("div");
+      wrap.className = "followup";
+      wrap.setAttribute("role", "group");
+      const label = document.createElement("p");
+      label.className = "followup-q";
+      label.id = `followup-${q.id}`;
+      label.textContent = questionLabel(q, lang);
+      wrap.setAttribute("aria-labelledby", label.id);
+      const row = document.createElement("div");
+      row.className = "followup-options";
+      const picked = [].concat(open[q.id] ?? []);
+      for (const o of q.options) {
+        const btn = document.createElement("button");
+        btn.type = "button";
+        btn.textContent = o[lang] || o.en;
+        btn.dataset.value = o.value;
+        btn.setAttribute("aria-pressed", String(picked.includes(o.value)));
+        btn.addEventListener("click", () => pickConditionAnswer(q, o.value));
+        row.appendChild(btn);
+      }
+      wrap.append(label, row);
+      box.appendChild(wrap);
+    }
+  }
+
+  const hidden = document.getElementById("conditionReport");
+  if (hidden) hidden.value = Object.keys(open).length ? JSON.stringify(open) : "";
+}
+
+/** Toggle an option: single-choice questions keep one answer (clicking it again clears it) */
+function pickConditionAnswer(q, value) {
+  const current = conditionAnswers[q.id];
+  if (q.type === "multi") {
+    const list = Array.isArray(current) ? current : [];
+    conditionAnswers[q.id] = list.includes(value) ? list.filter((v) => v !== value) : [...list, value];
+  } else {
+    conditionAnswers[q.id] = current === value ? undefined : value;
+  }
+  renderConditionFollowups();
+  // The buttons were redrawn — keep keyboard focus on the one just pressed
+  const again = document.querySelector(`#followup-${q.id} + .followup-options [data-value="${value}"]`);
+  if (again) again.focus();
+  const hidden = document.getElementById("conditionReport");
+  if (hidden) hidden.dispatchEvent(new Event("change", { bubbles: true })); // autosave
+}
+
+/** Pick the answers back up from #conditionReport (restored draft or resume link) */
+function restoreConditionAnswers() {
+  const hidden = document.getElementById("conditionReport");
+  if (!hidden) return;
+  try {
+    const saved = JSON.parse(hidden.value || "{}");
+    conditionAnswers = saved && typeof saved === "object" && !Array.isArray(saved) ? saved : {};
+  } catch {
+    conditionAnswers = {};
+  }
+  renderConditionFollowups();
+}
+
+document.addEventListener("DOMContentLoaded", async () => {
+  const form = document.getElementById("tradeForm");
+  if (!form || !form.querySelector("[data-followups]")) return;
+  [conditionQuestions] = await Promise.all([loadConditionQuestions(), localeReady]);
+  if (!conditionQuestions) return; // the free-text answers still go through
+  restoreConditionAnswers();
+  form.addEventListener("change", (e) => {
+    if (e.target && e.target.name && e.target.name !== "conditionReport") renderConditionFollowups();
+  });
+  // form.reset() leaves hidden inputs alone
+  form.addEventListener("reset", () => {
+    conditionAnswers = {};
+    const hidden = document.getElementById("conditionReport");
+    if (hidden) hidden.value = "";
+    setTimeout(renderConditionFollowups);
+  });
+  document.addEventListener("locale:change", renderConditionFollowups);
+});
 
 /* -------------------- Clear Form wiring -------------------- */
 document.addEventListener("DOMContentLoaded", () => {
@@ -361,32 +1662,34 @@ document.addEventListener("DOMContentLoaded", () => {
         }
       });
 
-      ["photoExterior","photoInterior","photoDash","photoDamage"].forEach(id => {
-        const el = document.getElementById(id);
-        if (el) el.value = "";
-      });
-      ["prevExterior","prevInterior","prevDash","prevDamage"].forEach(id => {
-        const el = document.getElementById(id);
-        if (el) el.innerHTML = "";
-      });
+      resetPhotos();
+
+      clearFieldErrors();
 
       ["toast","vinStatus","modelStatus","phoneHint"].forEach(id => {
         const el = document.getElementById(id);
         if (el) el.textContent = "";
       });
 
-      ["referrer","landingPage","utmSource","utmMedium","utmCampaign","utmTerm","utmContent","phoneRaw"].forEach(id => {
-        const el = document.getElementById(id);
-        if (el) el.value = "";
-      });
+      // Same visitor, so attribution stays; the phone goes with the rest of the answers
+      const phoneRaw = document.getElementById("phoneRaw");
+      if (phoneRaw) phoneRaw.value = "";
+      fillAttributionFields(loadAttribution() || recordTouch());
+      setVinSpecs({});
 
       // Reset VIN auto-decode sentinel so the same VIN re-triggers after clearing
       window.__lastVin = "";
 
-      if (typeof applyI18n === "function") {
-        const lang = sessionStorage.getItem("quirk_lang") || "en";
-        applyI18n(lang);
-      }
+      // A cleared form is a new lead, not a resubmit
+      const keyField = document.getElementById("idempotencyKey");
+      if (keyField) keyField.value = newIdempotencyKey();
+
+      clearLocalDraft();
+      wizard.furthest = 0;
+      showStep(0, { scroll: false });
+
+      // form.reset() puts the language picker back on its first option and wipes the phone hint
+      applyI18n(currentLang());
 
       window.scrollTo({ top: 0, behavior: "smooth" });
     });
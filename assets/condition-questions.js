@@ -0,0 +1,148 @@
+/* assets/condition-questions.js
+    Follow-up questions opened by the condition answers (ES module) — a small question graph.
+    - Loaded by assets/app.js in the browser (dynamic import) to show each question under its parent answer
+    - Imported by netlify/lib/intake.js to check the answers and label the "Condition report" in the lead email
+    `when.q` is a form field (accident, warnings) or an earlier question's id; the question opens when that
+    answer is one of `when.in` (for multi-select parents: includes one of them). No `when` = always asked.
+    Answers travel as JSON in the hidden `conditionReport` input: { questionId: value | [values] }.
+    Option values are canonical English ids, so leads read the same whatever language was used.
+*/
+
+const YES_NO_UNSURE = [
+  { value: "yes", en: "Yes", es: "Sí", "pt-BR": "Sim" },
+  { value: "no", en: "No", es: "No", "pt-BR": "Não" },
+  { value: "unsure", en: "Not sure", es: "No estoy seguro", "pt-BR": "Não tenho certeza" },
+];
+
+/** Groups in the order the email shows them; index.html has a [data-followups=<id>] box for each */
+export const CONDITION_GROUPS = [
+  { id: "accident", en: "Accident", es: "Accidente", "pt-BR": "Acidente" },
+  { id: "warnings", en: "Warning lights", es: "Luces de advertencia", "pt-BR": "Luzes de advertência" },
+  { id: "smells", en: "Smells", es: "Olores", "pt-BR": "Odores" },
+];
+
+export const CONDITION_QUESTIONS = [
+  { id: "accidentSeverity", group: "accident", type: "single", when: { q: "accident", in: ["Yes"] },
+    en: "How bad was the damage?", es: "¿Qué tan grave fue el daño?", "pt-BR": "Qual foi a gravidade do dano?",
+    options: [
+      { value: "minor", en: "Minor — cosmetic only", es: "Leve — solo estético", "pt-BR": "Leve — só estético" },
+      { value: "moderate", en: "Moderate — panels repaired or replaced", es: "Moderado — paneles reparados o reemplazados", "pt-BR": "Moderado — painéis reparados ou trocados" },
+      { value: "severe", en: "Severe — towed or structural", es: "Grave — remolcado o estructural", "pt-BR": "Grave — guinchado ou estrutural" },
+    ] },
+  { id: "airbagsDeployed", group: "accident", type: "single", when: { q: "accident", in: ["Yes"] },
+    en: "Did any airbags deploy?", es: "¿Se activó alguna bolsa de aire?", "pt-BR": "Algum airbag foi acionado?",
+    options: YES_NO_UNSURE },
+  { id: "frameDamage", group: "accident", type: "single", when: { q: "accident", in: ["Yes"] },
+    en: "Was there frame or structural damage?", es: "¿Hubo daño al chasis o a la estructura?", "pt-BR": "Houve dano no chassi ou na estrutura?",
+    options: YES_NO_UNSURE },
+
+  { id: "warningLights", group: "warnings", type: "multi", when: { q: "warnings", in: ["Yes"] },
+    en: "Which lights are on?", es: "¿Qué luces están encendidas?", "pt-BR": "Quais luzes estão acesas?",
+    options: [
+      { value: "checkEngine", en: "Check engine", es: "Check engine (motor)", "pt-BR": "Injeção (check engine)" },
+      { value: "abs", en: "ABS", es: "ABS", "pt-BR": "ABS" },
+      { value: "airbag", en: "Airbag", es: "Bolsa de aire", "pt-BR": "Airbag" },
+      { value: "tpms", en: "Tire pressure (TPMS)", es: "Presión de llantas (TPMS)", "pt-BR": "Pressão dos pneus (TPMS)" },
+      { value: "other", en: "Other", es: "Otra", "pt-BR": "Outra" },
+    ] },
+  { id: "checkEngineState", group: "warnings", type: "single", when: { q: "warningLights", in: ["checkEngine"] },
+    en: "Is the check engine light steady or flashing?", es: "¿La luz de check engine está fija o parpadea?", "pt-BR": "A luz da injeção fica acesa ou pisca?",
+    options: [
+      { value: "steady", en: "Steady", es: "Fija", "pt-BR": "Acesa" },
+      { value: "flashing", en: "Flashing", es: "Parpadea", "pt-BR": "Piscando" },
+      { value: "unsure", en: "Not sure", es: "No estoy seguro", "pt-BR": "Não tenho certeza" },
+    ] },
+
+  { id: "smellTypes", group: "smells", type: "multi",
+    en: "Any of these smells?", es: "¿Alguno de estos olores?", "pt-BR": "Algum destes odores?",
+    options: [
+      { value: "smoke", en: "Smoke", es: "Humo / cigarrillo", "pt-BR": "Fumaça / cigarro" },
+      { value: "pets", en: "Pets", es: "Mascotas", "pt-BR": "Animais de estimação" },
+      { value: "mildew", en: "Mildew / musty", es: "Humedad / moho", "pt-BR": "Mofo / umidade" },
+      { value: "burning", en: "Burning oil or coolant", es: "Aceite o anticongelante quemado", "pt-BR": "Óleo ou arrefecimento queimando" },
+      { value: "other", en: "Other", es: "Otro", "pt-BR": "Outro" },
+    ] },
+  { id: "smokedIn", group: "smells", type: "single", when: { q: "smellTypes", in: ["smoke"] },
+    en: "How often was it smoked in?", es: "¿Con qué frecuencia se fumaba dentro?", "pt-BR": "Com que frequência se fumava dentro?",
+    options: [
+      { value: "occasionally", en: "Occasionally", es: "A veces", "pt-BR": "De vez em quando" },
+      { value: "regularly", en: "Regularly", es: "Con frecuencia", "pt-BR": "Com frequência" },
+    ] },
+];
+
+const byId = new Map(CONDITION_QUESTIONS.map((q) => [q.id, q]));
+
+/** Question text / option label / group heading in a language (English fallback) */
+export const questionLabel = (q, lang = "en") => q[lang] || q.en;
+export const optionLabel = (q, value, lang = "en") => {
+  const o = q.options.find((x) => x.value === value);
+  return o ? o[lang] || o.en : "";
+};
+export const groupLabel = (g, lang = "en") => g[lang] || g.en;
+
+/** Answers object from JSON or an object; anything else (bad JSON, oversized) = no answers */
+function parseAnswers(answers) {
+  let src = answers;
+  if (typeof src === "string") {
+    try { src = src.length <= 4000 ? JSON.parse(src || "{}") : {}; } catch { src = {}; }
+  }
+  return src && typeof src === "object" && !Array.isArray(src) ? src : {};
+}
+
+/** Walk the graph once — questions come after their parents in CONDITION_QUESTIONS */
+function walk(answers, fields) {
+  const src = parseAnswers(answers);
+  const open = [];
+  const report = {};
+  for (const q of CONDITION_QUESTIONS) {
+    if (q.when) {
+      const parent = byId.has(q.when.q) ? report[q.when.q] : String(fields[q.when.q] ?? "").trim();
+      if (![].concat(parent).some((v) => q.when.in.includes(v))) continue;
+    }
+    open.push(q);
+    const known = (v) => q.options.some((o) => o.value === v);
+    const v = src[q.id];
+    if (q.type === "multi") {
+      const picked = (Array.isArray(v) ? v : []).filter(known);
+      if (picked.length) report[q.id] = q.options.map((o) => o.value).filter((x) => picked.includes(x));
+    } else if (known(v)) {
+      report[q.id] = v;
+    }
+  }
+  return { open, report };
+}
+
+/**
+ * Questions the customer should see now, in order.
+ * @param {object|string} answers - { questionId: value | [values] } or its JSON
+ * @param {object} fields - the form's answers (accident, warnings…) the graph hangs off
+ */
+export const openQuestions = (answers, fields = {}) => walk(answers, fields).open;
+
+/**
+ * Keep only answers to open questions, with known options.
+ * @param {object|string} answers - { questionId: value | [values] } or its JSON
+ * @param {object} fields - the form's answers (accident, warnings…) the graph hangs off
+ * @returns {object} { questionId: "value" } for single, { questionId: ["value", …] } for multi
+ */
+export const cleanConditionReport = (answers, fields = {}) => walk(answers, fields).report;
+
+/**
+ * Answers grouped for display: [{ group, rows: [[question, answer]] }], empty groups left out.
+ * @param {object} report - cleanConditionReport() output
+ */
+export function conditionReportRows(report = {}, lang = "en") {
+  return CONDITION_GROUPS.map((g) => ({
+    group: groupLabel(g, lang),
+    rows: CONDITION_QUESTIONS
+      .filter((q) => q.group === g.id && report[q.id] !== undefined)
+      .map((q) => [questionLabel(q, lang), [].concat(report[q.id]).map((v) => optionLabel(q, v, lang)).join(", ")]),
+  })).filter((g) => g.rows.length);
+}
+
+/** One line per group ("Accident: How bad was the damage? Minor …; …"), for ADF comments and change lists */
+export function conditionReportText(report = {}, lang = "en") {
+  return conditionReportRows(report, lang)
+    .map((g) => `${g.group}: ${g.rows.map(([q, a]) => `${q} ${a}`).join("; ")}`)
+    .join("\n");
+}
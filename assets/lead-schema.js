@@ -0,0 +1,224 @@
+/* assets/lead-schema.js
+    Shared validation schema for the trade-in form (ES module).
+    - Loaded by assets/app.js in the browser (dynamic import) for inline errors
+    - Imported by netlify/functions/trade-appraisal.js for the 422 response
+    - toE164() gives the phoneRaw value app.js submits (and the server re-derives); toAmount() reads dollar amounts
+    One rule per form field in index.html; messages per locale (en, es, pt-BR — same codes as assets/locales).
+*/
+
+const THIS_YEAR = new Date().getFullYear();
+
+export const VIN_RE = /^[A-HJ-NPR-Z0-9]{17}$/;
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+
+/* ISO 3779 / 49 CFR 565 check digit (position 9) */
+const VIN_VALUES = {
+  A: 1, B: 2, C: 3, D: 4, E: 5, F: 6, G: 7, H: 8,
+  J: 1, K: 2, L: 3, M: 4, N: 5, P: 7, R: 9,
+  S: 2, T: 3, U: 4, V: 5, W: 6, X: 7, Y: 8, Z: 9,
+};
+const VIN_WEIGHTS = [8, 7, 6, 5, 4, 3, 2, 10, 0, 9, 8, 7, 6, 5, 4, 3, 2];
+
+/** True when position 9 matches the weighted sum of the other 16 characters (mod 11, 10 = "X") */
+export function vinCheckDigitOk(vin) {
+  const s = String(vin || "").trim().toUpperCase();
+  if (!VIN_RE.test(s)) return false;
+  let sum = 0;
+  for (let i = 0; i < 17; i++) {
+    const c = s[i];
+    const v = /\d/.test(c) ? Number(c) : VIN_VALUES[c];
+    sum += v * VIN_WEIGHTS[i];
+  }
+  const r = sum % 11;
+  return s[8] === (r === 10 ? "X" : String(r));
+}
+
+const TEXT = { maxLength: 100 };
+const NOTES = { maxLength: 2000 };
+const YES_NO = { oneOf: ["No", "Yes"] };
+const WEAR = { oneOf: ["New", "Good", "Worn", "Needs Replacement"] };
+
+/** Field rules, keyed by the form's `name` attributes */
+export const LEAD_SCHEMA = {
+  name:            { required: true, ...TEXT },
+  phone:           { required: true, type: "phone" },
+  email:           { required: true, type: "email", maxLength: 254 },
+  salesConsultant: { ...TEXT },
+
+  vin:             { required: true, type: "vin" },
+  mileage:         { required: true, type: "integer", min: 0, max: 999999 },
+  year:            { required: true, type: "integer", min: 1981, max: THIS_YEAR + 1 },
+  make:            { required: true, maxLength: 40 },
+  model:           { required: true, maxLength: 60 },
+  trim:            { ...TEXT },
+  extColor:        { ...TEXT },
+  intColor:        { ...TEXT },
+  keys:            { type: "integer", min: 0, max: 10 },
+  title:           { oneOf: ["Clean", "Lien", "Rebuilt", "Salvage"] },
+  // Only shown (and submitted) when title is "Lien"
+  lienholder:      { ...TEXT },
+  lienAccount:     { maxLength: 40 },
+  payoff:          { type: "money", max: 500000 },
+  owners:          { type: "integer", min: 0, max: 20 },
+  accident:        { ...YES_NO },
+  accidentRepair:  { ...NOTES },
+
+  warnings:        { ...YES_NO },
+  mech:            { ...NOTES },
+  cosmetic:        { ...NOTES },
+  interior:        { ...NOTES },
+  mods:            { ...NOTES },
+  smells:          { ...NOTES },
+  service:         { ...NOTES },
+
+  tires:           { ...WEAR },
+  brakes:          { ...WEAR },
+  wear:            { ...NOTES },
+
+  // Factory specs filled in by the VIN decode (hidden inputs)
+  vinBodyClass:    { ...TEXT },
+  vinDriveType:    { ...TEXT },
+  vinDisplacementL: { ...TEXT },
+  vinCylinders:    { ...TEXT },
+  vinFuelType:     { ...TEXT },
+  vinTransmission: { ...TEXT },
+  vinPlantCountry: { ...TEXT },
+
+  smsConsent:      { type: "checkbox" },
+  agree:           { required: true, type: "checkbox" },
+};
+
+export const MESSAGES = {
+  en: {
+    required: "This field is required.",
+    agree: "Please confirm the disclaimer to continue.",
+    email: "Enter a valid email address.",
+    phone: "Enter a 10-digit phone number.",
+    vin: "VIN must be 17 characters (letters I, O and Q are not used).",
+    vinCheck: "This VIN looks mistyped — please double-check it against your registration or the plate at the base of the windshield.",
+    integer: "Enter a whole number.",
+    min: "Must be {min} or more.",
+    max: "Must be {max} or less.",
+    maxLength: "Keep this under {maxLength} characters.",
+    oneOf: "Choose one of the listed options.",
+    money: "Enter a dollar amount, e.g. 12,500.",
+  },
+  es: {
+    required: "Este campo es obligatorio.",
+    agree: "Confirme el aviso para continuar.",
+    email: "Ingrese un correo electrónico válido.",
+    phone: "Ingrese un número de teléfono de 10 dígitos.",
+    vin: "El VIN debe tener 17 caracteres (no se usan las letras I, O ni Q).",
+    vinCheck: "Parece que el VIN tiene un error — verifíquelo con su registro o la placa en la base del parabrisas.",
+    integer: "Ingrese un número entero.",
+    min: "Debe ser {min} o más.",
+    max: "Debe ser {max} o menos.",
+    maxLength: "Use menos de {maxLength} caracteres.",
+    oneOf: "Elija una de las opciones de la lista.",
+    money: "Ingrese un monto en dólares, p. ej. 12,500.",
+  },
+  "pt-BR": {
+    required: "Este campo é obrigatório.",
+    agree: "Confirme o aviso para continuar.",
+    email: "Digite um e-mail válido.",
+    phone: "Digite um telefone de 10 dígitos.",
+    vin: "O VIN deve ter 17 caracteres (as letras I, O e Q não são usadas).",
+    vinCheck: "Parece que o VIN foi digitado errado — confira com o documento do veículo ou a placa na base do para-brisa.",
+    integer: "Digite um número inteiro.",
+    min: "Deve ser {min} ou mais.",
+    max: "Deve ser {max} ou menos.",
+    maxLength: "Use menos de {maxLength} caracteres.",
+    oneOf: "Escolha uma das opções da lista.",
+    money: "Digite um valor em dólares, ex.: 12,500.",
+  },
+};
+
+const str = (v) => (v === undefined || v === null ? "" : String(v).trim());
+
+/** Supported locale code for a submitted `lang` value ("es", "pt-br" → "pt-BR"…), else "en" */
+export function localeFor(raw) {
+  const v = str(raw).toLowerCase();
+  return Object.keys(MESSAGES).find((code) => code.toLowerCase() === v) || "en";
+}
+
+/** "(617) 555-0123" / "1-617-555-0123" → "+16175550123"; "" unless it's a valid US/Canada number */
+export function toE164(raw) {
+  const d = str(raw).replace(/\D/g, "");
+  if (d.length === 10) return `+1${d}`;
+  if (d.length === 11 && d[0] === "1") return `+${d}`;
+  return "";
+}
+
+/** "$12,500.50" → 12500.5; NaN unless it's a plain dollar amount (cents optional) */
+export function toAmount(raw) {
+  const v = str(raw).replace(/[$,\s]/g, "");
+  return /^\d+(\.\d{1,2})?$/.test(v) ? Number(v) : NaN;
+}
+
+/** Error code for one value, or "" when it passes */
+export function checkField(rule, raw) {
+  const v = str(raw);
+
+  if (rule.type === "checkbox") {
+    const on = v && v.toLowerCase() !== "false" && v !== "0";
+    return rule.required && !on ? "agree" : "";
+  }
+  if (!v) return rule.required ? "required" : "";
+
+  if (rule.maxLength && v.length > rule.maxLength) return "maxLength";
+
+  switch (rule.type) {
+    case "email":
+      if (!EMAIL_RE.test(v)) return "email";
+      break;
+    case "phone": {
+      const d = v.replace(/\D/g, "");
+      if (!(d.length === 10 || (d.length === 11 && d[0] === "1"))) return "phone";
+      break;
+    }
+    case "vin":
+      if (!VIN_RE.test(v.toUpperCase())) return "vin";
+      if (!vinCheckDigitOk(v)) return "vinCheck";
+      break;
+    case "integer": {
+      if (!/^-?\d+$/.test(v.replace(/,/g, ""))) return "integer";
+      const n = parseInt(v.replace(/,/g, ""), 10);
+      if (rule.min !== undefined && n < rule.min) return "min";
+      if (rule.max !== undefined && n > rule.max) return "max";
+      break;
+    }
+    case "money": {
+      const n = toAmount(v);
+      if (!Number.isFinite(n)) return "money";
+      if (rule.max !== undefined && n > rule.max) return "max";
+      break;
+    }
+  }
+
+  if (rule.oneOf && !rule.oneOf.includes(v)) return "oneOf";
+  return "";
+}
+
+/** Localized message for an error code on a field */
+export function messageFor(field, code, lang = "en") {
+  const rule = LEAD_SCHEMA[field] || {};
+  const tpl = (MESSAGES[lang] || MESSAGES.en)[code] || MESSAGES.en[code] || code;
+  return tpl.replace(/\{(\w+)\}/g, (_, k) => (rule[k] ?? ""));
+}
+
+/**
+ * Validate submitted values against LEAD_SCHEMA.
+ * @param {Record<string, any>} values - form fields by name
+ * @returns {{ ok: boolean, errors: Record<string, { code: string, en: string, es: string, "pt-BR": string }> }}
+ */
+export function validateLead(values = {}) {
+  const errors = {};
+  for (const [field, rule] of Object.entries(LEAD_SCHEMA)) {
+    const code = checkField(rule, values[field]);
+    if (code) {
+      errors[field] = { code };
+      for (const lang of Object.keys(MESSAGES)) errors[field][lang] = messageFor(field, code, lang);
+    }
+  }
+  return { ok: Object.keys(errors).length === 0, errors };
+}
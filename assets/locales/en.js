@@ -0,0 +1,199 @@
+/* assets/locales/en.js
+    English strings (ES module, loaded by assets/app.js).
+    - Keys without a dot match data-i18n / data-i18n-placeholder attributes in index.html, success/index.html and offer/index.html
+    - Dotted keys ("vin.decoding", "photo.busy"…) are messages app.js shows from code; {name} placeholders are filled in
+    English is the fallback for any key another locale leaves out.
+    New locale: copy this file to <code>.js, translate the values and list the code in LOCALES (assets/app.js).
+*/
+export default {
+  // Page
+  pageTitle: "Sight Unseen Trade-In – Quirk Volkswagen MA",
+  title: "Sight Unseen Trade-In Appraisal",
+  welcome: "Welcome to the Quirk Volkswagen Sight Unseen Appraisal Program",
+  instructions: "Please fill out this form with accurate and complete details about your vehicle. The trade-in value we provide will be honored as long as the vehicle condition matches your answers. We'll verify everything when you bring the vehicle in. If the condition differs, the offer will be adjusted accordingly.",
+  decodeVinBtn: "Decode VIN & Prefill",
+  clearBtn: "Clear Form",
+  langLabel: "Language",
+
+  // About you
+  aboutYou: "Tell us about Yourself",
+  nameLabel: "Full Name",
+  phoneLabel: "Phone Number",
+  phoneHint: "",
+  smsConsentLabel: "Text me about my trade-in at this number. Quirk Volkswagen MA may send automated texts about this request. Consent is not a condition of purchase. Msg & data rates may apply; msg frequency varies. Reply HELP for help, STOP to cancel.",
+  emailLabel: "Email Address",
+  consultantLabel: "Who is your sales consultant?",
+  consultantPlaceholder: "Who have you been working with?",
+
+  // Vehicle details
+  legendVehicle: "Vehicle Details",
+  vehDetails: "Vehicle Details",
+  vinLabel: "VIN (required)",
+  vinPlaceholder: "Enter 17 digit VIN",
+  vinHint: "VIN auto-capitalizes; letters I, O, Q are invalid.",
+  mileageLabel: "Current Mileage",
+  mileagePlaceholder: "e.g., 45000",
+  yearLabel: "Year",
+  selectYear: "Select Year",
+  makeLabel: "Make",
+  selectMake: "Select Make",
+  modelLabel: "Model",
+  selectModel: "Select Model",
+  trimLabel: "Trim Level (if known)",
+  extColorLabel: "Exterior Color",
+  intColorLabel: "Interior Color",
+  keysLabel: "Number of Keys Included",
+  titleStatus: "Title Status",
+  titleClean: "Clean",
+  titleLien: "Lien",
+  titleRebuilt: "Rebuilt",
+  titleSalvage: "Salvage",
+  lienHeading: "Loan details",
+  lienHint: "Tell us who holds the loan so we can pay it off for you. Estimates are fine.",
+  lienholderLabel: "Lienholder (bank or lender)",
+  lienAccountLabel: "Loan account number",
+  payoffLabel: "Estimated payoff ($)",
+  payoffStatementLabel: "Payoff statement (PDF or photo, optional)",
+  ownersLabel: "Number of Owners (estimate OK)",
+  accidentLabel: "Has the vehicle ever been in an accident?",
+  accidentRepair: "If yes, was it professionally repaired?",
+  accidentRepairPlaceholder: "Yes / No / Details",
+  optNo: "No",
+  optYes: "Yes",
+
+  // Condition
+  legendCondition: "Vehicle Condition",
+  vehCondition: "Tell us about your Vehicle",
+  warnings: "Any warning lights on dashboard?",
+  mech: "Mechanical issues",
+  cosmetic: "Cosmetic issues",
+  interior: "Interior clean and damage-free?",
+  mods: "Aftermarket parts or modifications?",
+  smells: "Unusual smells?",
+  service: "Routine services up to date?",
+
+  // Wearables
+  legendWearables: "Wearable Items Check",
+  wearables: "Wearable Items Check",
+  tires: "Tire Condition",
+  brakes: "Brake Condition",
+  wearNew: "New",
+  wearGood: "Good",
+  wearWorn: "Worn",
+  wearReplace: "Needs Replacement",
+  wearOther: "Other Wear Items (issues?)",
+
+  // Photos
+  legendPhotos: "Photo Uploads",
+  photos: "Photo Uploads (Optional)",
+  photosExterior: "Exterior Photos",
+  photosInterior: "Interior Photos",
+  photosDash: "Dashboard / Odometer",
+  photosDamage: "Damage / Flaws",
+  photoHint: "Max 10MB per file; 24 files total.",
+
+  // Agreement + navigation
+  finalDisclaimerTitle: "Final Disclaimer",
+  finalDisclaimer: "I confirm the information provided is accurate to the best of my knowledge. I understand that the appraisal value may change if the vehicle's actual condition does not match the details above.",
+  agreeLabel: "I agree and confirm",
+  wizardBack: "Back",
+  wizardNext: "Next",
+  submit: "Get My Trade Appraisal",
+  saveLaterToggle: "Email me a link to finish later",
+  saveLaterEmail: "Send the link to",
+  saveLaterSend: "Send link",
+  smallprint: "By submitting, authorization is given for Quirk Volkswagen to contact you about your vehicle's appraisal. We respect your privacy and will not send unwanted messages.",
+
+  // Success page
+  successTitle: "Thanks! - Quirk Volkswagen MA",
+  successHeading: "Thank you!",
+  successMessage: "We received your trade-in details. A Quirk Volkswagen specialist will contact you shortly.",
+  prelimRangeLabel: "Preliminary range",
+  prelimRangeNote: "Based on your answers. Your final value is confirmed once we see the vehicle.",
+  submitAnother: "Submit another vehicle",
+  backToDealer: "Back to Quirk Volkswagen MA",
+  refLabel: "Your reference number",
+  refHint: "Mention this number when you talk to us.",
+  summaryVehicle: "Vehicle",
+  summaryPhotos: "Photos received",
+  nextHeading: "What happens next",
+  nextStep1: "An appraiser reviews your answers and photos.",
+  nextStep2: "We'll contact you (usually within one business day) with your trade-in value.",
+  nextStep3: "Bring the vehicle in — if its condition matches your answers, we honor the value.",
+  dropoffHeading: "Plan your drop-off",
+  dropoffHint: "Pick a time that works for you and add it to your calendar.",
+  dropoffLabel: "Drop-off time",
+  dropoffAdd: "Add to calendar",
+  "success.noPhotos": "None — we may ask you for a few",
+
+  // Offer page (offer/index.html)
+  offerTitle: "Your trade-in offer - Quirk Volkswagen MA",
+  offerHeading: "Your trade-in offer",
+  offerConditionNote: "As long as the vehicle's condition matches your answers, this is what we'll pay for it.",
+  offerAccept: "Accept offer",
+  offerDecline: "No thanks",
+  offerQuestionLabel: "Have a question about the offer?",
+  offerQuestionSend: "Send question",
+  "offer.loading": "Loading your offer…",
+  "offer.intro": "Hi {name}, here is our offer for your {vehicle}.",
+  "offer.introNoName": "Here is our offer for your {vehicle}.",
+  "offer.expires": "Good through {date}.",
+  "offer.messageLabel": "A note from your appraiser:",
+  "offer.accepted": "You accepted this offer — thank you! We'll be in touch to set up the drop-off.",
+  "offer.declined": "You declined this offer. Changed your mind? Give us a call.",
+  "offer.expired": "This offer has expired. Give us a call or send your vehicle in again for a fresh appraisal.",
+  "offer.invalid": "This offer link is no longer valid. If we sent you a newer offer, use the link in that email.",
+  "offer.confirmDecline": "Decline this offer?",
+  "offer.questionEmpty": "Type your question first.",
+  "offer.questionSent": "Thanks — your appraiser will get back to you.",
+  "offer.failed": "Something went wrong. Please try again, or give us a call.",
+
+  // VIN decode + model list
+  "vin.invalid": "Enter a valid 17-character VIN.",
+  "vin.decoding": "Decoding…",
+  "vin.limited": "VIN decoded, but details are limited. Please fill fields manually.",
+  "vin.local": "The vehicle database is busy — we filled in what we could. Please choose the model.",
+  "vin.failed": "Could not decode VIN. Please fill fields manually.",
+  "models.loading": "Loading models…",
+  "models.none": "No models found for that Make/Year.",
+  "models.failed": "Could not load models.",
+  "submit.failed": "We couldn't send your appraisal request. Please check your connection and try again.",
+  "submit.rateLimited": "Too many submissions from this connection. Please try again in a little while, or give us a call.",
+  "submit.challenge": "Please complete the verification above the submit button, then try again.",
+
+  // Photos
+  "photo.preparing": "Preparing photos…",
+  "photo.notImage": "{name} isn't a photo and was skipped.",
+  "photo.tooBig": "{name} is larger than 10 MB and was skipped.",
+  "photo.fieldFull": "Up to {max} photos here — extra photos were skipped.",
+  "photo.totalFull": "{max} photos total — extra photos were skipped.",
+  "photo.remove": "Remove photo",
+  "photo.busy": "Still preparing your photos — one moment.",
+
+  // Guided photo capture
+  "guided.title": "Guided photos",
+  "guided.intro": "We'll walk you through the shots an appraiser needs. Phone camera opens automatically.",
+  "guided.meter": "{done} of {total} required shots",
+  "guided.step": "Step {n} of {total}",
+  "guided.take": "Take photo",
+  "guided.retake": "Retake",
+  "guided.back": "Back",
+  "guided.next": "Next",
+  "guided.skip": "Skip",
+  "guided.done": "All set — review your photos below.",
+  "guided.damageNote": "What happened here? (e.g. dent on rear bumper)",
+  "guided.addDamage": "Add damage photo",
+  "guided.noDamage": "No damage to show? You're done.",
+  "guided.damageFull": "That's the maximum number of damage photos.",
+  "guided.remove": "Remove",
+
+  // Wizard + resume links
+  "wizard.progress": "Step {n} of {total}",
+  "wizard.restored": "We restored your answers from last time. Photos need to be added again.",
+  "wizard.resumed": "Welcome back — your saved answers are filled in. Photos need to be added again.",
+  "wizard.resumeExpired": "That link has expired — please start again.",
+  "wizard.badEmail": "Enter a valid email address.",
+  "wizard.sending": "Sending…",
+  "wizard.sent": "Check your inbox — we sent a link to {email}.",
+  "wizard.sendFailed": "We couldn't send the link. Please try again.",
+};
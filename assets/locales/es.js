@@ -0,0 +1,195 @@
+/* assets/locales/es.js
+    Spanish strings (ES module, loaded by assets/app.js). Same keys as en.js; missing keys fall back to English.
+*/
+export default {
+  // Page
+  pageTitle: "Tasación sin inspección – Quirk Volkswagen MA",
+  title: "Tasación de intercambio sin inspección",
+  welcome: "Bienvenido al programa de tasación sin inspección de Quirk Auto Dealers",
+  instructions: "Complete este formulario con información precisa y completa sobre su vehículo. El valor de intercambio que le proporcionemos será válido siempre que la condición del vehículo coincida con sus respuestas.",
+  decodeVinBtn: "Decodificar VIN y autocompletar",
+  clearBtn: "Borrar formulario",
+  langLabel: "Idioma",
+
+  // About you
+  aboutYou: "Cuéntenos sobre usted",
+  nameLabel: "Nombre completo",
+  phoneLabel: "Número de teléfono",
+  phoneHint: "Formato: (###) ###-####",
+  smsConsentLabel: "Envíenme mensajes de texto sobre mi vehículo a este número. Quirk Volkswagen MA puede enviar mensajes automáticos sobre esta solicitud. El consentimiento no es condición de compra. Pueden aplicarse tarifas de mensajes y datos; la frecuencia varía. Responda HELP para ayuda, STOP para cancelar.",
+  emailLabel: "Correo electrónico",
+  consultantLabel: "¿Quién es su asesor de ventas?",
+  consultantPlaceholder: "¿Con quién ha estado trabajando?",
+
+  // Vehicle details
+  legendVehicle: "Detalles del vehículo",
+  vehDetails: "Detalles del vehículo",
+  vinLabel: "VIN (obligatorio)",
+  vinPlaceholder: "Ingrese el VIN de 17 caracteres",
+  vinHint: "El VIN se escribe en mayúsculas automáticamente; las letras I, O, Q no son válidas.",
+  mileageLabel: "Kilometraje actual",
+  mileagePlaceholder: "p. ej., 45000",
+  yearLabel: "Año",
+  selectYear: "Seleccione el año",
+  makeLabel: "Marca",
+  selectMake: "Seleccione la marca",
+  modelLabel: "Modelo",
+  selectModel: "Seleccione el modelo",
+  trimLabel: "Nivel de equipamiento (si se conoce)",
+  extColorLabel: "Color exterior",
+  intColorLabel: "Color interior",
+  keysLabel: "Número de llaves incluidas",
+  titleStatus: "Estado del título",
+  titleClean: "Limpio",
+  titleLien: "Con gravamen",
+  titleRebuilt: "Reconstruido",
+  titleSalvage: "Salvamento",
+  lienHeading: "Datos del préstamo",
+  lienHint: "Díganos quién tiene el préstamo para que podamos liquidarlo por usted. Un estimado está bien.",
+  lienholderLabel: "Acreedor (banco o financiera)",
+  lienAccountLabel: "Número de cuenta del préstamo",
+  payoffLabel: "Saldo estimado para liquidar ($)",
+  payoffStatementLabel: "Estado de cuenta de liquidación (PDF o foto, opcional)",
+  ownersLabel: "Número de propietarios (estimado OK)",
+  accidentLabel: "¿Ha estado el vehículo involucrado en un accidente?",
+  accidentRepair: "Si es así, ¿fue reparado profesionalmente?",
+  accidentRepairPlaceholder: "Sí / No / Detalles",
+  optNo: "No",
+  optYes: "Sí",
+
+  // Condition
+  legendCondition: "Estado del vehículo",
+  vehCondition: "Cuéntenos sobre su vehículo",
+  warnings: "¿Alguna luz de advertencia en el tablero?",
+  mech: "Problemas mecánicos",
+  cosmetic: "Problemas cosméticos",
+  interior: "¿Interior limpio y sin daños?",
+  mods: "¿Piezas o modificaciones no originales?",
+  smells: "¿Olores inusuales?",
+  service: "¿Mantenimientos al día?",
+
+  // Wearables
+  legendWearables: "Revisión de elementos de desgaste",
+  wearables: "Revisión de elementos de desgaste",
+  tires: "Estado de los neumáticos",
+  brakes: "Estado de los frenos",
+  wearNew: "Nuevo",
+  wearGood: "Bueno",
+  wearWorn: "Desgastado",
+  wearReplace: "Necesita reemplazo",
+  wearOther: "Otros elementos de desgaste (¿problemas?)",
+
+  // Photos
+  legendPhotos: "Fotos",
+  photos: "Fotos (opcional)",
+  photosExterior: "Fotos del exterior",
+  photosInterior: "Fotos del interior",
+  photosDash: "Tablero / Odómetro",
+  photosDamage: "Daños / defectos",
+  photoHint: "Máx 10MB por archivo; 24 archivos en total.",
+
+  // Agreement + navigation
+  finalDisclaimerTitle: "Aviso final",
+  finalDisclaimer: "Confirmo que la información proporcionada es correcta a mi leal saber y entender. Entiendo que el valor de tasación puede cambiar si la condición real del vehículo no coincide con los detalles anteriores.",
+  agreeLabel: "Acepto y confirmo",
+  wizardBack: "Atrás",
+  wizardNext: "Siguiente",
+  submit: "Obtener mi tasación",
+  saveLaterToggle: "Envíenme un enlace para terminar después",
+  saveLaterEmail: "Enviar el enlace a",
+  saveLaterSend: "Enviar enlace",
+  smallprint: "Al enviar, autoriza a Quirk Volkswagen a comunicarse con usted sobre la tasación de su vehículo. Respetamos su privacidad y no enviaremos mensajes no deseados.",
+
+  // Success page
+  successTitle: "¡Gracias! - Quirk Volkswagen MA",
+  successHeading: "¡Gracias!",
+  successMessage: "Hemos recibido los detalles de su intercambio. Un especialista de Quirk Volkswagen MA se pondrá en contacto con usted en breve.",
+  prelimRangeLabel: "Rango preliminar",
+  prelimRangeNote: "Basado en sus respuestas. El valor final se confirma cuando veamos el vehículo.",
+  submitAnother: "Enviar otro vehículo",
+  backToDealer: "Volver a Quirk Volkswagen MA",
+  refLabel: "Su número de referencia",
+  refHint: "Mencione este número cuando hable con nosotros.",
+  summaryVehicle: "Vehículo",
+  summaryPhotos: "Fotos recibidas",
+  nextHeading: "Próximos pasos",
+  nextStep1: "Un tasador revisa sus respuestas y fotos.",
+  nextStep2: "Nos comunicaremos con usted (normalmente en un día hábil) con el valor de su intercambio.",
+  nextStep3: "Traiga el vehículo — si su estado coincide con sus respuestas, respetamos el valor.",
+  dropoffHeading: "Planifique la entrega",
+  dropoffHint: "Elija un horario que le convenga y agréguelo a su calendario.",
+  dropoffLabel: "Horario de entrega",
+  dropoffAdd: "Agregar al calendario",
+  "success.noPhotos": "Ninguna — es posible que le pidamos algunas",
+
+  // Página de la oferta (offer/index.html)
+  offerTitle: "Su oferta de intercambio - Quirk Volkswagen MA",
+  offerHeading: "Su oferta de intercambio",
+  offerConditionNote: "Siempre que el estado del vehículo coincida con sus respuestas, esto es lo que pagaremos por él.",
+  offerAccept: "Aceptar oferta",
+  offerDecline: "No, gracias",
+  offerQuestionLabel: "¿Tiene una pregunta sobre la oferta?",
+  offerQuestionSend: "Enviar pregunta",
+  "offer.loading": "Cargando su oferta…",
+  "offer.intro": "Hola {name}, esta es nuestra oferta por su {vehicle}.",
+  "offer.introNoName": "Esta es nuestra oferta por su {vehicle}.",
+  "offer.expires": "Válida hasta el {date}.",
+  "offer.messageLabel": "Una nota de su tasador:",
+  "offer.accepted": "Aceptó esta oferta — ¡gracias! Nos comunicaremos para coordinar la entrega.",
+  "offer.declined": "Rechazó esta oferta. ¿Cambió de opinión? Llámenos.",
+  "offer.expired": "Esta oferta venció. Llámenos o envíe su vehículo de nuevo para una nueva tasación.",
+  "offer.invalid": "Este enlace ya no es válido. Si le enviamos una oferta más reciente, use el enlace de ese correo.",
+  "offer.confirmDecline": "¿Rechazar esta oferta?",
+  "offer.questionEmpty": "Escriba su pregunta primero.",
+  "offer.questionSent": "Gracias — su tasador le responderá.",
+  "offer.failed": "Algo salió mal. Inténtelo de nuevo o llámenos.",
+
+  // VIN decode + model list
+  "vin.invalid": "Ingrese un VIN válido de 17 caracteres.",
+  "vin.decoding": "Decodificando…",
+  "vin.limited": "VIN decodificado, pero con pocos detalles. Complete los campos manualmente.",
+  "vin.local": "La base de datos de vehículos está ocupada — completamos lo que pudimos. Elija el modelo.",
+  "vin.failed": "No se pudo decodificar el VIN. Complete los campos manualmente.",
+  "models.loading": "Cargando modelos…",
+  "models.none": "No se encontraron modelos para esa marca y año.",
+  "models.failed": "No se pudieron cargar los modelos.",
+  "submit.failed": "No pudimos enviar su solicitud de tasación. Revise su conexión e inténtelo de nuevo.",
+  "submit.rateLimited": "Demasiados envíos desde esta conexión. Inténtelo de nuevo en un rato o llámenos.",
+  "submit.challenge": "Complete la verificación arriba del botón de envío e inténtelo de nuevo.",
+
+  // Photos
+  "photo.preparing": "Preparando fotos…",
+  "photo.notImage": "{name} no es una foto y se omitió.",
+  "photo.tooBig": "{name} supera los 10 MB y se omitió.",
+  "photo.fieldFull": "Hasta {max} fotos aquí — las fotos adicionales se omitieron.",
+  "photo.totalFull": "{max} fotos en total — las fotos adicionales se omitieron.",
+  "photo.remove": "Quitar foto",
+  "photo.busy": "Todavía estamos preparando sus fotos — un momento.",
+
+  // Guided photo capture
+  "guided.title": "Fotos guiadas",
+  "guided.intro": "Le guiaremos por las fotos que necesita un tasador. La cámara del teléfono se abre automáticamente.",
+  "guided.meter": "{done} de {total} fotos requeridas",
+  "guided.step": "Paso {n} de {total}",
+  "guided.take": "Tomar foto",
+  "guided.retake": "Tomar de nuevo",
+  "guided.back": "Atrás",
+  "guided.next": "Siguiente",
+  "guided.skip": "Omitir",
+  "guided.done": "Listo — revise sus fotos abajo.",
+  "guided.damageNote": "¿Qué pasó aquí? (p. ej., abolladura en la defensa trasera)",
+  "guided.addDamage": "Agregar foto de daño",
+  "guided.noDamage": "¿No hay daños que mostrar? Ya terminó.",
+  "guided.damageFull": "Ese es el número máximo de fotos de daños.",
+  "guided.remove": "Quitar",
+
+  // Wizard + resume links
+  "wizard.progress": "Paso {n} de {total}",
+  "wizard.restored": "Restauramos sus respuestas anteriores. Deberá agregar las fotos de nuevo.",
+  "wizard.resumed": "Bienvenido de nuevo — sus respuestas guardadas están completas. Deberá agregar las fotos de nuevo.",
+  "wizard.resumeExpired": "Ese enlace ha vencido — por favor comience de nuevo.",
+  "wizard.badEmail": "Ingrese un correo electrónico válido.",
+  "wizard.sending": "Enviando…",
+  "wizard.sent": "Revise su correo — enviamos un enlace a {email}.",
+  "wizard.sendFailed": "No pudimos enviar el enlace. Inténtelo de nuevo.",
+};
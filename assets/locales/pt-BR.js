@@ -0,0 +1,195 @@
+/* assets/locales/pt-BR.js
+    Brazilian Portuguese strings (ES module, loaded by assets/app.js). Same keys as en.js; missing keys fall back to English.
+*/
+export default {
+  // Page
+  pageTitle: "Avaliação sem inspeção – Quirk Volkswagen MA",
+  title: "Avaliação de troca sem inspeção",
+  welcome: "Bem-vindo ao programa de avaliação sem inspeção da Quirk Volkswagen",
+  instructions: "Preencha este formulário com informações precisas e completas sobre o seu veículo. O valor de troca que oferecermos será mantido desde que o estado do veículo corresponda às suas respostas. Vamos conferir tudo quando você trouxer o veículo. Se o estado for diferente, a oferta será ajustada.",
+  decodeVinBtn: "Decodificar VIN e preencher",
+  clearBtn: "Limpar formulário",
+  langLabel: "Idioma",
+
+  // About you
+  aboutYou: "Conte-nos sobre você",
+  nameLabel: "Nome completo",
+  phoneLabel: "Telefone",
+  phoneHint: "Formato: (###) ###-####",
+  smsConsentLabel: "Quero receber mensagens de texto sobre minha troca neste número. A Quirk Volkswagen MA pode enviar mensagens automáticas sobre esta solicitação. O consentimento não é condição de compra. Podem ser cobradas tarifas de mensagens e dados; a frequência varia. Responda HELP para ajuda, STOP para cancelar.",
+  emailLabel: "E-mail",
+  consultantLabel: "Quem é o seu consultor de vendas?",
+  consultantPlaceholder: "Com quem você tem falado?",
+
+  // Vehicle details
+  legendVehicle: "Detalhes do veículo",
+  vehDetails: "Detalhes do veículo",
+  vinLabel: "VIN (obrigatório)",
+  vinPlaceholder: "Digite o VIN de 17 caracteres",
+  vinHint: "O VIN fica em maiúsculas automaticamente; as letras I, O e Q não são válidas.",
+  mileageLabel: "Milhagem atual",
+  mileagePlaceholder: "ex.: 45000",
+  yearLabel: "Ano",
+  selectYear: "Selecione o ano",
+  makeLabel: "Marca",
+  selectMake: "Selecione a marca",
+  modelLabel: "Modelo",
+  selectModel: "Selecione o modelo",
+  trimLabel: "Versão (se souber)",
+  extColorLabel: "Cor externa",
+  intColorLabel: "Cor interna",
+  keysLabel: "Número de chaves incluídas",
+  titleStatus: "Situação do título",
+  titleClean: "Limpo",
+  titleLien: "Com financiamento",
+  titleRebuilt: "Reconstruído",
+  titleSalvage: "Salvado",
+  lienHeading: "Dados do financiamento",
+  lienHint: "Diga quem é o credor para que possamos quitar o financiamento por você. Uma estimativa basta.",
+  lienholderLabel: "Credor (banco ou financeira)",
+  lienAccountLabel: "Número do contrato do financiamento",
+  payoffLabel: "Saldo estimado para quitação ($)",
+  payoffStatementLabel: "Extrato de quitação (PDF ou foto, opcional)",
+  ownersLabel: "Número de proprietários (aproximado)",
+  accidentLabel: "O veículo já se envolveu em algum acidente?",
+  accidentRepair: "Se sim, foi consertado por um profissional?",
+  accidentRepairPlaceholder: "Sim / Não / Detalhes",
+  optNo: "Não",
+  optYes: "Sim",
+
+  // Condition
+  legendCondition: "Estado do veículo",
+  vehCondition: "Conte-nos sobre o seu veículo",
+  warnings: "Alguma luz de advertência no painel?",
+  mech: "Problemas mecânicos",
+  cosmetic: "Problemas estéticos",
+  interior: "Interior limpo e sem danos?",
+  mods: "Peças não originais ou modificações?",
+  smells: "Cheiros incomuns?",
+  service: "Revisões em dia?",
+
+  // Wearables
+  legendWearables: "Itens de desgaste",
+  wearables: "Itens de desgaste",
+  tires: "Estado dos pneus",
+  brakes: "Estado dos freios",
+  wearNew: "Novo",
+  wearGood: "Bom",
+  wearWorn: "Gasto",
+  wearReplace: "Precisa trocar",
+  wearOther: "Outros itens de desgaste (problemas?)",
+
+  // Photos
+  legendPhotos: "Fotos",
+  photos: "Fotos (opcional)",
+  photosExterior: "Fotos do exterior",
+  photosInterior: "Fotos do interior",
+  photosDash: "Painel / Hodômetro",
+  photosDamage: "Danos / defeitos",
+  photoHint: "Máx. 10MB por arquivo; 24 arquivos no total.",
+
+  // Agreement + navigation
+  finalDisclaimerTitle: "Aviso final",
+  finalDisclaimer: "Confirmo que as informações fornecidas são verdadeiras, até onde sei. Entendo que o valor da avaliação pode mudar se o estado real do veículo não corresponder aos detalhes acima.",
+  agreeLabel: "Concordo e confirmo",
+  wizardBack: "Voltar",
+  wizardNext: "Próximo",
+  submit: "Receber minha avaliação",
+  saveLaterToggle: "Envie-me um link para terminar depois",
+  saveLaterEmail: "Enviar o link para",
+  saveLaterSend: "Enviar link",
+  smallprint: "Ao enviar, você autoriza a Quirk Volkswagen a entrar em contato sobre a avaliação do seu veículo. Respeitamos sua privacidade e não enviaremos mensagens indesejadas.",
+
+  // Success page
+  successTitle: "Obrigado! - Quirk Volkswagen MA",
+  successHeading: "Obrigado!",
+  successMessage: "Recebemos os detalhes da sua troca. Um especialista da Quirk Volkswagen entrará em contato em breve.",
+  prelimRangeLabel: "Faixa preliminar",
+  prelimRangeNote: "Com base nas suas respostas. O valor final é confirmado quando virmos o veículo.",
+  submitAnother: "Enviar outro veículo",
+  backToDealer: "Voltar para a Quirk Volkswagen MA",
+  refLabel: "Seu número de referência",
+  refHint: "Informe este número quando falar conosco.",
+  summaryVehicle: "Veículo",
+  summaryPhotos: "Fotos recebidas",
+  nextHeading: "Próximos passos",
+  nextStep1: "Um avaliador analisa suas respostas e fotos.",
+  nextStep2: "Entraremos em contato (normalmente em um dia útil) com o valor da sua troca.",
+  nextStep3: "Traga o veículo — se o estado corresponder às suas respostas, mantemos o valor.",
+  dropoffHeading: "Planeje a entrega",
+  dropoffHint: "Escolha um horário que funcione para você e adicione à sua agenda.",
+  dropoffLabel: "Horário de entrega",
+  dropoffAdd: "Adicionar à agenda",
+  "success.noPhotos": "Nenhuma — podemos pedir algumas",
+
+  // Página da oferta (offer/index.html)
+  offerTitle: "Sua oferta de troca - Quirk Volkswagen MA",
+  offerHeading: "Sua oferta de troca",
+  offerConditionNote: "Desde que o estado do veículo corresponda às suas respostas, é isso que pagaremos por ele.",
+  offerAccept: "Aceitar oferta",
+  offerDecline: "Não, obrigado",
+  offerQuestionLabel: "Tem alguma dúvida sobre a oferta?",
+  offerQuestionSend: "Enviar pergunta",
+  "offer.loading": "Carregando sua oferta…",
+  "offer.intro": "Olá {name}, esta é a nossa oferta pelo seu {vehicle}.",
+  "offer.introNoName": "Esta é a nossa oferta pelo seu {vehicle}.",
+  "offer.expires": "Válida até {date}.",
+  "offer.messageLabel": "Uma observação do seu avaliador:",
+  "offer.accepted": "Você aceitou esta oferta — obrigado! Entraremos em contato para combinar a entrega.",
+  "offer.declined": "Você recusou esta oferta. Mudou de ideia? Ligue para nós.",
+  "offer.expired": "Esta oferta expirou. Ligue para nós ou envie seu veículo novamente para uma nova avaliação.",
+  "offer.invalid": "Este link não é mais válido. Se enviamos uma oferta mais recente, use o link daquele e-mail.",
+  "offer.confirmDecline": "Recusar esta oferta?",
+  "offer.questionEmpty": "Digite sua pergunta primeiro.",
+  "offer.questionSent": "Obrigado — seu avaliador vai responder.",
+  "offer.failed": "Algo deu errado. Tente novamente ou ligue para nós.",
+
+  // VIN decode + model list
+  "vin.invalid": "Digite um VIN válido de 17 caracteres.",
+  "vin.decoding": "Decodificando…",
+  "vin.limited": "VIN decodificado, mas com poucos detalhes. Preencha os campos manualmente.",
+  "vin.local": "O banco de dados de veículos está ocupado — preenchemos o que foi possível. Escolha o modelo.",
+  "vin.failed": "Não foi possível decodificar o VIN. Preencha os campos manualmente.",
+  "models.loading": "Carregando modelos…",
+  "models.none": "Nenhum modelo encontrado para essa marca e ano.",
+  "models.failed": "Não foi possível carregar os modelos.",
+  "submit.failed": "Não conseguimos enviar seu pedido de avaliação. Verifique sua conexão e tente novamente.",
+  "submit.rateLimited": "Muitos envios a partir desta conexão. Tente novamente daqui a pouco ou ligue para nós.",
+  "submit.challenge": "Conclua a verificação acima do botão de envio e tente novamente.",
+
+  // Photos
+  "photo.preparing": "Preparando fotos…",
+  "photo.notImage": "{name} não é uma foto e foi ignorado.",
+  "photo.tooBig": "{name} tem mais de 10 MB e foi ignorado.",
+  "photo.fieldFull": "Até {max} fotos aqui — as fotos extras foram ignoradas.",
+  "photo.totalFull": "{max} fotos no total — as fotos extras foram ignoradas.",
+  "photo.remove": "Remover foto",
+  "photo.busy": "Ainda estamos preparando suas fotos — um momento.",
+
+  // Guided photo capture
+  "guided.title": "Fotos guiadas",
+  "guided.intro": "Vamos guiar você pelas fotos que o avaliador precisa. A câmera do celular abre automaticamente.",
+  "guided.meter": "{done} de {total} fotos obrigatórias",
+  "guided.step": "Passo {n} de {total}",
+  "guided.take": "Tirar foto",
+  "guided.retake": "Tirar de novo",
+  "guided.back": "Voltar",
+  "guided.next": "Próximo",
+  "guided.skip": "Pular",
+  "guided.done": "Tudo certo — confira suas fotos abaixo.",
+  "guided.damageNote": "O que aconteceu aqui? (ex.: amassado no para-choque traseiro)",
+  "guided.addDamage": "Adicionar foto de dano",
+  "guided.noDamage": "Nenhum dano para mostrar? Você terminou.",
+  "guided.damageFull": "Esse é o número máximo de fotos de danos.",
+  "guided.remove": "Remover",
+
+  // Wizard + resume links
+  "wizard.progress": "Passo {n} de {total}",
+  "wizard.restored": "Recuperamos suas respostas anteriores. As fotos precisam ser adicionadas de novo.",
+  "wizard.resumed": "Bem-vindo de volta — suas respostas salvas foram preenchidas. As fotos precisam ser adicionadas de novo.",
+  "wizard.resumeExpired": "Esse link expirou — comece novamente.",
+  "wizard.badEmail": "Digite um e-mail válido.",
+  "wizard.sending": "Enviando…",
+  "wizard.sent": "Confira sua caixa de entrada — enviamos um link para {email}.",
+  "wizard.sendFailed": "Não conseguimos enviar o link. Tente novamente.",
+};
@@ -0,0 +1,67 @@
+/* assets/photo-slots.js
+    Named shots for the guided photo capture (ES module).
+    - Loaded by assets/app.js in the browser (dynamic import) to drive the step-by-step capture
+    - Imported by netlify/lib/intake.js to label photos in the lead email
+    Each slot uploads through one of the four photo inputs (`field`), so limits and storage don't change.
+    `overlay` picks the silhouette drawn in the capture frame.
+*/
+
+export const PHOTO_SLOTS = [
+  { id: "front34", field: "photoExterior", overlay: "front34", required: true,
+    en: { label: "Front 3/4", hint: "Stand at the front corner so the nose and one full side are in frame." },
+    es: { label: "Frente 3/4", hint: "Párese en la esquina delantera para que se vean el frente y un lado completo." },
+    "pt-BR": { label: "Frente 3/4", hint: "Fique no canto dianteiro para que a frente e uma lateral inteira apareçam." } },
+  { id: "rear34", field: "photoExterior", overlay: "rear34", required: true,
+    en: { label: "Rear 3/4", hint: "Stand at the opposite rear corner so the back and the other side are in frame." },
+    es: { label: "Trasera 3/4", hint: "Párese en la esquina trasera opuesta para que se vean la parte trasera y el otro lado." },
+    "pt-BR": { label: "Traseira 3/4", hint: "Fique no canto traseiro oposto para que a traseira e a outra lateral apareçam." } },
+  { id: "driverSide", field: "photoExterior", overlay: "side", required: true,
+    en: { label: "Driver side", hint: "Step back until the whole driver side fits, bumper to bumper." },
+    es: { label: "Lado del conductor", hint: "Aléjese hasta que quepa todo el lado del conductor, de defensa a defensa." },
+    "pt-BR": { label: "Lado do motorista", hint: "Afaste-se até que todo o lado do motorista caiba, de para-choque a para-choque." } },
+  { id: "passengerSide", field: "photoExterior", overlay: "side", required: true,
+    en: { label: "Passenger side", hint: "Step back until the whole passenger side fits, bumper to bumper." },
+    es: { label: "Lado del pasajero", hint: "Aléjese hasta que quepa todo el lado del pasajero, de defensa a defensa." },
+    "pt-BR": { label: "Lado do passageiro", hint: "Afaste-se até que todo o lado do passageiro caiba, de para-choque a para-choque." } },
+  { id: "tireFrontDriver", field: "photoExterior", overlay: "tire", required: true,
+    en: { label: "Tire – front driver", hint: "Fill the frame with the tire so we can see the tread." },
+    es: { label: "Llanta – delantera conductor", hint: "Llene el cuadro con la llanta para que se vea la banda de rodamiento." },
+    "pt-BR": { label: "Pneu – dianteiro motorista", hint: "Preencha a foto com o pneu para vermos a banda de rodagem." } },
+  { id: "tireRearDriver", field: "photoExterior", overlay: "tire", required: true,
+    en: { label: "Tire – rear driver", hint: "Fill the frame with the tire so we can see the tread." },
+    es: { label: "Llanta – trasera conductor", hint: "Llene el cuadro con la llanta para que se vea la banda de rodamiento." },
+    "pt-BR": { label: "Pneu – traseiro motorista", hint: "Preencha a foto com o pneu para vermos a banda de rodagem." } },
+  { id: "tireFrontPassenger", field: "photoExterior", overlay: "tire", required: true,
+    en: { label: "Tire – front passenger", hint: "Fill the frame with the tire so we can see the tread." },
+    es: { label: "Llanta – delantera pasajero", hint: "Llene el cuadro con la llanta para que se vea la banda de rodamiento." },
+    "pt-BR": { label: "Pneu – dianteiro passageiro", hint: "Preencha a foto com o pneu para vermos a banda de rodagem." } },
+  { id: "tireRearPassenger", field: "photoExterior", overlay: "tire", required: true,
+    en: { label: "Tire – rear passenger", hint: "Fill the frame with the tire so we can see the tread." },
+    es: { label: "Llanta – trasera pasajero", hint: "Llene el cuadro con la llanta para que se vea la banda de rodamiento." },
+    "pt-BR": { label: "Pneu – traseiro passageiro", hint: "Preencha a foto com o pneu para vermos a banda de rodagem." } },
+  { id: "odometer", field: "photoDash", overlay: "odometer", required: true,
+    en: { label: "Odometer", hint: "Turn the key to ON so the mileage shows, then shoot straight at the cluster." },
+    es: { label: "Odómetro", hint: "Gire la llave a ON para que se vea el kilometraje y tome la foto de frente al tablero." },
+    "pt-BR": { label: "Hodômetro", hint: "Gire a chave para ON para a milhagem aparecer e fotografe o painel de frente." } },
+  { id: "vinPlate", field: "photoInterior", overlay: "vin", required: true,
+    en: { label: "VIN plate", hint: "The plate at the base of the windshield or the sticker in the driver door jamb." },
+    es: { label: "Placa del VIN", hint: "La placa en la base del parabrisas o la etiqueta en el marco de la puerta del conductor." },
+    "pt-BR": { label: "Placa do VIN", hint: "A placa na base do para-brisa ou a etiqueta no batente da porta do motorista." } },
+];
+
+/** Damage areas are repeatable: damage1, damage2, … each with the customer's note */
+export const DAMAGE_SLOT = {
+  prefix: "damage", field: "photoDamage", overlay: "damage", max: 6,
+  en: { label: "Damage area", hint: "Get close enough to show the damage, with a bit of the panel around it for context." },
+  es: { label: "Área dañada", hint: "Acérquese lo suficiente para mostrar el daño, con algo del panel alrededor como referencia." },
+  "pt-BR": { label: "Área danificada", hint: "Chegue perto o bastante para mostrar o dano, com um pouco do painel ao redor como referência." },
+};
+
+/** Display label for a slot id (damage slots are numbered) */
+export function slotLabel(id, lang = "en") {
+  const slot = PHOTO_SLOTS.find((s) => s.id === id);
+  if (slot) return (slot[lang] || slot.en).label;
+  const m = new RegExp(`^${DAMAGE_SLOT.prefix}(\\d+)$`).exec(String(id || ""));
+  if (m) return `${(DAMAGE_SLOT[lang] || DAMAGE_SLOT.en).label} ${m[1]}`;
+  return "";
+}
@@ -0,0 +1,65 @@
+// netlify/config/routing.js
+// Who gets each staff lead email. Maintained by the sales managers — edit the staff list and the
+// rules, then try a sample lead offline before deploying:
+//   npm run route -- --lang es --make Honda --title Salvage --salesConsultant "Steve" --at 2026-10-18T23:30:00Z
+//
+// Every rule whose `when` matches adds its `notify` recipients. Rules with `fallback: true` only apply
+// when no other rule sent the lead to anyone; a lead still going nowhere goes to TO_EMAIL.
+//
+// when — every listed condition must hold (text compares ignore case):
+//   lang: ["es"]                   - language the customer used
+//   make: [...] / notMake: [...]   - vehicle make
+//   title: ["Salvage", "Rebuilt"]  - title status answer
+//   consultant: true               - the "sales consultant" answer matches someone in `staff`
+//   hours: "open" | "closed"       - submitted inside / outside businessHours (DEALER_TZ)
+// notify — one of these, or a list of them:
+//   "consultant"                   - the matched staff member
+//   "TO_EMAIL"                     - the distribution list from the environment
+//   { role: "used-car-manager" }   - everyone in `staff` with that role
+//   { language: "es" }             - everyone in `staff` who speaks it
+//   { emails: ["a@quirkcars.com"] }
+export default {
+  // Dealership wall-clock hours per weekday; a missing day is closed
+  businessHours: {
+    mon: ["09:00", "20:00"],
+    tue: ["09:00", "20:00"],
+    wed: ["09:00", "20:00"],
+    thu: ["09:00", "20:00"],
+    fri: ["09:00", "18:00"],
+    sat: ["09:00", "18:00"],
+  },
+
+  // Staff directory. `aliases` are other spellings customers type into "Who is your sales consultant?"
+  // (first names, nicknames); the email's local part always matches too.
+  // roles: "sales", "sales-manager", "used-car-manager", "bdc" (or any name a rule uses)
+  // languages: spoken languages as form locale codes ("en", "es", "pt-BR")
+  // phone: E.164 mobile number (+16175550100) — routed staff with one also get a text (SMS_PROVIDER)
+  // sample: true — placeholder showing how the rules below get staffed. `npm run route` routes to it
+  // (listed under "samples"); real leads never do, so until a real person has the role or language,
+  // those leads fall back to the distribution list. Replace the samples with real staff.
+  staff: [
+    { name: "Steve O'Brien", email: "steve.obrien@quirkcars.com", aliases: ["Steve", "Steve OBrien"], roles: ["sales"], languages: ["en"] },
+    { name: "", email: "mpalmer@quirkcars.com", aliases: [], roles: [], languages: ["en"] },
+    { name: "", email: "jlombard@quirkcars.com", aliases: [], roles: [], languages: ["en"] },
+    { name: "", email: "msalihovic@quirkcars.com", aliases: [], roles: [], languages: ["en"] },
+    { name: "", email: "nway@quirkcars.com", aliases: [], roles: [], languages: ["en"] },
+    { name: "", email: "gmcintosh@quirkcars.com", aliases: [], roles: [], languages: ["en"] },
+    { name: "", email: "lmendez@quirkcars.com", aliases: [], roles: [], languages: ["en"] },
+
+    // SAMPLE ENTRIES — not real people (see `sample` above)
+    { name: "Sample Spanish-speaking consultant", email: "sample-spanish@example.com", aliases: [], roles: ["sales"], languages: ["en", "es"], sample: true },
+    { name: "Sample Portuguese-speaking consultant", email: "sample-portuguese@example.com", aliases: [], roles: ["sales"], languages: ["en", "pt-BR"], sample: true },
+    { name: "Sample used-car manager", email: "sample-used-cars@example.com", aliases: [], roles: ["used-car-manager"], languages: ["en"], sample: true },
+    { name: "Sample BDC agent", email: "sample-bdc@example.com", aliases: [], roles: ["bdc"], languages: ["en"], sample: true },
+  ],
+
+  rules: [
+    { name: "Distribution list", when: {}, notify: "TO_EMAIL", fallback: true },
+    { name: "Consultant named on the form", when: { consultant: true }, notify: "consultant" },
+    { name: "Spanish-speaking customer", when: { lang: ["es"] }, notify: { language: "es" } },
+    { name: "Portuguese-speaking customer", when: { lang: ["pt-BR"] }, notify: { language: "pt-BR" } },
+    { name: "Salvage / rebuilt title", when: { title: ["Salvage", "Rebuilt"] }, notify: { role: "used-car-manager" } },
+    { name: "Other brands", when: { notMake: ["Volkswagen"] }, notify: { role: "used-car-manager" } },
+    { name: "After hours", when: { hours: "closed" }, notify: { role: "bdc" } },
+  ],
+};
@@ -0,0 +1,80 @@
+// netlify/config/valuation.js
+// Preliminary trade value table + condition adjustments.
+// Maintained by the used-car desk — values are average-condition trade (ACV) dollars
+// for a clean-title vehicle with typical mileage. Keep entries sorted by make/model/year.
+//
+// Lookup order: exact year+make+model+trim, then year+make+model (any trim),
+// then the nearest listed year (within maxYearGap) depreciated/appreciated by yearlyDepreciation.
+export default {
+  rangeSpread: 0.06,          // low/high = point ∓ 6%
+  roundTo: 100,               // round range ends to the nearest $100
+  minValue: 500,              // never quote below this
+  yearlyDepreciation: 0.12,   // used when only a nearby model year is listed
+  maxYearGap: 4,
+
+  mileage: {
+    expectedPerYear: 12000,
+    perMileOver: 0.08,        // $ per mile above expected
+    perMileUnder: 0.05,       // $ per mile below expected
+    maxPenaltyPct: 0.35,      // of base value
+    maxCreditPct: 0.10,
+  },
+
+  // Each adjustment is { pct } (fraction of base) or { amount } (flat dollars), keyed by the form's option values.
+  title: {
+    Clean:   { amount: 0 },
+    Lien:    { amount: 0 },
+    Rebuilt: { pct: -0.30 },
+    Salvage: { pct: -0.50 },
+  },
+  accident: {
+    Yes: { pct: -0.10 },
+  },
+  warnings: {
+    Yes: { amount: -750 },
+  },
+  tires: {
+    New:                 { amount: 300 },
+    Worn:                { amount: -400 },
+    "Needs Replacement": { amount: -900 },
+  },
+  brakes: {
+    New:                 { amount: 200 },
+    Worn:                { amount: -300 },
+    "Needs Replacement": { amount: -650 },
+  },
+  keys: {
+    expected: 2,
+    perMissing: -300,
+  },
+
+  baseValues: [
+    { year: 2018, make: "Volkswagen", model: "Atlas", value: 19500 },
+    { year: 2020, make: "Volkswagen", model: "Atlas", value: 24500 },
+    { year: 2022, make: "Volkswagen", model: "Atlas", value: 30500 },
+    { year: 2022, make: "Volkswagen", model: "Atlas", trim: "SEL Premium", value: 35500 },
+    { year: 2020, make: "Volkswagen", model: "Atlas Cross Sport", value: 24000 },
+    { year: 2022, make: "Volkswagen", model: "Atlas Cross Sport", value: 29000 },
+    { year: 2018, make: "Volkswagen", model: "Golf GTI", value: 16500 },
+    { year: 2021, make: "Volkswagen", model: "Golf GTI", value: 23500 },
+    { year: 2022, make: "Volkswagen", model: "Golf R", value: 36000 },
+    { year: 2021, make: "Volkswagen", model: "ID.4", value: 21500 },
+    { year: 2023, make: "Volkswagen", model: "ID.4", value: 26000 },
+    { year: 2017, make: "Volkswagen", model: "Jetta", value: 9500 },
+    { year: 2019, make: "Volkswagen", model: "Jetta", value: 13500 },
+    { year: 2021, make: "Volkswagen", model: "Jetta", value: 16500 },
+    { year: 2023, make: "Volkswagen", model: "Jetta", value: 19500 },
+    { year: 2017, make: "Volkswagen", model: "Passat", value: 9000 },
+    { year: 2020, make: "Volkswagen", model: "Passat", value: 14500 },
+    { year: 2022, make: "Volkswagen", model: "Taos", value: 20500 },
+    { year: 2018, make: "Volkswagen", model: "Tiguan", value: 14000 },
+    { year: 2020, make: "Volkswagen", model: "Tiguan", value: 18500 },
+    { year: 2022, make: "Volkswagen", model: "Tiguan", value: 23000 },
+    { year: 2022, make: "Volkswagen", model: "Tiguan", trim: "SEL R-Line", value: 27500 },
+    { year: 2020, make: "Honda", model: "CR-V", value: 21000 },
+    { year: 2020, make: "Honda", model: "Civic", value: 16500 },
+    { year: 2020, make: "Subaru", model: "Outback", value: 19500 },
+    { year: 2020, make: "Toyota", model: "Camry", value: 19000 },
+    { year: 2020, make: "Toyota", model: "RAV4", value: 23000 },
+  ],
+};
@@ -0,0 +1,36 @@
+// netlify/data/models.js
+// Offline fallback make/model catalog used when vPIC is unreachable.
+// Entries are "Model" (any year) or ["Model", firstYear, lastYear|null].
+// Names follow vPIC's spelling so cached/live and bundled lists look the same.
+export default {
+  "Volkswagen": [
+    ["Arteon", 2019, 2023], ["Atlas", 2018, null], ["Atlas Cross Sport", 2020, null],
+    ["Beetle", 1998, 2019], ["CC", 2009, 2017], ["e-Golf", 2015, 2019], ["Eos", 2007, 2016],
+    ["Golf", 1985, 2021], ["Golf Alltrack", 2017, 2019], ["Golf R", 2012, null],
+    ["Golf SportWagen", 2015, 2019], ["GTI", 1985, null], ["ID.4", 2021, null], ["ID. Buzz", 2025, null],
+    ["Jetta", 1985, null], ["Jetta SportWagen", 2009, 2014], ["Passat", 1990, 2022],
+    ["Routan", 2009, 2014], ["Taos", 2022, null], ["Tiguan", 2009, null], ["Touareg", 2004, 2017],
+  ],
+  "Audi": ["A3", "A4", "A5", "A6", "A7", "A8", "e-tron", "Q3", "Q4 e-tron", "Q5", "Q7", "Q8", "S4", "S5", "TT"],
+  "BMW": ["2 Series", "3 Series", "4 Series", "5 Series", "7 Series", "i3", "i4", "iX", "X1", "X2", "X3", "X4", "X5", "X6", "X7"],
+  "Buick": ["Enclave", "Encore", "Encore GX", "Envision", "LaCrosse", "Regal"],
+  "Cadillac": ["CT4", "CT5", "Escalade", "XT4", "XT5", "XT6", "ATS", "CTS", "SRX"],
+  "Chevrolet": ["Blazer", "Bolt EV", "Camaro", "Colorado", "Equinox", "Express", "Impala", "Malibu", "Silverado 1500", "Silverado 2500HD", "Sonic", "Spark", "Suburban", "Tahoe", "Trailblazer", "Traverse", "Trax", "Cruze"],
+  "Chrysler": ["200", "300", "Pacifica", "Town & Country", "Voyager"],
+  "Dodge": ["Challenger", "Charger", "Durango", "Grand Caravan", "Journey", "Hornet"],
+  "Ford": ["Bronco", "Bronco Sport", "Edge", "Escape", "Expedition", "Explorer", "F-150", "F-250", "Fiesta", "Focus", "Fusion", "Maverick", "Mustang", "Mustang Mach-E", "Ranger", "Transit", "EcoSport"],
+  "GMC": ["Acadia", "Canyon", "Sierra 1500", "Sierra 2500HD", "Terrain", "Yukon", "Yukon XL"],
+  "Honda": ["Accord", "Civic", "CR-V", "Fit", "HR-V", "Insight", "Odyssey", "Passport", "Pilot", "Ridgeline"],
+  "Hyundai": ["Elantra", "Ioniq 5", "Kona", "Palisade", "Santa Cruz", "Santa Fe", "Sonata", "Tucson", "Venue", "Veloster"],
+  "Jeep": ["Cherokee", "Compass", "Gladiator", "Grand Cherokee", "Renegade", "Wrangler", "Wagoneer", "Patriot"],
+  "Kia": ["Carnival", "EV6", "Forte", "K5", "Niro", "Optima", "Seltos", "Sorento", "Soul", "Sportage", "Telluride"],
+  "Lincoln": ["Aviator", "Corsair", "MKC", "MKZ", "Nautilus", "Navigator"],
+  "Mazda": ["CX-3", "CX-30", "CX-5", "CX-50", "CX-9", "CX-90", "Mazda3", "Mazda6", "MX-5 Miata"],
+  "Mercedes-Benz": ["C-Class", "CLA-Class", "E-Class", "GLA-Class", "GLB-Class", "GLC-Class", "GLE-Class", "GLS-Class", "S-Class", "Sprinter"],
+  "Nissan": ["Altima", "Armada", "Frontier", "Kicks", "Leaf", "Maxima", "Murano", "Pathfinder", "Rogue", "Rogue Sport", "Sentra", "Titan", "Versa"],
+  "Ram": ["1500", "2500", "3500", "ProMaster", "ProMaster City"],
+  "Subaru": ["Ascent", "BRZ", "Crosstrek", "Forester", "Impreza", "Legacy", "Outback", "WRX"],
+  "Tesla": ["Model 3", "Model S", "Model X", "Model Y"],
+  "Toyota": ["4Runner", "Avalon", "C-HR", "Camry", "Corolla", "Corolla Cross", "Highlander", "Prius", "RAV4", "Sequoia", "Sienna", "Tacoma", "Tundra", "Venza"],
+  "Volvo": ["S60", "S90", "V60", "XC40", "XC60", "XC90"],
+};
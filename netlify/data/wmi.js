@@ -0,0 +1,68 @@
+// netlify/data/wmi.js
+// Offline fallback: World Manufacturer Identifier (VIN positions 1–3) → make.
+// Only unambiguous WMIs are listed; shared Stellantis codes (1C3, 1C4, 2C3, 2C4, 3C4…)
+// are left out on purpose so we never guess the wrong brand.
+export default {
+  // Volkswagen
+  "1VW": "Volkswagen", "1V2": "Volkswagen", "3VW": "Volkswagen", "3VV": "Volkswagen",
+  "WVW": "Volkswagen", "WVG": "Volkswagen", "WV1": "Volkswagen", "WV2": "Volkswagen", "9BW": "Volkswagen",
+  // Audi / Porsche
+  "WAU": "Audi", "WA1": "Audi", "WUA": "Audi", "TRU": "Audi",
+  "WP0": "Porsche", "WP1": "Porsche",
+  // BMW / MINI
+  "WBA": "BMW", "WBS": "BMW", "WBX": "BMW", "WBY": "BMW", "5UX": "BMW", "5YM": "BMW", "4US": "BMW",
+  "WMW": "MINI",
+  // Mercedes-Benz / smart
+  "WDB": "Mercedes-Benz", "WDC": "Mercedes-Benz", "WDD": "Mercedes-Benz", "WD3": "Mercedes-Benz",
+  "W1K": "Mercedes-Benz", "W1N": "Mercedes-Benz", "W1V": "Mercedes-Benz", "4JG": "Mercedes-Benz", "55S": "Mercedes-Benz",
+  "WME": "smart",
+  // Toyota / Lexus
+  "JTD": "Toyota", "JTE": "Toyota", "JTK": "Toyota", "JTL": "Toyota", "JTM": "Toyota", "JTN": "Toyota",
+  "JT2": "Toyota", "JT3": "Toyota", "JT4": "Toyota",
+  "2T1": "Toyota", "2T3": "Toyota", "4T1": "Toyota", "4T3": "Toyota", "4T4": "Toyota",
+  "5TD": "Toyota", "5TE": "Toyota", "5TF": "Toyota", "5YF": "Toyota",
+  "JTH": "Lexus", "JTJ": "Lexus", "2T2": "Lexus", "58A": "Lexus",
+  // Honda / Acura
+  "JHM": "Honda", "1HG": "Honda", "2HG": "Honda", "2HK": "Honda", "5FN": "Honda", "5FP": "Honda",
+  "5J6": "Honda", "7FA": "Honda", "SHH": "Honda", "SHS": "Honda", "19X": "Honda",
+  "JH4": "Acura", "19U": "Acura", "5J8": "Acura", "19V": "Acura",
+  // Nissan / Infiniti
+  "JN1": "Nissan", "JN6": "Nissan", "JN8": "Nissan", "1N4": "Nissan", "1N6": "Nissan",
+  "3N1": "Nissan", "3N6": "Nissan", "3N8": "Nissan", "5N1": "Nissan",
+  "JNK": "Infiniti", "JNR": "Infiniti", "5N3": "Infiniti",
+  // Ford / Lincoln / Mercury
+  "1FA": "Ford", "1FB": "Ford", "1FC": "Ford", "1FD": "Ford", "1FM": "Ford", "1FT": "Ford",
+  "2FA": "Ford", "2FM": "Ford", "2FT": "Ford", "3FA": "Ford", "3FM": "Ford", "3FT": "Ford",
+  "1ZV": "Ford", "NM0": "Ford", "WF0": "Ford",
+  "1LN": "Lincoln", "2LM": "Lincoln", "3LN": "Lincoln", "5LM": "Lincoln", "5LT": "Lincoln",
+  "1ME": "Mercury", "2ME": "Mercury", "4M2": "Mercury",
+  // General Motors
+  "1G1": "Chevrolet", "1GC": "Chevrolet", "1GN": "Chevrolet", "1GB": "Chevrolet",
+  "2G1": "Chevrolet", "2GN": "Chevrolet", "3G1": "Chevrolet", "3GC": "Chevrolet", "3GN": "Chevrolet",
+  "KL7": "Chevrolet", "KL8": "Chevrolet",
+  "1GT": "GMC", "2GT": "GMC", "3GT": "GMC", "1GK": "GMC", "2GK": "GMC", "3GK": "GMC",
+  "1G4": "Buick", "5GA": "Buick", "KL4": "Buick", "LRB": "Buick",
+  "1G6": "Cadillac", "1GY": "Cadillac",
+  "1G2": "Pontiac", "2G2": "Pontiac", "5Y2": "Pontiac",
+  "1G8": "Saturn", "5GR": "Hummer",
+  // Stellantis (brand-specific codes only)
+  "1J4": "Jeep", "1J8": "Jeep", "ZAC": "Jeep",
+  "1C6": "Ram", "3C6": "Ram", "3C7": "Ram",
+  "1B3": "Dodge", "2B3": "Dodge", "1D7": "Dodge", "3D7": "Dodge",
+  "ZFA": "FIAT", "3C3": "FIAT", "ZAR": "Alfa Romeo", "ZAM": "Maserati",
+  // Hyundai / Kia / Genesis
+  "KMH": "Hyundai", "KM8": "Hyundai", "5NP": "Hyundai", "5NM": "Hyundai", "5NT": "Hyundai",
+  "KNA": "Kia", "KND": "Kia", "5XX": "Kia", "5XY": "Kia", "3KP": "Kia",
+  "KMT": "Genesis",
+  // Subaru / Mazda / Mitsubishi / Suzuki
+  "JF1": "Subaru", "JF2": "Subaru", "4S3": "Subaru", "4S4": "Subaru", "4S6": "Subaru",
+  "JM1": "Mazda", "JM3": "Mazda", "3MZ": "Mazda", "3MV": "Mazda", "1YV": "Mazda",
+  "JA3": "Mitsubishi", "JA4": "Mitsubishi", "4A3": "Mitsubishi", "4A4": "Mitsubishi", "ML3": "Mitsubishi",
+  "JS1": "Suzuki", "JS2": "Suzuki", "JS3": "Suzuki", "2S3": "Suzuki",
+  // Volvo / Polestar / Tesla / others
+  "YV1": "Volvo", "YV4": "Volvo", "7JR": "Volvo", "LYV": "Volvo",
+  "5YJ": "Tesla", "7SA": "Tesla", "LRW": "Tesla", "XP7": "Tesla",
+  "SAJ": "Jaguar", "SAL": "Land Rover", "YS3": "Saab",
+  "ZFF": "Ferrari", "ZHW": "Lamborghini", "SCF": "Aston Martin", "SCC": "Lotus", "SCB": "Bentley",
+  "7FC": "Rivian",
+};
@@ -0,0 +1,28 @@
+// netlify/functions/delivery-background.js
+// Background function (Netlify answers the caller 202 at once, the "-background" name makes it one):
+// lib/intake.js calls it right after a lead is stored and queued, so staff, the customer and the CRM hear
+// about the lead within seconds while the form response doesn't wait on them. Sends only what the outbox
+// has due for that lead (lib/outbox.js); anything it misses goes out on the next delivery-retry run.
+//   POST /.netlify/functions/delivery-background   { "leadId": "20261018-7KQ2MX" }
+import { retryDue } from "../lib/outbox.js";
+
+export async function handler(event) {
+  if (event.httpMethod !== "POST") return { statusCode: 405, body: "Method Not Allowed" };
+
+  let leadId;
+  try {
+    leadId = String(JSON.parse(event.body || "{}").leadId || "");
+  } catch {
+    return { statusCode: 400, body: "Invalid request body" };
+  }
+  if (!/^[0-9]{8}-[A-Z0-9]{6}$/.test(leadId)) return { statusCode: 400, body: "leadId required" };
+
+  try {
+    const summary = await retryDue({ leadId });
+    console.log(`Lead ${leadId} delivery:`, JSON.stringify(summary));
+    return { statusCode: 200, body: JSON.stringify({ ok: true, ...summary }) };
+  } catch (e) {
+    console.error(`Lead ${leadId} delivery failed; delivery-retry will pick it up:`, e);
+    return { statusCode: 500, body: JSON.stringify({ ok: false, error: e.message }) };
+  }
+}
@@ -0,0 +1,16 @@
+// netlify/functions/delivery-retry.js
+// Scheduled (netlify.toml, every 5 minutes): sends queued lead channels that delivery-background.js didn't
+// get to and retries those whose backoff has run out. Channels that keep failing are parked for staff
+// to replay through /api/outbox (lib/outbox.js).
+import { retryDue } from "../lib/outbox.js";
+
+export async function handler() {
+  try {
+    const summary = await retryDue();
+    if (summary.tried) console.log("Outbox retry:", JSON.stringify(summary));
+    return { statusCode: 200, body: JSON.stringify({ ok: true, ...summary }) };
+  } catch (e) {
+    console.error("Outbox retry failed:", e);
+    return { statusCode: 500, body: JSON.stringify({ ok: false, error: e.message }) };
+  }
+}
@@ -0,0 +1,95 @@
+// netlify/functions/drafts.js
+// "Email me a link to finish later":
+//   POST /api/drafts          { email, lang, step, values }  → { ok }   (emails a resume link)
+//   GET  /api/drafts/:token                                  → { ok, step, values, savedAt }
+import { saveDraft, getDraft, draftTtlDays } from "../lib/draft-store.js";
+import { siteOrigin, allowedOrigin, decodeSegment } from "../lib/site.js";
+import { sendEmail } from "../lib/delivery.js";
+import { hitRateLimit, clientIp } from "../lib/rate-limit.js";
+import { renderResumeLink } from "../templates/resume-link.js";
+import { checkField, localeFor } from "../../assets/lead-schema.js";
+
+const headers = {
+  "Access-Control-Allow-Headers": "content-type",
+  "Content-Type": "application/json",
+  "Cache-Control": "no-store",
+};
+
+const json = (statusCode, body) => ({ statusCode, headers, body: JSON.stringify(body) });
+
+/** "/api/drafts/<token>" or "/.netlify/functions/drafts/<token>" → token ("" when missing or malformed) */
+function tokenFromPath(p) {
+  const m = /\/drafts\/([^/?#]+)\/?$/.exec(p || "");
+  return (m && decodeSegment(m[1])) || "";
+}
+
+export async function handler(event) {
+  if (event.httpMethod === "OPTIONS") {
+    return { statusCode: 200, headers, body: "ok" };
+  }
+
+  if (event.httpMethod === "GET") {
+    const token = tokenFromPath(event.path);
+    if (!token) return json(404, { ok: false, error: "Not found" });
+    try {
+      const draft = await getDraft(token);
+      if (!draft) return json(404, { ok: false, error: "This link has expired" });
+      return json(200, { ok: true, step: draft.step, values: draft.values, savedAt: draft.savedAt, lang: draft.lang });
+    } catch (e) {
+      console.error("Draft read failed:", e);
+      return json(500, { ok: false, error: "Draft store unavailable" });
+    }
+  }
+
+  if (event.httpMethod !== "POST") {
+    return json(405, { ok: false, error: "Method Not Allowed" });
+  }
+
+  // This sends email to any address, so only our own pages may ask, and not too often
+  if (allowedOrigin(event) === null) return json(403, { ok: false, error: "Origin not allowed" });
+  const limit = await hitRateLimit("drafts", clientIp(event));
+  if (!limit.ok) {
+    return { ...json(429, { ok: false, error: "Too many requests", retryAfter: limit.retryAfter }), headers: { ...headers, "Retry-After": String(limit.retryAfter) } };
+  }
+
+  if ((event.body || "").length > 64 * 1024) return json(413, { ok: false, error: "Draft too large" });
+  let body;
+  try {
+    body = JSON.parse(event.body || "{}");
+  } catch {
+    return json(400, { ok: false, error: "Invalid request body" });
+  }
+
+  const email = String(body.email || "").trim();
+  if (checkField({ required: true, type: "email" }, email)) {
+    return json(422, { ok: false, error: "Enter a valid email address" });
+  }
+  const lang = localeFor(body.lang);
+  const values = body.values && typeof body.values === "object" ? body.values : {};
+
+  let token;
+  try {
+    ({ token } = await saveDraft({ values, step: body.step, email, lang }));
+  } catch (e) {
+    console.error("Draft write failed:", e);
+    return json(500, { ok: false, error: "Draft store unavailable" });
+  }
+
+  const url = `${siteOrigin(event)}/?resume=${encodeURIComponent(token)}`;
+  const vehicle = [values.year, values.make, values.model].map((v) => String(v || "").trim()).filter(Boolean).join(" ");
+  const msg = renderResumeLink({ lang, url, days: draftTtlDays(), vehicle });
+  try {
+    await sendEmail({
+      to: email,
+      replyTo: process.env.CUSTOMER_REPLY_TO,
+      subject: msg.subject,
+      text: msg.text,
+      html: msg.html,
+    });
+  } catch (e) {
+    console.error("Resume link email failed:", e.message);
+    return json(502, { ok: false, error: "Could not send the email" });
+  }
+
+  return json(200, { ok: true });
+}
@@ -0,0 +1,67 @@
+// netlify/functions/dropoff.js
+// Drop-off appointment on the success page:
+//   GET /api/dropoff                         → { ok, timeZone, minutes, slots: [ISO start…] }
+//   GET /api/dropoff/ics?start=&ref=&lang=   → .ics calendar file for one of those slots
+// Nothing is booked — the customer just gets a calendar reminder. The vehicle in the event
+// comes from the stored lead (never from the query), so links can't be crafted with our name on them.
+import { getLeadStore } from "../lib/lead-store.js";
+import { dealerTimeZone, dropoffMinutes, dropoffSlots } from "../lib/dropoff.js";
+import { siteOrigin } from "../lib/site.js";
+import { renderDropoffIcs } from "../templates/dropoff-ics.js";
+import { localeFor } from "../../assets/lead-schema.js";
+
+const headers = {
+  "Content-Type": "application/json",
+  "Cache-Control": "no-store",
+};
+
+const json = (statusCode, body) => ({ statusCode, headers, body: JSON.stringify(body) });
+
+export async function handler(event) {
+  if (event.httpMethod !== "GET") {
+    return json(405, { ok: false, error: "Method Not Allowed" });
+  }
+
+  const slots = dropoffSlots();
+  if (!/\/ics\/?$/.test(event.path || "")) {
+    return json(200, { ok: true, timeZone: dealerTimeZone(), minutes: dropoffMinutes(), slots });
+  }
+
+  const q = event.queryStringParameters || {};
+  const start = String(q.start || "");
+  if (!slots.includes(start)) {
+    return json(400, { ok: false, error: "That drop-off time is no longer available" });
+  }
+
+  let ref = "";
+  let vehicle = "";
+  try {
+    const record = q.ref ? await getLeadStore().get(String(q.ref)) : null;
+    if (record) {
+      ref = record.id;
+      const l = record.lead || {};
+      vehicle = [l.year, l.make, l.model].filter(Boolean).join(" ");
+    }
+  } catch (e) {
+    console.warn("Lead lookup for drop-off failed:", e.message); // the reminder still works without it
+  }
+
+  const host = new URL(siteOrigin(event)).host;
+  const ics = renderDropoffIcs({
+    lang: localeFor(q.lang),
+    start,
+    minutes: dropoffMinutes(),
+    ref,
+    vehicle,
+    uid: `dropoff-${ref || "lead"}-${start.replace(/\D/g, "").slice(0, 12)}@${host}`,
+  });
+  return {
+    statusCode: 200,
+    headers: {
+      "Content-Type": "text/calendar; charset=utf-8",
+      "Content-Disposition": `attachment; filename="${ics.filename}"`,
+      "Cache-Control": "no-store",
+    },
+    body: ics.body,
+  };
+}
@@ -0,0 +1,24 @@
+// netlify/functions/form-token.js
+// Per-page-load settings for the form's bot checks (see lib/bot-check.js):
+//   GET /api/form-token → { ok, token, challenge: null | { provider, siteKey, script, widgetClass } }
+// The token records when the page loaded; trade-appraisal.js scores submissions that come back too fast.
+import { issueFormToken, challengeConfig } from "../lib/bot-check.js";
+
+const headers = {
+  "Content-Type": "application/json",
+  "Cache-Control": "no-store",
+};
+
+const json = (statusCode, body) => ({ statusCode, headers, body: JSON.stringify(body) });
+
+export async function handler(event) {
+  if (event.httpMethod !== "GET") {
+    return json(405, { ok: false, error: "Method Not Allowed" });
+  }
+  const cfg = challengeConfig();
+  return json(200, {
+    ok: true,
+    token: issueFormToken(),
+    challenge: cfg && { provider: cfg.provider, siteKey: cfg.siteKey, script: cfg.script, widgetClass: cfg.widgetClass },
+  });
+}
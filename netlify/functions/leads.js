@@ -0,0 +1,102 @@
+// netlify/functions/leads.js
+// Staff-only lead inbox and appraiser review (lib/offers.js):
+//   GET  /api/leads?vin=&phone=&email=&status=&make=&consultant=&source=&from=&to=&limit= → { ok, leads: [summary] }
+//   GET  /api/leads/:id                                   → { ok, lead: record }  (photos carry fresh signed url/thumbUrl)
+//   POST /api/leads/:id/offer  { amount, expiresAt, notes, message, appraiser, send }
+//                                                         → { ok, status, offer, url? }  (send: true also emails it)
+//   POST /api/leads/:id/offer/send  { appraiser }         → { ok, status, offer, url }   (emails the saved offer)
+import { getLeadStore, summarize, LEAD_STATUSES } from "../lib/lead-store.js";
+import { requireStaff } from "../lib/auth.js";
+import { getReviewedLead, saveAppraisal, sendOffer } from "../lib/offers.js";
+import { withPhotoLinks } from "../lib/photo-store.js";
+import { decodeSegment, siteOrigin } from "../lib/site.js";
+
+const INBOX_LINK_TTL = 3600; // inbox links only need to outlive the page view
+
+const headers = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Headers": "content-type, authorization, x-admin-token",
+  "Content-Type": "application/json",
+  "Cache-Control": "no-store",
+};
+
+const json = (statusCode, body) => ({ statusCode, headers, body: JSON.stringify(body) });
+
+/**
+ * "/api/leads/20261018-7KQ2MX[/offer[/send]]" (or under /.netlify/functions) → { id, action: "" | "offer" | "send" }
+ * id is null when it isn't valid percent-encoding.
+ */
+function routeFromPath(p) {
+  const m = /\/leads\/([^/?#]+)(\/offer(\/send)?)?\/?$/.exec(p || "");
+  if (!m) return { id: "", action: "" };
+  return { id: decodeSegment(m[1]), action: m[3] ? "send" : m[2] ? "offer" : "" };
+}
+
+/** What staff see after an offer change: the offer without the link hash */
+const offerView = ({ status, offer: { tokenHash: _hash, ...offer } }) => ({ status, offer });
+
+async function handleOffer(event, id, action) {
+  let body;
+  try {
+    body = JSON.parse(event.body || "{}");
+  } catch {
+    return json(400, { ok: false, error: "Invalid request body" });
+  }
+  const origin = siteOrigin(event);
+  const by = body.appraiser;
+
+  if (action === "offer") {
+    const saved = await saveAppraisal(id, body);
+    if (!saved.ok) return json(saved.statusCode, { ok: false, error: saved.error });
+    if (body.send !== true) return json(200, { ok: true, ...offerView(saved.record) });
+  }
+  const sent = await sendOffer(id, { origin, by });
+  if (!sent.ok) return json(sent.statusCode, { ok: false, error: sent.error });
+  return json(200, { ok: true, ...offerView(sent.record), url: sent.url });
+}
+
+export async function handler(event) {
+  if (event.httpMethod === "OPTIONS") {
+    return { statusCode: 200, headers, body: "ok" };
+  }
+  const { id, action } = routeFromPath(event.path);
+  if (event.httpMethod !== (action ? "POST" : "GET")) {
+    return json(405, { ok: false, error: "Method Not Allowed" });
+  }
+
+  const denied = requireStaff(event, headers);
+  if (denied) return denied;
+  if (id === null) return json(404, { ok: false, error: "Lead not found" });
+
+  if (action) {
+    try {
+      return await handleOffer(event, id, action);
+    } catch (e) {
+      console.error(`Offer failed (${id}):`, e);
+      return json(502, { ok: false, error: "The offer could not be saved or sent" });
+    }
+  }
+
+  const store = getLeadStore();
+  try {
+    if (id) {
+      const lead = await getReviewedLead(id);
+      if (!lead) return json(404, { ok: false, error: "Lead not found" });
+      return json(200, { ok: true, lead: { ...lead, photos: withPhotoLinks(lead.photos, siteOrigin(event), INBOX_LINK_TTL) } });
+    }
+
+    const q = event.queryStringParameters || {};
+    if (q.status && !LEAD_STATUSES.includes(q.status)) {
+      return json(400, { ok: false, error: `status must be one of ${LEAD_STATUSES.join(", ")}` });
+    }
+    const records = await store.search({
+      vin: q.vin, phone: q.phone, email: q.email, status: q.status,
+      make: q.make, consultant: q.consultant, source: q.source,
+      from: q.from, to: q.to, limit: q.limit,
+    });
+    return json(200, { ok: true, count: records.length, leads: records.map(summarize) });
+  } catch (e) {
+    console.error("Lead store read failed:", e);
+    return json(500, { ok: false, error: "Lead store unavailable" });
+  }
+}
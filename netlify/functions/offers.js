@@ -0,0 +1,69 @@
+// netlify/functions/offers.js
+// Customer side of the appraiser's offer (the link in the offer email, see lib/offers.js):
+//   GET  /api/offers/:token                                     → { ok, offer: { ref, status, amount, expiresAt, … } }
+//   POST /api/offers/:token  { action: accept|decline|question, message } → { ok, offer }
+import { getOffer, respondToOffer } from "../lib/offers.js";
+import { siteOrigin, allowedOrigin, decodeSegment } from "../lib/site.js";
+import { hitRateLimit, clientIp } from "../lib/rate-limit.js";
+
+const headers = {
+  "Access-Control-Allow-Headers": "content-type",
+  "Content-Type": "application/json",
+  "Cache-Control": "no-store",
+};
+
+const json = (statusCode, body) => ({ statusCode, headers, body: JSON.stringify(body) });
+
+/** "/api/offers/<token>" or "/.netlify/functions/offers/<token>" → token ("" when missing or malformed) */
+function tokenFromPath(p) {
+  const m = /\/offers\/([^/?#]+)\/?$/.exec(p || "");
+  return (m && decodeSegment(m[1])) || "";
+}
+
+export async function handler(event) {
+  if (event.httpMethod === "OPTIONS") {
+    return { statusCode: 200, headers, body: "ok" };
+  }
+
+  const token = tokenFromPath(event.path);
+  if (!token) return json(404, { ok: false, error: "Not found" });
+
+  if (event.httpMethod === "GET") {
+    try {
+      const offer = await getOffer(token);
+      if (!offer) return json(404, { ok: false, error: "This offer link is no longer valid" });
+      return json(200, { ok: true, offer });
+    } catch (e) {
+      console.error("Offer read failed:", e);
+      return json(500, { ok: false, error: "Offer unavailable" });
+    }
+  }
+
+  if (event.httpMethod !== "POST") {
+    return json(405, { ok: false, error: "Method Not Allowed" });
+  }
+
+  // Answers email staff, so only our own pages may send them, and not too often
+  if (allowedOrigin(event) === null) return json(403, { ok: false, error: "Origin not allowed" });
+  const limit = await hitRateLimit("offers", clientIp(event));
+  if (!limit.ok) {
+    return { ...json(429, { ok: false, error: "Too many requests", retryAfter: limit.retryAfter }), headers: { ...headers, "Retry-After": String(limit.retryAfter) } };
+  }
+
+  if ((event.body || "").length > 16 * 1024) return json(413, { ok: false, error: "Message too long" });
+  let body;
+  try {
+    body = JSON.parse(event.body || "{}");
+  } catch {
+    return json(400, { ok: false, error: "Invalid request body" });
+  }
+
+  try {
+    const result = await respondToOffer(token, { action: body.action, message: body.message, origin: siteOrigin(event) });
+    if (!result.ok) return json(result.statusCode, { ok: false, error: result.error });
+    return json(200, { ok: true, offer: result.offer });
+  } catch (e) {
+    console.error("Offer response failed:", e);
+    return json(500, { ok: false, error: "Offer unavailable" });
+  }
+}
@@ -0,0 +1,60 @@
+// netlify/functions/outbox.js
+// Staff-only view of leads whose delivery is queued, being retried or has been parked (see lib/outbox.js):
+//   GET  /api/outbox?status=pending|retrying|dead   → { ok, count, entries: [{ leadId, createdAt, subject, channels }] }
+//   POST /api/outbox/replay                 → replay every parked lead now
+//   POST /api/outbox/:leadId/replay         → replay one lead's queued channels now
+// Replays answer { ok, tried, delivered, parked }; a channel that fails again stays parked.
+import { requireStaff } from "../lib/auth.js";
+import { listOutbox, replay } from "../lib/outbox.js";
+import { decodeSegment } from "../lib/site.js";
+
+const headers = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Headers": "content-type, authorization, x-admin-token",
+  "Content-Type": "application/json",
+  "Cache-Control": "no-store",
+};
+
+const json = (statusCode, body) => ({ statusCode, headers, body: JSON.stringify(body) });
+
+/**
+ * "/api/outbox/<leadId>/replay" → { replay: true, leadId }, "/api/outbox/replay" → { replay: true }
+ * leadId is null when it isn't valid percent-encoding.
+ */
+function route(p) {
+  const m = /\/outbox(?:\/([^/?#]+))?(\/replay)?\/?$/.exec(p || "");
+  if (!m) return {};
+  if (m[1] === "replay" && !m[2]) return { replay: true };
+  return { replay: Boolean(m[2]), leadId: m[1] ? decodeSegment(m[1]) : "" };
+}
+
+export async function handler(event) {
+  if (event.httpMethod === "OPTIONS") {
+    return { statusCode: 200, headers, body: "ok" };
+  }
+
+  const denied = requireStaff(event, headers);
+  if (denied) return denied;
+
+  const { replay: isReplay, leadId } = route(event.path);
+  if (leadId === null) return json(404, { ok: false, error: "Nothing queued for this lead" });
+  try {
+    if (event.httpMethod === "GET" && !isReplay && !leadId) {
+      const status = (event.queryStringParameters || {}).status;
+      if (status && !["pending", "retrying", "dead"].includes(status)) {
+        return json(400, { ok: false, error: "status must be pending, retrying or dead" });
+      }
+      const entries = await listOutbox({ status });
+      return json(200, { ok: true, count: entries.length, entries });
+    }
+    if (event.httpMethod === "POST" && isReplay) {
+      const { found, ...result } = await replay({ leadId });
+      if (leadId && !found) return json(404, { ok: false, error: "Nothing queued for this lead" });
+      return json(200, { ok: true, ...result });
+    }
+  } catch (e) {
+    console.error("Outbox failed:", e);
+    return json(500, { ok: false, error: "Outbox unavailable" });
+  }
+  return json(405, { ok: false, error: "Method Not Allowed" });
+}
@@ -0,0 +1,58 @@
+// netlify/functions/photos.js
+// Signed photo links from lead emails and the staff inbox:
+//   GET /api/photos/:leadId/:file?exp=&sig=   → the image (403 when the link is bad or expired, 404 when missing)
+import { readPhoto, verifyPhotoSignature } from "../lib/photo-store.js";
+import { decodeSegment } from "../lib/site.js";
+
+const text = (statusCode, body) =>
+  ({ statusCode, headers: { "Content-Type": "text/plain; charset=utf-8", "Cache-Control": "no-store" }, body });
+
+/**
+ * "/api/photos/20261018-7KQ2MX/01-photoExterior.jpg" or "/.netlify/functions/photos/…" → object key.
+ * null when the path isn't valid percent-encoding (no photo can live there).
+ */
+function keyFromPath(p) {
+  const m = /\/photos\/(.+?)\/?$/.exec(p || "");
+  if (!m) return "";
+  const parts = m[1].split("/").map(decodeSegment);
+  return parts.includes(null) ? null : parts.join("/");
+}
+
+export async function handler(event) {
+  if (event.httpMethod !== "GET" && event.httpMethod !== "HEAD") {
+    return text(405, "Method Not Allowed");
+  }
+
+  const key = keyFromPath(event.path);
+  if (key === null) return text(404, "Photo not found");
+  const q = event.queryStringParameters || {};
+  if (!key || !verifyPhotoSignature(key, q.exp, q.sig)) {
+    return text(403, "This photo link is invalid or has expired.");
+  }
+
+  let photo;
+  try {
+    photo = await readPhoto(key);
+  } catch (e) {
+    console.error("Photo store read failed:", e);
+    return text(500, "Photo store unavailable");
+  }
+  if (!photo) return text(404, "Photo not found");
+
+  // Only raster images render inline; anything else (or SVG) downloads instead of running on our origin
+  const inline = /^image\/(jpeg|png|webp|gif|heic|heif|avif)$/.test(photo.contentType);
+
+  // Links are signed per object and never change content, so browsers may keep them until expiry
+  const maxAge = Math.max(0, Math.floor(Number(q.exp) - Date.now() / 1000));
+  return {
+    statusCode: 200,
+    headers: {
+      "Content-Type": inline ? photo.contentType : "application/octet-stream",
+      ...(inline ? {} : { "Content-Disposition": "attachment" }),
+      "Cache-Control": `private, max-age=${maxAge}`,
+      "X-Content-Type-Options": "nosniff",
+    },
+    body: photo.buffer.toString("base64"),
+    isBase64Encoded: true,
+  };
+}
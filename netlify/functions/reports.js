@@ -0,0 +1,151 @@
+// netlify/functions/reports.js
+// Staff-only marketing reports from the lead store:
+//   GET /api/reports/campaigns?from=&to=&touch=last|first&format=json|csv
+//     → { ok, from, to, touch, leads, repeats, rows: [{ source, medium, campaign, leads, repeats }] }
+//   GET /api/reports/dashboard?from=&to=   (the /admin page's metrics)
+//     → { ok, from, to, leads, repeats, perDay: [{ day, leads }], decode: { withVin, decoded, rate },
+//         photos: { withPhotos, rate }, conversion: [{ source, leads, offered, accepted, rate }] }
+// Dates are "YYYY-MM-DD" (inclusive; default: the last 30 days). Repeat submissions
+// (duplicateOf set) are counted separately so one customer doesn't inflate a campaign.
+import { getLeadStore, leadStatus } from "../lib/lead-store.js";
+import { requireStaff } from "../lib/auth.js";
+import { channelOf } from "../lib/attribution.js";
+import { isDocumentField } from "../lib/uploads.js";
+
+const DEFAULT_DAYS = 30;
+
+const headers = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Headers": "content-type, authorization, x-admin-token",
+  "Content-Type": "application/json",
+  "Cache-Control": "no-store",
+};
+
+const json = (statusCode, body) => ({ statusCode, headers, body: JSON.stringify(body) });
+
+const DAY_RE = /^\d{4}-\d{2}-\d{2}$/;
+const day = (d) => d.toISOString().slice(0, 10);
+
+/** { from, to } as "YYYY-MM-DD", or null when either is malformed */
+function dateRange(q, now = new Date()) {
+  const to = String(q.to || day(now));
+  const from = String(q.from || day(new Date(Date.parse(`${to}T00:00:00Z`) - (DEFAULT_DAYS - 1) * 86400000)));
+  const valid = (s) => DAY_RE.test(s) && !Number.isNaN(Date.parse(`${s}T00:00:00Z`));
+  if (!valid(from) || !valid(to) || from > to) return null;
+  return { from, to };
+}
+
+/** Lead counts per source / medium / campaign, biggest first */
+export function campaignRows(records, touch = "last") {
+  const rows = new Map();
+  for (const r of records) {
+    const c = channelOf({ ...(r.fields || {}), ...(r.lead || {}) }, touch);
+    const key = [c.source, c.medium, c.campaign].join("\n");
+    const row = rows.get(key) || rows.set(key, { ...c, leads: 0, repeats: 0 }).get(key);
+    if (r.duplicateOf) row.repeats++;
+    else row.leads++;
+  }
+  return [...rows.values()].sort((a, b) =>
+    b.leads - a.leads || b.repeats - a.repeats || a.source.localeCompare(b.source) || a.campaign.localeCompare(b.campaign));
+}
+
+// Hidden vin* inputs the NHTSA decode fills in — any of them set means the VIN decoded
+const VIN_SPEC_FIELDS = ["vinBodyClass", "vinDriveType", "vinDisplacementL", "vinCylinders", "vinFuelType", "vinTransmission", "vinPlantCountry"];
+
+const rate = (n, of) => (of ? Math.round((n / of) * 1000) / 10 : null); // percent, one decimal
+
+/**
+ * Dashboard numbers for new leads in a date range (repeats only counted):
+ * leads per day, VIN decode success, share of leads with photos, and how far each
+ * last-touch utmSource gets (offer sent → accepted).
+ */
+export function dashboardMetrics(records, { from, to }) {
+  const leads = records.filter((r) => !r.duplicateOf);
+
+  const perDay = new Map();
+  for (let d = Date.parse(`${from}T00:00:00Z`); day(new Date(d)) <= to; d += 86400000) perDay.set(day(new Date(d)), 0);
+  for (const r of leads) {
+    const k = String(r.createdAt).slice(0, 10);
+    if (perDay.has(k)) perDay.set(k, perDay.get(k) + 1);
+  }
+
+  const withVin = leads.filter((r) => String((r.lead || {}).vin || "").length === 17);
+  const decoded = withVin.filter((r) => VIN_SPEC_FIELDS.some((k) => String((r.fields || {})[k] || "").trim()));
+  const withPhotos = leads.filter((r) => (r.photos || []).some((p) => !isDocumentField(p.field)));
+
+  const bySource = new Map();
+  for (const r of leads) {
+    const source = channelOf({ ...(r.fields || {}), ...(r.lead || {}) }).source;
+    const row = bySource.get(source) || bySource.set(source, { source, leads: 0, offered: 0, accepted: 0 }).get(source);
+    row.leads++;
+    if ((r.statusHistory || []).some((h) => h.status === "offered")) row.offered++;
+    if (leadStatus(r) === "accepted") row.accepted++;
+  }
+  const conversion = [...bySource.values()]
+    .map((row) => ({ ...row, rate: rate(row.accepted, row.leads) }))
+    .sort((a, b) => b.leads - a.leads || a.source.localeCompare(b.source));
+
+  return {
+    leads: leads.length,
+    repeats: records.length - leads.length,
+    perDay: [...perDay].map(([d, n]) => ({ day: d, leads: n })),
+    decode: { withVin: withVin.length, decoded: decoded.length, rate: rate(decoded.length, withVin.length) },
+    photos: { withPhotos: withPhotos.length, rate: rate(withPhotos.length, leads.length) },
+    conversion,
+  };
+}
+
+const csvCell = (v) => (/[",\n]/.test(String(v)) ? `"${String(v).replace(/"/g, '""')}"` : String(v));
+
+function toCsv(rows) {
+  const cols = ["source", "medium", "campaign", "leads", "repeats"];
+  return [cols.join(","), ...rows.map((r) => cols.map((c) => csvCell(r[c])).join(","))].join("\r\n") + "\r\n";
+}
+
+export async function handler(event) {
+  if (event.httpMethod === "OPTIONS") {
+    return { statusCode: 200, headers, body: "ok" };
+  }
+  if (event.httpMethod !== "GET") {
+    return json(405, { ok: false, error: "Method Not Allowed" });
+  }
+
+  const denied = requireStaff(event, headers);
+  if (denied) return denied;
+
+  const report = (/\/reports\/(campaigns|dashboard)\/?$/.exec(event.path || "") || [])[1];
+  if (!report) {
+    return json(404, { ok: false, error: "Unknown report" });
+  }
+
+  const q = event.queryStringParameters || {};
+  const range = dateRange(q);
+  if (!range) return json(400, { ok: false, error: "from/to must be YYYY-MM-DD dates, from on or before to" });
+  const touch = q.touch === "first" ? "first" : "last";
+
+  let records;
+  try {
+    records = await getLeadStore().range(range);
+  } catch (e) {
+    console.error("Lead store read failed:", e);
+    return json(500, { ok: false, error: "Lead store unavailable" });
+  }
+
+  if (report === "dashboard") return json(200, { ok: true, ...range, ...dashboardMetrics(records, range) });
+
+  const rows = campaignRows(records, touch);
+  if (q.format === "csv") {
+    return {
+      statusCode: 200,
+      headers: {
+        ...headers,
+        "Content-Type": "text/csv; charset=utf-8",
+        "Content-Disposition": `attachment; filename="campaigns-${touch}-${range.from}-to-${range.to}.csv"`,
+      },
+      body: toCsv(rows),
+    };
+  }
+
+  const total = (k) => rows.reduce((n, r) => n + r[k], 0);
+  return json(200, { ok: true, ...range, touch, leads: total("leads"), repeats: total("repeats"), rows });
+}
@@ -0,0 +1,95 @@
+// netlify/functions/sms-inbound.js
+// Customer replies to our texts (POST /api/sms/inbound — the provider's inbound-message webhook, see lib/sms.js):
+//   STOP (and the other opt-out words) → number opted out, confirmation reply
+//   START                              → opted back in
+//   HELP                               → help reply with the dealership's number
+//   anything else                      → emailed to the staff routed on the customer's latest lead
+//                                        and kept on that lead (messages), no auto-reply
+// Replies are in the language of the customer's latest lead.
+import { getLeadStore } from "../lib/lead-store.js";
+import { sendEmail, staffRecipients } from "../lib/delivery.js";
+import { leadUrl, siteOrigin } from "../lib/site.js";
+import { keywordOf, setOptOut, smsProvider } from "../lib/sms.js";
+import { renderCustomerSms } from "../templates/sms.js";
+
+const headers = { "Content-Type": "application/json", "Cache-Control": "no-store" };
+const json = (statusCode, body) => ({ statusCode, headers, body: JSON.stringify(body) });
+
+const escapeHtml = (s) =>
+  String(s).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+
+/** The customer's newest lead for a texting number, or null */
+async function latestLead(from) {
+  const phone = String(from).replace(/\D/g, "").slice(-10);
+  if (phone.length !== 10) return null;
+  try {
+    const [record] = await getLeadStore().search({ phone, limit: 1 });
+    return record || null;
+  } catch (e) {
+    console.error("Lead lookup failed:", e.message);
+    return null;
+  }
+}
+
+/** Email a free-text reply to whoever the lead was routed to and keep it on the lead */
+async function forward(event, from, body, record) {
+  const lead = (record && record.lead) || {};
+  const url = record ? leadUrl(siteOrigin(event), record.id) : "";
+  const who = [lead.name, from].filter(Boolean).join(" ");
+  const vehicle = [lead.year, lead.make, lead.model].filter(Boolean).join(" ");
+  const text = [`Text from ${who}${vehicle ? ` (${vehicle})` : ""}:`, "", body, "", url ? `Lead: ${url}` : "No matching lead."]
+    .join("\n");
+  const html = `<p>Text from <b>${escapeHtml(who)}</b>${vehicle ? ` (${escapeHtml(vehicle)})` : ""}:</p>`
+    + `<blockquote style="white-space:pre-wrap">${escapeHtml(body)}</blockquote>`
+    + (url ? `<p><a href="${escapeHtml(url)}">Open lead ${escapeHtml(record.id)}</a></p>` : "<p>No matching lead.</p>");
+
+  const to = (record && record.routing && record.routing.to && record.routing.to.length) ? record.routing.to : staffRecipients();
+  let forwarded = { ok: true, at: new Date().toISOString() };
+  try {
+    await sendEmail({ to, subject: `Text reply${record ? ` – lead ${record.id}` : ""} – ${who}`, text, html });
+  } catch (e) {
+    console.error("Text forward failed:", e.message);
+    forwarded = { ok: false, at: forwarded.at, error: e.message };
+  }
+
+  if (record) {
+    try {
+      const messages = [...(record.messages || []), { direction: "in", channel: "sms", from, body, at: forwarded.at, forwarded }];
+      await getLeadStore().save({ ...record, messages });
+    } catch (e) {
+      console.error(`Lead store update failed (${record.id}):`, e.message);
+    }
+  }
+  return forwarded;
+}
+
+export async function handler(event) {
+  const provider = smsProvider();
+  if (!provider) return json(404, { ok: false, error: "Texting is not enabled" });
+  if (event.httpMethod !== "POST") return json(405, { ok: false, error: "Method Not Allowed" });
+  if (!provider.verify(event)) return json(403, { ok: false, error: "Bad signature" });
+
+  const { from, body } = provider.inbound(event);
+  if (!from) return json(400, { ok: false, error: "Missing sender" });
+
+  const record = await latestLead(from);
+  const lang = (record && record.lead && record.lead.lang) || "en";
+  const keyword = keywordOf(body);
+  try {
+    if (keyword === "stop") {
+      await setOptOut(from, true);
+      return provider.reply(renderCustomerSms("stopped", { lang }));
+    }
+    if (keyword === "start") {
+      await setOptOut(from, false);
+      return provider.reply(renderCustomerSms("started", { lang }));
+    }
+  } catch (e) {
+    console.error("Opt-out update failed:", e);
+    return json(500, { ok: false, error: "Opt-out store unavailable" });
+  }
+  if (keyword === "help") return provider.reply(renderCustomerSms("help", { lang }));
+
+  if (String(body).trim()) await forward(event, from, body, record);
+  return provider.reply("");
+}
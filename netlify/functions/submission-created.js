@@ -1,31 +1,25 @@
 // netlify/functions/submission-created.js
-import sg from "@sendgrid/mail";
-
-// --- Configuration ---
-// Ensure your environment variables are set in the Netlify UI:
-// SENDGRID_API_KEY: Your SendGrid API key.
-// FROM_EMAIL: A verified sender email address in your SendGrid account.
-// TO_EMAIL: A comma-separated list of recipient email addresses.
-const TO_EMAILS = (process.env.TO_EMAIL || "steve@quirkcars.com,gmcintosh@quirkcars.com,lmendez@quirkcars.com").split(',');
-const FROM_EMAIL = process.env.FROM_EMAIL;
-const SENDGRID_API_KEY = process.env.SENDGRID_API_KEY;
-
-sg.setApiKey(SENDGRID_API_KEY || "");
+// Netlify Forms "submission-created" event. The submission goes through the same intake as a direct
+// POST to /api/trade-appraisal (lib/intake.js): normalized, stored, emailed and sent on by the
+// channels in lib/delivery.js, so both paths produce identical leads.
+import { getLeadStore } from "../lib/lead-store.js";
+import { findDuplicate } from "../lib/duplicates.js";
+import { leadChannels } from "../lib/delivery.js";
+import { BOT_FIELDS } from "../lib/bot-check.js";
+import { normalizeLead, acceptLead } from "../lib/intake.js";
+import { validateLead } from "../../assets/lead-schema.js";
+
+// Netlify Forms bookkeeping fields, not part of the lead
+const NETLIFY_FIELDS = ["form-name", "bot-field", "ip", "user_agent"];
+
+// Per-file download limit, so one stalled upload can't hold the whole submission
+const FETCH_TIMEOUT_MS = 15000;
 
 /**
  * Main function handler for the 'submission-created' event.
  */
 export async function handler(event) {
-  // 1. Check for required configuration
-  if (!SENDGRID_API_KEY || !FROM_EMAIL || TO_EMAILS.length === 0) {
-    console.error("Missing required environment variables (SENDGRID_API_KEY, FROM_EMAIL, TO_EMAIL).");
-    return {
-      statusCode: 500,
-      body: "Server configuration error: Missing API keys or email configuration.",
-    };
-  }
-
-  // 2. Safely parse the incoming submission data
+  // 1. Safely parse the incoming submission data
   let payload;
   try {
     payload = JSON.parse(event.body || "{}").payload || {};
@@ -34,177 +28,63 @@ export async function handler(event) {
     return { statusCode: 400, body: "Invalid webhook payload" };
   }
 
-  const data = payload.data || {};
-  const files = payload.files || [];
-
-  // 3. Generate email content from form data
-  const { subject, htmlBody, textBody } = createEmailContent(data);
-
-  // 4. Process and fetch file attachments
-  let attachments = [];
-  if (files.length > 0) {
-    try {
-      attachments = await processAttachments(files);
-    } catch (error) {
-      console.error("Failed to process attachments:", error);
-      // Decide if you still want to send the email without attachments
-      // For now, we'll continue and just log the error.
-    }
+  const rawData = {};
+  for (const [k, v] of Object.entries(payload.data || {})) {
+    if (!NETLIFY_FIELDS.includes(k)) rawData[k] = Array.isArray(v) ? v.join(", ") : v;
   }
+  if (String(rawData.company || "").trim()) return { statusCode: 200, body: "ok" }; // honeypot
+  for (const k of BOT_FIELDS) delete rawData[k]; // form token / challenge answer, not part of the lead
 
-  const filesHtml = files.length > 0
-    ? `<ul>${files.map(f => `<li><a href="${f.url}">${f.filename || f.url}</a></li>`).join("")}</ul>`
-    : `<p>No photos uploaded.</p>`;
+  // 2. Netlify already accepted the submission, so a failed check is logged, not dropped
+  const { ok, errors } = validateLead(rawData);
+  if (!ok) console.warn(`Netlify Forms submission ${payload.id || ""} failed validation:`, JSON.stringify(errors));
 
-  // 5. Send the email using SendGrid
+  const lead = normalizeLead(rawData);
+  const idempotencyKey = String(rawData.idempotencyKey || "").trim().slice(0, 100);
+  let duplicate = {};
   try {
-    await sg.send({
-      to: TO_EMAILS,
-      from: FROM_EMAIL,
-      subject,
-      text: `${textBody}\n\nPhotos:\n${files.map(f => f.url).join("\n") || "No photos uploaded."}`,
-      html: `${htmlBody}<h3 style="margin-top:16px;">Photos</h3>${filesHtml}`,
-      attachments: attachments.length ? attachments : undefined,
-    });
+    duplicate = await findDuplicate(getLeadStore(), lead, idempotencyKey);
   } catch (error) {
-    // Log detailed error information from SendGrid
-    console.error("SendGrid API Error:", JSON.stringify(error.response?.body || error.message, null, 2));
-    return { statusCode: 502, body: "Failed to send email via provider." };
-  }
-
-  // 6. (Optional) Trigger backup webhook
-  await triggerBackupWebhook(data, files);
-
-  return { statusCode: 200, body: "ok" };
-}
-
-
-/**
- * Creates the subject, HTML body, and text body for the email.
- * Ensures "Sales Consultant" (from `salesConsultant`) is shown LAST.
- * @param {object} data - The form submission data.
- * @returns {{subject: string, htmlBody: string, textBody: string}}
- */
-function createEmailContent(data) {
-  const included = new Set(["form-name", "company", "bot-field", "honeypot"]);
-  const rows = [];
-  const hasVal = (v) => v !== undefined && v !== null && String(v).trim() !== "";
-
-  // We'll collect all keys except salesConsultant first (sorted for consistency)
-  const allKeys = Object.keys(data).sort();
-  for (const k of allKeys) {
-    if (included.has(k)) continue;
-    if (k === "salesConsultant") continue; // hold until the end
-    const v = data[k];
-    if (hasVal(v)) rows.push([k, Array.isArray(v) ? v.join(", ") : String(v)]);
-  }
-
-  // Append Sales Consultant at the very end with a friendly label if present
-  if (hasVal(data.salesConsultant)) {
-    rows.push(["Sales Consultant", String(data.salesConsultant)]);
+    console.error("Duplicate check failed:", error);
   }
+  if (duplicate.replay) return { statusCode: 200, body: "ok" };
 
-  const htmlEscape = (s) =>
-    String(s).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+  // 3. Copy uploads into the photo store; ones that can't be downloaded are listed in the email
+  const { uploads, failed } = await fetchFiles(payload.files || []);
 
-  const htmlBody = `
-    <h2 style="margin:0 0 12px 0;font-family:system-ui,Segoe UI,Roboto,Helvetica,Arial;">New Trade-In Lead</h2>
-    <table cellpadding="6" cellspacing="0" border="0" style="border-collapse:collapse;">
-      ${rows
-        .map(
-          ([k, v]) => `
-        <tr>
-          <th align="left" style="text-transform:capitalize;font-family:system-ui,Segoe UI,Roboto,Helvetica,Arial;font-size:14px;color:#111827;padding:6px 10px 6px 0;">${htmlEscape(k)}</th>
-          <td style="font-family:system-ui,Segoe UI,Roboto,Helvetica,Arial;font-size:14px;color:#111827;padding:6px 0;">${htmlEscape(v)}</td>
-        </tr>`
-        )
-        .join("")}
-    </table>
-  `;
-
-  const textBody = rows.map(([k, v]) => `${k}: ${v}`).join("\n");
-  const subject = `New Trade-In Lead – ${data.year || ""} ${data.make || ""} ${data.model || ""}`
-    .replace(/\s+/g, " ")
-    .trim();
+  // 4. Store + queue delivery (lib/outbox.js sends it) — stored even with no channel configured,
+  //    like /api/trade-appraisal, so the lead is in the inbox once one is
+  const { accepted } = await acceptLead({
+    event, rawData, lead, uploads, rejectedUploads: failed, duplicate, idempotencyKey, source: "netlify-forms",
+  });
+  if (!leadChannels().length) console.error("No lead delivery channel is configured (see netlify/lib/delivery.js).");
+  if (!accepted) return { statusCode: 502, body: "Failed to deliver lead." };
 
-  return { subject, htmlBody, textBody };
+  return { statusCode: 200, body: "ok" };
 }
 
 /**
- * Fetches uploaded files and prepares them for SendGrid attachments.
+ * Downloads Netlify Forms uploads so they can be copied into the photo store.
+ * Files that can't be fetched are returned in `failed` with their Netlify link (and logged).
  * @param {Array<object>} files - Array of file objects from Netlify.
- * @returns {Promise<Array<object>>} - A promise that resolves to an array of SendGrid attachment objects.
+ * @returns {Promise<{ uploads: Array<{ field, filename, mimetype, buffer, size }>, failed: Array<{ field, filename, reason }> }>}
  */
-async function processAttachments(files) {
-  const MAX_ATTACH = 10;
-  const MAX_EACH_MB = 7;
-  const MAX_TOTAL_MB = 20;
-
-  const attachments = [];
-  let totalSize = 0;
-
-  const fetchPromises = files.slice(0, MAX_ATTACH).map(async (file) => {
+async function fetchFiles(files) {
+  const results = await Promise.all(files.map(async (file) => {
+    const field = file.field || file.name || "photo";
+    const filename = file.filename || "photo";
     try {
-      const response = await fetch(file.url);
-      if (!response.ok) {
-        console.warn(`Failed to fetch attachment from ${file.url}, status: ${response.status}`);
-        return null;
-      }
-
-      const arrayBuffer = await response.arrayBuffer();
-      const buffer = Buffer.from(arrayBuffer);
-      const size = buffer.byteLength;
-
-      if (size > MAX_EACH_MB * 1024 * 1024) {
-        console.warn(`Skipping attachment ${file.filename} as it exceeds the ${MAX_EACH_MB}MB limit.`);
-        return null;
-      }
-      if (totalSize + size > MAX_TOTAL_MB * 1024 * 1024) {
-        console.warn(`Skipping attachment ${file.filename} as it would exceed the total ${MAX_TOTAL_MB}MB limit.`);
-        return null;
-      }
-      totalSize += size;
-
-      return {
-        content: buffer.toString("base64"),
-        filename: file.filename,
-        type: file.type || "application/octet-stream",
-        disposition: "attachment",
-      };
+      const response = await fetch(file.url, { signal: AbortSignal.timeout(FETCH_TIMEOUT_MS) });
+      if (!response.ok) throw new Error(`status ${response.status}`);
+      const buffer = Buffer.from(await response.arrayBuffer());
+      return { upload: { field, filename, mimetype: file.type || "application/octet-stream", buffer, size: buffer.byteLength } };
     } catch (error) {
-      console.error(`Error processing attachment ${file.url}:`, error);
-      return null;
-    }
-  });
-
-  const results = await Promise.all(fetchPromises);
-  return results.filter(Boolean); // Filter out any nulls from failed fetches/skips
-}
-
-/**
- * (Optional) Sends submission data to a backup service like Google Sheets.
- * @param {object} data - The form submission data.
- * @param {Array<object>} files - The array of file objects.
- */
-async function triggerBackupWebhook(data, files) {
-  if (!process.env.SHEETS_WEBHOOK_URL) return;
-
-  try {
-    const fileUrls = files.map((f) => f.url);
-    const lead = { ...data, fileUrls, _ts: new Date().toISOString() };
-    const secret = process.env.SHEETS_SHARED_SECRET;
-    let url = process.env.SHEETS_WEBHOOK_URL;
-    if (secret) {
-      url += `?secret=${encodeURIComponent(secret)}`;
+      console.warn(`Failed to fetch upload from ${file.url}:`, error.message);
+      return { failed: { field, filename, reason: `couldn't be copied — see ${file.url}` } };
     }
-
-    await fetch(url, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify(lead),
-    });
-  } catch (error) {
-    // Log but do not fail the function if the backup fails
-    console.warn("Backup webhook failed:", error);
-  }
+  }));
+  return {
+    uploads: results.map((r) => r.upload).filter(Boolean),
+    failed: results.map((r) => r.failed).filter(Boolean),
+  };
 }
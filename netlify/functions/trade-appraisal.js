@@ -1,31 +1,40 @@
 // netlify/functions/trade-appraisal.js
-import sg from "@sendgrid/mail";
 import Busboy from "busboy";
-
-sg.setApiKey(process.env.SENDGRID_API_KEY || "");
+import { getLeadStore } from "../lib/lead-store.js";
+import { findDuplicate } from "../lib/duplicates.js";
+import { validateLead } from "../../assets/lead-schema.js";
+import { allowedOrigin } from "../lib/site.js";
+import { hitRateLimit, clientIp } from "../lib/rate-limit.js";
+import { scoreSubmission, BOT_FIELDS } from "../lib/bot-check.js";
+import { UPLOAD_LIMITS } from "../lib/uploads.js";
+import { normalizeLead, acceptLead } from "../lib/intake.js";
 
 /* ----------------- helpers ----------------- */
+// Access-Control-Allow-Origin is added per request for allowed origins (see handler)
 const headers = {
-  "Access-Control-Allow-Origin": "*",
   "Access-Control-Allow-Headers": "content-type",
 };
 
 const safe   = (v) => (typeof v === "string" ? v.trim() : "");
-const digits = (v) => safe(v).replace(/\D/g, "");
-const escape = (s) =>
-  String(s).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
 
-/** Parse multipart/form-data into { fields, files[] }, skipping empty file parts */
+/**
+ * Parse multipart/form-data into { fields, files[], oversize[] }, skipping empty file parts.
+ * Files over UPLOAD_LIMITS.fileBytes (or past the file count) land in `oversize` instead.
+ */
 async function parseMultipart(event) {
   const contentType =
     event.headers["content-type"] ||
     event.headers["Content-Type"] ||
     "";
 
-  const busboy = Busboy({ headers: { "content-type": contentType } });
+  const busboy = Busboy({
+    headers: { "content-type": contentType },
+    limits: { fileSize: UPLOAD_LIMITS.fileBytes, files: UPLOAD_LIMITS.files },
+  });
 
   const fields = {};
   const files = []; // { field, filename, mimetype, buffer, size }
+  const oversize = []; // { field, filename, reason }
 
   const body = event.isBase64Encoded
     ? Buffer.from(event.body || "", "base64")
@@ -47,9 +56,14 @@ async function parseMultipart(event) {
       });
 
       // If a file hits Busboy's size limit, drain it
-      file.on("limit", () => file.resume());
+      let truncated = false;
+      file.on("limit", () => { truncated = true; file.resume(); });
 
       file.on("end", () => {
+        if (truncated) {
+          oversize.push({ field: name, filename: cleanName, reason: "larger than 10 MB" });
+          return;
+        }
         // ✅ Keep only actual user uploads (has name AND >0 bytes)
         if (cleanName && size > 0) {
           files.push({
@@ -64,104 +78,77 @@ async function parseMultipart(event) {
       });
     });
 
+    busboy.on("filesLimit", () => oversize.push({ field: "", filename: "", reason: `more than ${UPLOAD_LIMITS.files} files` }));
     busboy.on("error", reject);
-    busboy.on("finish", () => resolve({ fields, files }));
+    busboy.on("finish", () => resolve({ fields, files, oversize }));
     busboy.end(body);
   });
 }
 
-/** Normalize to your schema */
-function normalizeLead(src) {
-  return {
-    name:  safe(src.name),
-    email: safe(src.email),
-    phone: digits(src.phoneRaw || src.phone).slice(0, 15),
-    vin:   safe((src.vin || "").toUpperCase()),
-    year:  safe(src.year),
-    make:  safe(src.make),
-    model: safe(src.model),
-    trim:  safe(src.trim),
-    mileage: safe(src.mileage),
-    extColor: safe(src.extColor),
-    intColor: safe(src.intColor),
-    referrer: safe(src.referrer),
-    landingPage: safe(src.landingPage),
-    submittedAt: new Date().toISOString(),
-  };
-}
-
-/** Build HTML + text tables (includes all provided fields) */
-function buildEmailBodies(lead, rawData) {
-  const preferred = [
-    "name","email","phone","vin","year","make","model","trim","mileage",
-    "extColor","intColor","title","keys","owners","accident","accidentRepair",
-    "warnings","mech","cosmetic","interior","mods","smells","service",
-    "tires","brakes","wear","utmSource","utmMedium","utmCampaign","utmTerm","utmContent",
-    "referrer","landingPage","submittedAt"
-  ];
-
-  const merged = { ...rawData, ...lead }; // preserve normalized
-  const included = new Set();
-  const rows = [];
-
-  preferred.forEach((k) => {
-    const v = merged[k];
-    if (v !== undefined && v !== null && String(v).trim() !== "") {
-      rows.push([k, String(v)]);
-      included.add(k);
-    }
+/**
+ * Thank-you page with what we received: reference number, vehicle, photo count and the
+ * customer's language (plus the preliminary range when SHOW_ESTIMATE_TO_CUSTOMER is on).
+ * fetch/XHR callers get it as JSON with the successUrl; form posts get a 303 to it.
+ */
+function successResponse(event, { leadId, files, estimate, lead }) {
+  // Customer only sees the range when SHOW_ESTIMATE_TO_CUSTOMER is on
+  const showRange = estimate && process.env.SHOW_ESTIMATE_TO_CUSTOMER === "true";
+  const vehicle = [lead.year, lead.make, lead.model].filter(Boolean).join(" ");
+  const query = new URLSearchParams({
+    ...(leadId ? { ref: leadId } : {}),
+    lang: lead.lang || "en",
+    ...(vehicle ? { vehicle } : {}),
+    photos: String(files),
+    ...(showRange ? { low: String(estimate.low), high: String(estimate.high) } : {}),
   });
+  const successUrl = `/success/index.html?${query}`;
+  const wantsJson =
+    (event.headers["accept"] || "").includes("application/json") ||
+    (event.headers["x-requested-with"] || "").toLowerCase() === "xmlhttprequest";
 
-  Object.keys(merged)
-    .filter((k) => !included.has(k))
-    .sort()
-    .forEach((k) => {
-      const v = merged[k];
-      if (v !== undefined && v !== null && String(v).trim() !== "") {
-        rows.push([k, String(v)]);
-      }
-    });
-
-  const html = `
-    <h2 style="margin:0 0 12px;font-family:system-ui,Segoe UI,Roboto,Helvetica,Arial;">New Trade-In Lead</h2>
-    <p style="margin:0 0 16px;color:#374151;">
-      ${[lead.year, lead.make, lead.model].filter(Boolean).join(" ")}${lead.trim ? ` – ${escape(lead.trim)}` : ""}
-    </p>
-    <table cellpadding="6" cellspacing="0" border="0" style="border-collapse:collapse;font-family:system-ui,Segoe UI,Roboto,Helvetica,Arial;font-size:14px;">
-      ${rows.map(([k,v]) => `
-        <tr>
-          <th align="left" style="text-transform:capitalize;vertical-align:top;color:#111827;padding:6px 10px 6px 0;">${escape(k)}</th>
-          <td style="vertical-align:top;color:#111827;padding:6px 0;">${escape(v)}</td>
-        </tr>
-      `).join("")}
-    </table>
-    <p style="margin-top:16px;color:#6B7280;font-size:12px;">Submitted at ${escape(lead.submittedAt)}</p>
-  `;
-  const text = rows.map(([k,v]) => `${k}: ${v}`).join("\n");
-  return { html, text };
+  if (wantsJson) {
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({
+        ok: true,
+        leadId,
+        files,
+        ...(showRange ? { estimate: { low: estimate.low, high: estimate.high } } : {}),
+        successUrl,
+      }),
+    };
+  }
+  return {
+    statusCode: 303,
+    headers: { ...headers, Location: successUrl },
+    body: "",
+  };
 }
 
-/** Convert parsed files to SendGrid attachments (cap 8), skipping empty/unnamed */
-function toAttachments(files) {
-  return files
-    .filter(f =>
-      f &&
-      f.buffer &&
-      f.buffer.length > 0 &&
-      f.filename &&
-      String(f.filename).trim()
-    )
-    .slice(0, 8)
-    .map((f) => ({
-      content: f.buffer.toString("base64"),
-      filename: f.filename,
-      type: f.mimetype || "application/octet-stream",
-      disposition: "attachment",
-    }));
+/** 429 with Retry-After */
+function tooManyRequests(retryAfter) {
+  return {
+    statusCode: 429,
+    headers: { ...headers, "Content-Type": "application/json", "Retry-After": String(retryAfter) },
+    body: JSON.stringify({ ok: false, error: "Too many submissions — please try again later", code: "rateLimited", retryAfter }),
+  };
 }
 
 /* ----------------- handler ----------------- */
+// Only this site (and ALLOWED_ORIGINS) may post cross-origin; everyone else gets a 403
 export async function handler(event) {
+  const origin = allowedOrigin(event);
+  if (origin === null) {
+    return { statusCode: 403, headers, body: "Origin not allowed" };
+  }
+  const res = await handleSubmission(event);
+  return origin
+    ? { ...res, headers: { ...res.headers, "Access-Control-Allow-Origin": origin, Vary: "Origin" } }
+    : res;
+}
+
+async function handleSubmission(event) {
   // CORS / method guards
   if (event.httpMethod === "OPTIONS") {
     return { statusCode: 200, headers, body: "ok" };
@@ -170,18 +157,24 @@ export async function handler(event) {
     return { statusCode: 405, headers, body: "Method Not Allowed" };
   }
 
+  // Per-IP limit before any parsing work
+  const ipLimit = await hitRateLimit("ip", clientIp(event));
+  if (!ipLimit.ok) return tooManyRequests(ipLimit.retryAfter);
+
   const ct = event.headers["content-type"] || event.headers["Content-Type"] || "";
   const isMultipart = ct.startsWith("multipart/form-data");
 
   let rawData = {};
   let uploads = [];
+  let rejectedUploads = [];
 
   // Parse body
   try {
     if (isMultipart) {
-      const { fields, files } = await parseMultipart(event);
+      const { fields, files, oversize } = await parseMultipart(event);
       rawData = fields;
       uploads = files;
+      rejectedUploads = oversize;
     } else {
       rawData = JSON.parse(event.body || "{}");
     }
@@ -194,67 +187,61 @@ export async function handler(event) {
     return { statusCode: 200, headers, body: JSON.stringify({ ok: true, silent: true }) };
   }
 
-  // Normalize + required
-  const lead = normalizeLead(rawData);
-  if (!lead.name || !lead.email || !lead.phone || !lead.vin) {
-    return { statusCode: 400, headers, body: "Missing required fields" };
+  // Bot score: form token timing, optional challenge widget. Blocked bots get the same silent success
+  // as the honeypot; a failed challenge is reported so a real customer can retry it.
+  const bot = await scoreSubmission(event, rawData);
+  if (bot.blocked) {
+    console.warn(`Submission dropped (bot score ${bot.score}: ${bot.reasons.join("; ")})`);
+    if (bot.challengeFailed) {
+      return {
+        statusCode: 403,
+        headers: { ...headers, "Content-Type": "application/json" },
+        body: JSON.stringify({ ok: false, error: "Verification failed", code: "challenge" }),
+      };
+    }
+    return { statusCode: 200, headers, body: JSON.stringify({ ok: true, silent: true }) };
+  }
+  for (const k of BOT_FIELDS) delete rawData[k];
+
+  // Validate against the schema shared with the browser form
+  const { ok, errors } = validateLead(rawData);
+  if (!ok) {
+    return {
+      statusCode: 422,
+      headers: { ...headers, "Content-Type": "application/json" },
+      body: JSON.stringify({ ok: false, error: "Validation failed", errors }),
+    };
   }
 
-  // Build email
-  const { html, text } = buildEmailBodies(lead, rawData);
-  const att = toAttachments(uploads);
-  const attachments = att.length ? att : undefined; // ✅ only include if there are real files
-  const subjectLine = `New Trade-In Lead – ${lead.name} – ${[lead.year, lead.make, lead.model].filter(Boolean).join(" ")}`.trim();
+  // Normalize
+  const lead = normalizeLead(rawData);
 
-  // Send email
+  // Repeat submissions: same idempotency key → replay; same VIN/phone/email → "updated lead"
+  const store = getLeadStore();
+  const idempotencyKey = safe(rawData.idempotencyKey).slice(0, 100);
+  let duplicate = {};
   try {
-    // allow comma-separated list in TO_EMAIL
-    const recipients = (process.env.TO_EMAIL || "mpalmer@quirkcars.com, steve.obrien@quirkcars.com, jlombard@quirkcars.com, msalihovic@quirkcars.com, nway@quirkcars.com, gmcintosh@quirkcars.com, lmendez@quirkcars.com")
-      .split(",")
-      .map(s => s.trim())
-      .filter(Boolean);
-
-    await sg.send({
-      to: recipients,                    // ✅ now uses TO_EMAIL from Netlify
-      from: process.env.FROM_EMAIL,      // must be a verified sender in SendGrid
-      subject: subjectLine,
-      text,
-      html,
-      attachments,                       // photos ride along if present
-      // replyTo: "sales@quirkcars.com",
-    });
+    duplicate = await findDuplicate(store, lead, idempotencyKey);
   } catch (e) {
-    return { statusCode: 502, headers, body: "Failed to send lead" };
+    console.error("Duplicate check failed:", e);
   }
-
-  // Optional: Sheets backup
-  try {
-    if (process.env.SHEETS_WEBHOOK_URL) {
-      const u = process.env.SHEETS_SHARED_SECRET
-        ? `${process.env.SHEETS_WEBHOOK_URL}?secret=${encodeURIComponent(process.env.SHEETS_SHARED_SECRET)}`
-        : process.env.SHEETS_WEBHOOK_URL;
-
-      await fetch(u, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify(lead),
-      });
-    }
-  } catch {
-    // ignore backup errors
+  if (duplicate.replay) {
+    const { replay } = duplicate;
+    return successResponse(event, { leadId: replay.id, files: (replay.photos || []).length, estimate: replay.estimate, lead: replay.lead || lead });
   }
 
-  // --- Success response ---
-  const wantsJson =
-    (event.headers["accept"] || "").includes("application/json") ||
-    (event.headers["x-requested-with"] || "").toLowerCase() === "xmlhttprequest";
+  // Per-VIN limit (replays above don't count)
+  const vinLimit = await hitRateLimit("vin", lead.vin);
+  if (!vinLimit.ok) return tooManyRequests(vinLimit.retryAfter);
 
-  if (wantsJson) {
-    return { statusCode: 200, headers, body: JSON.stringify({ ok: true, files: (attachments ? attachments.length : 0) }) };
+  // Store and queue staff channels, customer confirmation and ADF — same path as Netlify Forms submissions.
+  // The customer sees success once the lead is stored; the outbox sends it in the background (lib/outbox.js)
+  const { leadId, files, estimate, accepted } = await acceptLead({
+    event, rawData, lead, uploads, rejectedUploads, duplicate, idempotencyKey, bot, source: "form",
+  });
+  if (!accepted) {
+    return { statusCode: 502, headers, body: "Failed to send lead" };
   }
-  return {
-    statusCode: 303,
-    headers: { ...headers, Location: "/success/index.html" },
-    body: "",
-  };
+
+  return successResponse(event, { leadId, files, estimate, lead });
 }
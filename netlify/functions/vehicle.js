@@ -0,0 +1,55 @@
+// netlify/functions/vehicle.js
+// Public vehicle lookups for the form (replaces direct browser calls to vPIC):
+//   GET /api/vin/:vin                 → { ok, year, make, model, trim, specs, source }
+//   GET /api/models?make=&year=       → { ok, models: [], source }
+//   GET /api/makes                    → { ok, makes: [] }   (bundled catalog)
+import { decodeVin, modelsFor, catalogMakes } from "../lib/vehicle-data.js";
+import { decodeSegment } from "../lib/site.js";
+import { VIN_RE } from "../../assets/lead-schema.js";
+
+const headers = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Headers": "content-type",
+  "Content-Type": "application/json",
+};
+
+const json = (statusCode, body, extra = {}) =>
+  ({ statusCode, headers: { ...headers, ...extra }, body: JSON.stringify(body) });
+
+// Browsers may reuse answers for a while; "local" fallbacks shouldn't stick
+const cacheFor = (source) =>
+  ({ "Cache-Control": source === "local" ? "no-store" : "public, max-age=3600" });
+
+export async function handler(event) {
+  if (event.httpMethod === "OPTIONS") {
+    return { statusCode: 200, headers, body: "ok" };
+  }
+  if (event.httpMethod !== "GET") {
+    return json(405, { ok: false, error: "Method Not Allowed" });
+  }
+
+  const p = event.path || "";
+  const q = event.queryStringParameters || {};
+
+  const vinMatch = /\/vin\/([^/?#]+)\/?$/.exec(p);
+  if (vinMatch) {
+    const vin = String(decodeSegment(vinMatch[1]) ?? "").trim().toUpperCase(); // malformed → "" → Invalid VIN
+    if (!VIN_RE.test(vin)) return json(400, { ok: false, error: "Invalid VIN" });
+    const out = await decodeVin(vin);
+    return json(200, { ok: true, ...out }, cacheFor(out.source));
+  }
+
+  if (/\/models\/?$/.test(p)) {
+    const make = String(q.make || "").trim();
+    const year = String(q.year || "").trim();
+    if (!make || !/^\d{4}$/.test(year)) return json(400, { ok: false, error: "make and year are required" });
+    const out = await modelsFor(make, year);
+    return json(200, { ok: true, ...out }, cacheFor(out.source));
+  }
+
+  if (/\/makes\/?$/.test(p)) {
+    return json(200, { ok: true, makes: catalogMakes() }, { "Cache-Control": "public, max-age=86400" });
+  }
+
+  return json(404, { ok: false, error: "Not found" });
+}
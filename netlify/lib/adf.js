@@ -0,0 +1,194 @@
+// netlify/lib/adf.js
+// ADF 1.0 (Auto-lead Data Format) serializer + CRM delivery (sent and retried from lib/outbox.js).
+//
+// Environment:
+//   ADF_DELIVERY   - "post", "email" or "both" (unset = ADF disabled)
+//   ADF_POST_URL   - CRM endpoint that accepts ADF XML via HTTP POST
+//   ADF_POST_AUTH  - (Optional) value sent as the Authorization header
+//   ADF_EMAIL_TO   - comma-separated CRM intake address(es) for the attachment
+//   ADF_VENDOR     - dealership name written into <vendor> (default "Quirk Volkswagen MA")
+import { sendEmail } from "./delivery.js";
+import { cleanConditionReport, conditionReportText } from "../../assets/condition-questions.js";
+
+/** Condition answers (same keys as the lead email) rendered into vehicle comments */
+const CONDITION_FIELDS = [
+  ["title", "Title"],
+  ["lienholder", "Lienholder"],
+  ["payoff", "Estimated payoff (USD)"],
+  ["keys", "Keys"],
+  ["owners", "Owners"],
+  ["accident", "Accident"],
+  ["accidentRepair", "Accident repair"],
+  ["warnings", "Warning lights"],
+  ["mech", "Mechanical"],
+  ["cosmetic", "Cosmetic"],
+  ["interior", "Interior"],
+  ["mods", "Modifications"],
+  ["smells", "Smells"],
+  ["service", "Service"],
+  ["tires", "Tires"],
+  ["brakes", "Brakes"],
+  ["wear", "Other wear"],
+];
+
+const xml = (s) =>
+  String(s ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+
+const str = (v) => (v === undefined || v === null ? "" : String(v).trim());
+const digitsOnly = (v) => str(v).replace(/\D/g, "");
+
+/** <tag attr="..">value</tag>, or "" when the value is empty */
+function el(tag, value, attrs = {}) {
+  const v = str(value);
+  if (!v) return "";
+  const a = Object.entries(attrs)
+    .map(([k, val]) => ` ${k}="${xml(val)}"`)
+    .join("");
+  return `<${tag}${a}>${xml(v)}</${tag}>`;
+}
+
+/** Rough ADF condition bucket from the customer's answers */
+function conditionRating(src) {
+  const title = str(src.title).toLowerCase();
+  if (title === "salvage" || title === "rebuilt") return "poor";
+
+  let hits = 0;
+  if (str(src.accident).toLowerCase() === "yes") hits++;
+  if (str(src.warnings).toLowerCase() === "yes") hits++;
+  if (/needs replacement/i.test(str(src.tires))) hits++;
+  if (/needs replacement/i.test(str(src.brakes))) hits++;
+  if (str(src.mech)) hits++;
+
+  if (hits === 0) return "excellent";
+  if (hits === 1) return "good";
+  if (hits === 2) return "fair";
+  return "poor";
+}
+
+/** Condition answers as "Label: value" lines for <comments>, then the follow-up answers by group */
+function conditionComments(src) {
+  return [
+    ...CONDITION_FIELDS
+      .map(([k, label]) => [label, str(src[k])])
+      .filter(([, v]) => v)
+      .map(([label, v]) => `${label}: ${v}`),
+    conditionReportText(cleanConditionReport(src.conditionReport, src)),
+  ].filter(Boolean).join("\n");
+}
+
+/**
+ * Serialize a normalized lead (+ raw form fields) into an ADF 1.0 XML document.
+ * @param {object} lead - output of normalizeLead()
+ * @param {object} rawData - raw submitted fields (condition answers, consultant, UTM)
+ * @returns {string}
+ */
+export function buildAdf(lead, rawData = {}) {
+  const src = { ...rawData, ...lead };
+  const vendorName = process.env.ADF_VENDOR || "Quirk Volkswagen MA";
+
+  const colors = (src.extColor || src.intColor)
+    ? `<colorcombination>${el("interiorcolor", src.intColor)}${el("exteriorcolor", src.extColor)}<preference>1</preference></colorcombination>`
+    : "";
+
+  const customerComments = [
+    str(src.salesConsultant) && `Sales consultant: ${str(src.salesConsultant)}`,
+    str(src.utmSource) && `Source: ${[src.utmSource, src.utmMedium, src.utmCampaign].map(str).filter(Boolean).join(" / ")}`,
+    str(src.referrer) && `Referrer: ${str(src.referrer)}`,
+    str(src.firstUtmSource) && `First touch: ${[src.firstUtmSource, src.firstUtmMedium, src.firstUtmCampaign].map(str).filter(Boolean).join(" / ")}`,
+    str(src.gclid) && `Google Ads click: ${str(src.gclid)}`,
+    str(src.fbclid) && `Meta ad click: ${str(src.fbclid)}`,
+    str(src.lang) && src.lang !== "en" && `Preferred language: ${str(src.lang)}`,
+  ].filter(Boolean).join("\n");
+
+  return [
+    `<?xml version="1.0" encoding="UTF-8"?>`,
+    `<?adf version="1.0"?>`,
+    `<adf>`,
+    `<prospect status="new">`,
+    el("requestdate", src.submittedAt || new Date().toISOString()),
+    `<vehicle interest="trade-in" status="used">`,
+    el("year", src.year),
+    el("make", src.make),
+    el("model", src.model),
+    el("vin", src.vin),
+    el("trim", src.trim),
+    el("odometer", digitsOnly(src.mileage), { status: "original", units: "mi" }),
+    el("condition", conditionRating(src)),
+    colors,
+    el("comments", conditionComments(src)),
+    `</vehicle>`,
+    `<customer>`,
+    `<contact>`,
+    el("name", src.name, { part: "full" }),
+    el("email", src.email),
+    el("phone", src.phone, { type: "voice" }),
+    `</contact>`,
+    el("comments", customerComments),
+    `</customer>`,
+    `<vendor>`,
+    el("vendorname", vendorName),
+    `</vendor>`,
+    `<provider>`,
+    el("name", "Quirk Sight Unseen Trade Appraisal", { part: "full" }),
+    el("service", "Trade-In Appraisal"),
+    el("url", src.landingPage),
+    `</provider>`,
+    `</prospect>`,
+    `</adf>`,
+  ].filter(Boolean).join("\n");
+}
+
+/** ADF channels enabled by ADF_DELIVERY, as outbox channel names ("adfPost", "adfEmail") */
+export function adfChannels() {
+  const mode = str(process.env.ADF_DELIVERY).toLowerCase();
+  return [
+    ...(mode === "post" || mode === "both" ? ["adfPost"] : []),
+    ...(mode === "email" || mode === "both" ? ["adfEmail"] : []),
+  ];
+}
+
+/**
+ * The ADF document and the email that carries it — kept in the outbox (lib/outbox.js) so a retry
+ * sends the CRM the same lead.
+ * @returns {{ doc: string, subject: string, filename: string }}
+ */
+export function renderAdf(lead, rawData = {}) {
+  return {
+    doc: buildAdf(lead, rawData),
+    subject: `ADF Lead – ${[lead.year, lead.make, lead.model].filter(Boolean).join(" ")} – ${lead.vin}`,
+    filename: `lead-${lead.vin || "trade"}.xml`,
+  };
+}
+
+/** POST the document to ADF_POST_URL. Throws when the CRM doesn't take it. */
+export async function postAdf({ doc }) {
+  if (!process.env.ADF_POST_URL) throw new Error("ADF_POST_URL is not set");
+  const res = await fetch(process.env.ADF_POST_URL, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/xml; charset=utf-8",
+      ...(process.env.ADF_POST_AUTH ? { Authorization: process.env.ADF_POST_AUTH } : {}),
+    },
+    body: doc,
+    signal: AbortSignal.timeout(10000),
+  });
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  return {};
+}
+
+/** Email the document (inline and as an .xml attachment) to ADF_EMAIL_TO. Throws when the transport refuses it. */
+export async function emailAdf({ doc, subject, filename }) {
+  const to = str(process.env.ADF_EMAIL_TO).split(",").map((s) => s.trim()).filter(Boolean);
+  if (!to.length) throw new Error("ADF_EMAIL_TO is not set");
+  return sendEmail({
+    to,
+    subject,
+    text: doc,
+    attachments: [{ content: Buffer.from(doc, "utf8"), filename, type: "application/xml" }],
+  });
+}
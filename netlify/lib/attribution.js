@@ -0,0 +1,62 @@
+// netlify/lib/attribution.js
+// Marketing attribution carried on every lead (hidden inputs filled by assets/app.js):
+//   last touch  - utmSource…utmContent, referrer, landingPage (the visit that converted)
+//   first touch - firstUtmSource…firstUtmContent, firstReferrer, firstLandingPage, firstSeenAt
+//   click ids   - gclid (Google Ads), fbclid (Meta), from the last touch
+// Leads without UTM tags are bucketed from click ids / referrer the way analytics tools do.
+
+export const ATTRIBUTION_FIELDS = [
+  "utmSource", "utmMedium", "utmCampaign", "utmTerm", "utmContent", "referrer", "landingPage",
+  "firstUtmSource", "firstUtmMedium", "firstUtmCampaign", "firstUtmTerm", "firstUtmContent",
+  "firstReferrer", "firstLandingPage", "firstSeenAt",
+  "gclid", "fbclid",
+];
+
+const MAX_VALUE = 500;
+
+const str = (v) => (typeof v === "string" ? v.trim() : "");
+const lc = (v) => str(v).toLowerCase();
+
+/** Attribution fields from a raw submission, trimmed and capped */
+export function pickAttribution(src = {}) {
+  const out = {};
+  for (const k of ATTRIBUTION_FIELDS) out[k] = str(src[k]).slice(0, MAX_VALUE);
+  return out;
+}
+
+// Referrer hosts that aren't worth a bucket each
+const SEARCH = /(^|\.)(google|bing|yahoo|duckduckgo|ecosia|baidu)\./;
+const SOCIAL = /(^|\.)(facebook|instagram|t\.co|twitter|x\.com|linkedin|tiktok|youtube|reddit|pinterest)(\.|$)/;
+
+function referrerHost(url) {
+  try {
+    return new URL(url).hostname.replace(/^www\./, "").toLowerCase();
+  } catch {
+    return "";
+  }
+}
+
+/**
+ * Source / medium / campaign for one touch of a lead.
+ * @param {object} fields - stored lead fields (normalized lead over raw fields)
+ * @param {"first"|"last"} touch
+ * @returns {{ source: string, medium: string, campaign: string }}
+ */
+export function channelOf(fields = {}, touch = "last") {
+  const f = (name) => (touch === "first" ? fields[`first${name[0].toUpperCase()}${name.slice(1)}`] : fields[name]);
+  const campaign = lc(f("utmCampaign")) || "(not set)";
+
+  if (lc(f("utmSource"))) {
+    return { source: lc(f("utmSource")), medium: lc(f("utmMedium")) || "(not set)", campaign };
+  }
+  // Click ids are only kept for the last touch
+  if (touch !== "first" && str(fields.gclid)) return { source: "google", medium: "cpc", campaign };
+  if (touch !== "first" && str(fields.fbclid)) return { source: "facebook", medium: "paid_social", campaign };
+
+  const host = referrerHost(f("referrer"));
+  if (host) {
+    const medium = SEARCH.test(host) ? "organic" : SOCIAL.test(host) ? "social" : "referral";
+    return { source: host, medium, campaign };
+  }
+  return { source: "(direct)", medium: "(none)", campaign };
+}
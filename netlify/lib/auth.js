@@ -0,0 +1,42 @@
+// netlify/lib/auth.js
+// Shared-secret auth for staff-only function routes.
+//
+// Environment:
+//   ADMIN_TOKEN - secret staff send as "Authorization: Bearer <token>" (or x-admin-token)
+import { timingSafeEqual } from "node:crypto";
+
+const header = (event, name) =>
+  (event.headers || {})[name] || (event.headers || {})[name.toLowerCase()] || "";
+
+/** Token presented by the caller, if any */
+function presentedToken(event) {
+  const auth = header(event, "authorization");
+  const m = /^Bearer\s+(.+)$/i.exec(auth);
+  return (m ? m[1] : header(event, "x-admin-token")).trim();
+}
+
+function sameSecret(a, b) {
+  const x = Buffer.from(a);
+  const y = Buffer.from(b);
+  return x.length === y.length && timingSafeEqual(x, y);
+}
+
+/**
+ * Gate a staff route. Returns null when the caller is allowed,
+ * otherwise a ready-to-return 401/503 response.
+ */
+export function requireStaff(event, headers = {}) {
+  const expected = process.env.ADMIN_TOKEN || "";
+  if (!expected) {
+    return { statusCode: 503, headers, body: JSON.stringify({ ok: false, error: "Staff access is not configured" }) };
+  }
+  const token = presentedToken(event);
+  if (!token || !sameSecret(token, expected)) {
+    return {
+      statusCode: 401,
+      headers: { ...headers, "WWW-Authenticate": "Bearer" },
+      body: JSON.stringify({ ok: false, error: "Unauthorized" }),
+    };
+  }
+  return null;
+}
@@ -0,0 +1,125 @@
+// netlify/lib/bot-check.js
+// Bot scoring for public form posts (the honeypot field is still checked first):
+//   - signed form token from /api/form-token: the page-load time plus an HMAC, so a script can't
+//     fake how long the form took to fill in
+//   - optional challenge widget (Cloudflare Turnstile, hCaptcha or reCAPTCHA v2), verified here
+// Each signal adds to a 0–1 score; at BOT_BLOCK_SCORE the submission is dropped.
+//
+// Environment:
+//   FORM_TOKEN_SECRET    - HMAC key for form tokens (unset = token checks off)
+//   MIN_FILL_SECONDS     - submitting sooner than this after page load counts against it (default 8)
+//   FORM_TOKEN_MAX_HOURS - older tokens count a little against it (default 24)
+//   BOT_BLOCK_SCORE      - score at which a submission is dropped (default 0.8)
+//   CHALLENGE_PROVIDER   - "turnstile" | "hcaptcha" | "recaptcha" (unset = no challenge)
+//   CHALLENGE_SITE_KEY / CHALLENGE_SECRET - the provider's public / secret keys
+import { createHmac, timingSafeEqual } from "node:crypto";
+import { clientIp } from "./rate-limit.js";
+
+const PROVIDERS = {
+  turnstile: {
+    script: "https://challenges.cloudflare.com/turnstile/v0/api.js",
+    widgetClass: "cf-turnstile",
+    field: "cf-turnstile-response",
+    verifyUrl: "https://challenges.cloudflare.com/turnstile/v0/siteverify",
+  },
+  hcaptcha: {
+    script: "https://js.hcaptcha.com/1/api.js",
+    widgetClass: "h-captcha",
+    field: "h-captcha-response",
+    verifyUrl: "https://api.hcaptcha.com/siteverify",
+  },
+  recaptcha: {
+    script: "https://www.google.com/recaptcha/api.js",
+    widgetClass: "g-recaptcha",
+    field: "g-recaptcha-response",
+    verifyUrl: "https://www.google.com/recaptcha/api/siteverify",
+  },
+};
+
+const num = (name, fallback) => {
+  const n = parseFloat(process.env[name]);
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+};
+
+/** Fields that only exist for these checks — dropped before the lead is stored or emailed */
+export const BOT_FIELDS = ["formToken", ...Object.values(PROVIDERS).map((p) => p.field)];
+
+/* ----------------- form token ----------------- */
+const secret = () => process.env.FORM_TOKEN_SECRET || "";
+const sign = (issued) => createHmac("sha256", secret()).update(`form\n${issued}`).digest("hex").slice(0, 32);
+
+/** "<issued ms, base36>.<hmac>" — "" when FORM_TOKEN_SECRET is unset */
+export function issueFormToken(now = Date.now()) {
+  if (!secret()) return "";
+  const issued = now.toString(36);
+  return `${issued}.${sign(issued)}`;
+}
+
+/** @returns {{ valid: boolean, ageSeconds?: number }} */
+function readFormToken(token, now) {
+  const [issued, mac] = String(token || "").split(".");
+  if (!issued || !mac) return { valid: false };
+  const want = Buffer.from(sign(issued));
+  const got = Buffer.from(mac);
+  if (want.length !== got.length || !timingSafeEqual(want, got)) return { valid: false };
+  return { valid: true, ageSeconds: (now - parseInt(issued, 36)) / 1000 };
+}
+
+/* ----------------- challenge ----------------- */
+/** Widget settings for the browser, or null when no provider is configured */
+export function challengeConfig() {
+  const p = PROVIDERS[String(process.env.CHALLENGE_PROVIDER || "").trim().toLowerCase()];
+  if (!p || !process.env.CHALLENGE_SITE_KEY || !process.env.CHALLENGE_SECRET) return null;
+  return { provider: process.env.CHALLENGE_PROVIDER.trim().toLowerCase(), siteKey: process.env.CHALLENGE_SITE_KEY, ...p };
+}
+
+/** true / false from the provider; null when it couldn't be reached (not held against the customer) */
+async function verifyChallenge(cfg, response, ip) {
+  try {
+    const body = new URLSearchParams({ secret: process.env.CHALLENGE_SECRET, response, ...(ip ? { remoteip: ip } : {}) });
+    const res = await fetch(cfg.verifyUrl, { method: "POST", body, signal: AbortSignal.timeout(5000) });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    return Boolean((await res.json()).success);
+  } catch (e) {
+    console.warn(`Challenge verification unavailable (${cfg.provider}):`, e.message);
+    return null;
+  }
+}
+
+/* ----------------- scoring ----------------- */
+/**
+ * Score a submission.
+ * @param {object} event - function event (headers)
+ * @param {object} fields - submitted fields (formToken, challenge response)
+ * @returns {Promise<{ score: number, reasons: string[], blocked: boolean, challengeFailed: boolean }>}
+ */
+export async function scoreSubmission(event, fields = {}, now = Date.now()) {
+  const reasons = [];
+  let score = 0;
+  const add = (points, reason) => { score += points; reasons.push(reason); };
+
+  if (secret()) {
+    const token = readFormToken(fields.formToken, now);
+    if (!fields.formToken) add(0.4, "no form token");
+    else if (!token.valid) add(0.9, "forged form token");
+    else if (token.ageSeconds < num("MIN_FILL_SECONDS", 8)) add(0.6, `submitted ${Math.max(0, Math.round(token.ageSeconds))}s after page load`);
+    else if (token.ageSeconds > num("FORM_TOKEN_MAX_HOURS", 24) * 3600) add(0.2, "stale form token");
+  }
+
+  const h = event.headers || {};
+  if (!h["user-agent"] && !h["User-Agent"]) add(0.3, "no user agent");
+
+  let challengeFailed = false;
+  const cfg = challengeConfig();
+  if (cfg) {
+    const response = String(fields[cfg.field] || "");
+    const passed = response ? await verifyChallenge(cfg, response, clientIp(event)) : false;
+    if (passed === false) {
+      challengeFailed = true;
+      add(response ? 0.9 : 0.5, response ? "challenge failed" : "challenge not completed");
+    }
+  }
+
+  score = Math.min(1, Math.round(score * 100) / 100);
+  return { score, reasons, blocked: score >= num("BOT_BLOCK_SCORE", 0.8), challengeFailed };
+}
@@ -0,0 +1,67 @@
+// netlify/lib/draft-store.js
+// Unfinished form answers saved for "email me a link to finish later".
+// The link carries a random token; only its SHA-256 is used as the storage key,
+// so reading the store never yields working resume links.
+//
+// Environment:
+//   DRAFT_STORE    - kv backend ("file" | "blobs" | "memory"; default LEAD_STORE or "file")
+//   DRAFT_TTL_DAYS - how long a resume link works (default 14)
+import { createHash, randomBytes } from "node:crypto";
+import { openKv } from "./kv.js";
+import { LEAD_SCHEMA } from "../../assets/lead-schema.js";
+import { ATTRIBUTION_FIELDS } from "./attribution.js";
+
+// Hidden fields worth carrying over besides the schema's own (attribution, language, lead identity)
+const EXTRA_FIELDS = ["lang", "idempotencyKey", "phoneRaw", ...ATTRIBUTION_FIELDS];
+const MAX_VALUE = 2000;
+
+const hash = (token) => createHash("sha256").update(String(token)).digest("hex");
+export const draftTtlDays = () => parseFloat(process.env.DRAFT_TTL_DAYS) || 14;
+
+let kv;
+const drafts = () =>
+  kv || (kv = openKv("drafts", { kind: process.env.DRAFT_STORE || process.env.LEAD_STORE }));
+
+/** Only known form fields, as trimmed strings */
+export function cleanDraftValues(values = {}) {
+  const allowed = new Set([...Object.keys(LEAD_SCHEMA), ...EXTRA_FIELDS]);
+  const out = {};
+  for (const [k, v] of Object.entries(values || {})) {
+    if (!allowed.has(k) || v === undefined || v === null || typeof v === "object") continue;
+    out[k] = String(v).slice(0, MAX_VALUE);
+  }
+  return out;
+}
+
+/**
+ * Save a draft and return the token for its resume link.
+ * @param {{ values: object, step?: number, email: string, lang?: string }} draft
+ * @returns {Promise<{ token: string, expiresAt: string }>}
+ */
+export async function saveDraft({ values, step = 0, email, lang = "en" }) {
+  const token = randomBytes(24).toString("base64url");
+  const now = Date.now();
+  const expiresAt = new Date(now + draftTtlDays() * 86400 * 1000).toISOString();
+  await drafts().set(hash(token), {
+    savedAt: new Date(now).toISOString(),
+    expiresAt,
+    email,
+    lang,
+    step: Math.max(0, parseInt(step, 10) || 0),
+    values: cleanDraftValues(values),
+  });
+  return { token, expiresAt };
+}
+
+/** Draft for a resume token, or null when unknown/expired (expired drafts are deleted) */
+export async function getDraft(token) {
+  if (!/^[A-Za-z0-9_-]{20,64}$/.test(String(token || ""))) return null;
+  const key = hash(token);
+  const draft = await drafts().get(key);
+  if (!draft) return null;
+  if (Date.parse(draft.expiresAt) < Date.now()) {
+    await drafts().delete(key).catch(() => {});
+    return null;
+  }
+  return draft;
+}
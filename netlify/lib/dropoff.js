@@ -0,0 +1,64 @@
+// netlify/lib/dropoff.js
+// Drop-off appointment times offered on the success page ("add to calendar").
+// Times are wall-clock hours at the dealership, handed out as UTC instants so the
+// browser and the .ics file never have to know the dealer's time zone rules.
+//
+// Environment:
+//   DEALER_TZ        - dealership time zone (default America/New_York)
+//   DROPOFF_TIMES    - comma-separated HH:MM start times (default "10:00,13:00,16:00")
+//   DROPOFF_DAYS     - how many open days to offer, starting tomorrow (default 3)
+//   DROPOFF_CLOSED   - closed weekdays, 0 = Sunday … 6 = Saturday (default "0")
+//   DROPOFF_MINUTES  - appointment length (default 30)
+
+export const dealerTimeZone = () => process.env.DEALER_TZ || "America/New_York";
+export const dropoffMinutes = () => parseInt(process.env.DROPOFF_MINUTES, 10) || 30;
+
+/** Calendar fields of instant `ms` as seen in `tz` */
+function zonedParts(ms, tz) {
+  const fmt = new Intl.DateTimeFormat("en-US", {
+    timeZone: tz, hourCycle: "h23",
+    year: "numeric", month: "2-digit", day: "2-digit", hour: "2-digit", minute: "2-digit", second: "2-digit",
+  });
+  const p = Object.fromEntries(fmt.formatToParts(new Date(ms)).map((x) => [x.type, Number(x.value)]));
+  return { year: p.year, month: p.month, day: p.day, hour: p.hour, minute: p.minute, second: p.second };
+}
+
+/** How far `tz` is ahead of UTC at instant `ms` */
+function offsetAt(ms, tz) {
+  const p = zonedParts(ms, tz);
+  return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - Math.floor(ms / 1000) * 1000;
+}
+
+/** UTC instant of a wall-clock time in `tz` (month 0-based; second pass settles DST changeover days) */
+export function zonedInstant(year, month, day, hour, minute, tz) {
+  const guess = Date.UTC(year, month, day, hour, minute);
+  return guess - offsetAt(guess - offsetAt(guess, tz), tz);
+}
+
+/**
+ * Start times for the next DROPOFF_DAYS open days, earliest first.
+ * @param {Date} [now]
+ * @returns {string[]} ISO instants
+ */
+export function dropoffSlots(now = new Date()) {
+  const tz = dealerTimeZone();
+  const times = (process.env.DROPOFF_TIMES || "10:00,13:00,16:00")
+    .split(",")
+    .map((s) => /^(\d{1,2}):(\d{2})$/.exec(s.trim()))
+    .filter(Boolean);
+  const closed = new Set((process.env.DROPOFF_CLOSED ?? "0").split(",").filter((s) => s.trim()).map(Number));
+  const days = parseInt(process.env.DROPOFF_DAYS, 10) || 3;
+
+  const today = zonedParts(now.getTime(), tz);
+  const slots = [];
+  for (let i = 1, open = 0; open < days && i <= 14; i++) {
+    const date = new Date(Date.UTC(today.year, today.month - 1, today.day + i));
+    if (closed.has(date.getUTCDay())) continue;
+    open++;
+    for (const [, hh, mm] of times) {
+      const at = zonedInstant(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate(), Number(hh), Number(mm), tz);
+      slots.push(new Date(at).toISOString());
+    }
+  }
+  return slots;
+}
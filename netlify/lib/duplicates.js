@@ -0,0 +1,95 @@
+// netlify/lib/duplicates.js
+// Repeat-submission detection against the lead store.
+//
+// Environment:
+//   DUPLICATE_WINDOW_HOURS - how far back to look for a previous lead (default 72)
+//   DUPLICATE_MODE         - "update" (default: send an "Updated lead" email with only the changes),
+//                            "suppress" (store it, but don't email the distribution list) or "off"
+import { ATTRIBUTION_FIELDS } from "./attribution.js";
+import { CONDITION_QUESTIONS, cleanConditionReport, optionLabel } from "../../assets/condition-questions.js";
+
+/**
+ * Fields that change on every submission and say nothing about the trade — plus the loan account
+ * number, which the raw answers carry in full and lead emails only ever show masked
+ */
+const IGNORED = new Set([
+  "submittedAt", "idempotencyKey", "company", "leadId", "agree", "photoSlots", "conditionReport", "phoneRaw", "phoneE164",
+  "lienAccount",
+  ...ATTRIBUTION_FIELDS,
+]);
+
+const lc = (v) => String(v ?? "").trim().toLowerCase();
+const str = (v) => String(v ?? "").trim();
+
+export function duplicateMode() {
+  const m = lc(process.env.DUPLICATE_MODE);
+  return m === "suppress" || m === "off" ? m : "update";
+}
+
+function windowStart(now) {
+  const hours = parseFloat(process.env.DUPLICATE_WINDOW_HOURS);
+  const h = Number.isFinite(hours) && hours > 0 ? hours : 72;
+  return new Date(now.getTime() - h * 3600 * 1000).toISOString();
+}
+
+/**
+ * Look for an earlier submission from the same customer/vehicle.
+ * - `replay`: same idempotency key (double-click / resubmit) — do nothing new
+ * - `previous`: same VIN, phone digits or email inside the window
+ * @returns {Promise<{ replay?: object, previous?: object, matchedOn?: string[] }>}
+ */
+export async function findDuplicate(store, lead, idempotencyKey = "", now = new Date()) {
+  if (!idempotencyKey && duplicateMode() === "off") return {};
+  // Reads only the window's days (ids are date-prefixed), newest first
+  const recent = await store.search({ from: windowStart(now), limit: 500 });
+
+  if (idempotencyKey) {
+    const replay = recent.find((r) => r.idempotencyKey === idempotencyKey);
+    if (replay) return { replay };
+  }
+  if (duplicateMode() === "off") return {};
+
+  for (const r of recent) {
+    const prev = r.lead || {};
+    const matchedOn = [];
+    if (lead.vin && prev.vin === lead.vin) matchedOn.push("vin");
+    if (lead.phone && prev.phone === lead.phone) matchedOn.push("phone");
+    if (lead.email && lc(prev.email) === lc(lead.email)) matchedOn.push("email");
+    if (matchedOn.length) return { previous: r, matchedOn };
+  }
+  return {};
+}
+
+/**
+ * What changed since the previous submission.
+ * @returns {Array<{ field: string, before: string, after: string }>}
+ */
+export function diffSubmissions(previous, lead, rawData = {}, photos = []) {
+  const before = { ...(previous.fields || {}), ...(previous.lead || {}) };
+  const after = { ...rawData, ...lead };
+
+  const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+  const changes = [];
+  for (const k of [...keys].sort()) {
+    if (IGNORED.has(k)) continue;
+    const b = str(before[k]);
+    const a = str(after[k]);
+    if (b !== a) changes.push({ field: k, before: b, after: a });
+  }
+
+  // Follow-up answers: one change per question, worded like the email's condition report
+  const reportBefore = previous.conditionReport || {};
+  const reportAfter = cleanConditionReport(rawData.conditionReport, after);
+  const answer = (q, v) => [].concat(v ?? []).map((x) => optionLabel(q, x)).join(", ");
+  for (const q of CONDITION_QUESTIONS) {
+    const b = answer(q, reportBefore[q.id]);
+    const a = answer(q, reportAfter[q.id]);
+    if (b !== a) changes.push({ field: q.id, before: b, after: a });
+  }
+
+  const prevPhotos = (previous.photos || []).length;
+  if (photos.length !== prevPhotos) {
+    changes.push({ field: "photos", before: String(prevPhotos), after: String(photos.length) });
+  }
+  return changes;
+}
@@ -0,0 +1,283 @@
+// netlify/lib/intake.js
+// Everything that happens to a lead once its entry point has accepted it — shared by the form POST
+// (functions/trade-appraisal.js) and Netlify Forms (functions/submission-created.js), so a lead is
+// normalized, stored, emailed and sent to the CRM the same way whichever path it came in on:
+//   uploads checked → preliminary range → recalls → photos stored → recipients routed → lead record saved
+//   → messages rendered and queued in lib/outbox.js: staff channels (lib/delivery.js), customer
+//   confirmation (email, plus a text when opted in) and ADF — sent in the background, not in this request
+import { adfChannels, renderAdf } from "./adf.js";
+import { getLeadStore, newLeadId } from "./lead-store.js";
+import { estimateEquity, estimateTradeValue } from "./valuation.js";
+import { diffSubmissions, duplicateMode } from "./duplicates.js";
+import { pickAttribution } from "./attribution.js";
+import { lookupRecalls } from "./recalls.js";
+import { savePhotos, withPhotoLinks, photoLinksEnabled } from "./photo-store.js";
+import { leadUrl, siteOrigin } from "./site.js";
+import { isDocumentField, sanitizeUploads } from "./uploads.js";
+import { leadChannels, toAttachments } from "./delivery.js";
+import { enqueue, pendingDelivery, sendNow, startDelivery, withDelivery } from "./outbox.js";
+import { routeLead } from "./routing.js";
+import { renderCustomerConfirmation } from "../templates/customer-confirmation.js";
+import { renderLeadEmail } from "../templates/lead-email.js";
+import { renderPhotoGallery } from "../templates/photo-gallery.js";
+import { renderCustomerSms, renderStaffSms } from "../templates/sms.js";
+import { localeFor, toAmount, toE164 } from "../../assets/lead-schema.js";
+import { PHOTO_SLOTS, slotLabel } from "../../assets/photo-slots.js";
+import { cleanConditionReport, conditionReportText } from "../../assets/condition-questions.js";
+
+const safe   = (v) => (typeof v === "string" ? v.trim() : "");
+const digits = (v) => safe(v).replace(/\D/g, "");
+
+/** Loan account number as staff emails and the Sheets row show it: "••••1234" */
+export const maskAccount = (v) => {
+  const s = safe(v).replace(/\s+/g, "");
+  return s ? `••••${s.slice(-4)}` : "";
+};
+
+/** Lien details — only when the title status says there's a loan; the full account number stays in `fields` */
+function lienOf(src) {
+  if (safe(src.title) !== "Lien") return {};
+  const payoff = toAmount(src.payoff);
+  return {
+    lienholder: safe(src.lienholder),
+    lienAccount: maskAccount(src.lienAccount),
+    payoff: Number.isFinite(payoff) ? String(payoff) : "",
+  };
+}
+
+/** Normalize to your schema */
+export function normalizeLead(src) {
+  // phoneRaw comes from app.js, but the typed number is what was validated
+  const phoneE164 = toE164(src.phone) || toE164(src.phoneRaw);
+  return {
+    name:  safe(src.name),
+    email: safe(src.email),
+    phone: phoneE164 ? phoneE164.slice(2) : digits(src.phone).slice(0, 15),
+    phoneE164,
+    vin:   safe((src.vin || "").toUpperCase()),
+    year:  safe(src.year),
+    make:  safe(src.make),
+    model: safe(src.model),
+    trim:  safe(src.trim),
+    mileage: safe(src.mileage),
+    extColor: safe(src.extColor),
+    intColor: safe(src.intColor),
+    ...lienOf(src),
+    smsConsent: !["", "false", "0"].includes(safe(src.smsConsent).toLowerCase()),
+    ...pickAttribution(src),
+    lang: localeFor(src.lang),
+    submittedAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * Tag uploads with their guided-capture slot from the `photoSlots` JSON field
+ * ([{ field, filename, slot, note }], matched by field + filename). Bad JSON just means no labels.
+ */
+function applyPhotoSlots(uploads, json) {
+  let list = [];
+  try {
+    list = JSON.parse(json || "[]");
+  } catch {
+    return uploads;
+  }
+  if (!Array.isArray(list)) return uploads;
+  for (const s of list) {
+    const label = slotLabel(s && s.slot);
+    if (!label) continue;
+    const f = uploads.find((u) => !u.slot && u.field === s.field && u.filename === s.filename);
+    if (f) Object.assign(f, { slot: s.slot, label, note: safe(s.note).slice(0, 500) });
+  }
+  return uploads;
+}
+
+/** Required guided shots that didn't come in (only meaningful once the customer used guided capture) */
+function missingShots(uploads) {
+  const have = new Set(uploads.map((u) => u.slot).filter(Boolean));
+  if (!have.size) return [];
+  return PHOTO_SLOTS.filter((s) => s.required && !have.has(s.id)).map((s) => s.en.label);
+}
+
+/**
+ * Store a lead and queue it everywhere it goes (lib/outbox.js sends it).
+ * @param {object} p
+ * @param {object} p.event - function event (origin for photo links)
+ * @param {object} p.rawData - submitted fields, bot-check fields already removed
+ * @param {object} p.lead - normalizeLead(rawData)
+ * @param {Array<{ field, filename, mimetype, buffer, size }>} [p.uploads] - not yet sanitized
+ * @param {Array<{ field, filename, reason }>} [p.rejectedUploads] - refused before this point (too large…)
+ * @param {{ previous?: object, matchedOn?: string[] }} [p.duplicate] - findDuplicate() result
+ * @param {string} [p.idempotencyKey]
+ * @param {{ score: number, reasons: string[] }} [p.bot] - scoreSubmission() result
+ * @param {string} p.source - "form" | "netlify-forms"
+ * @returns {Promise<{ leadId: string, files: number, estimate: object|null, accepted: boolean }>} files = photos received
+ *   accepted once the lead is stored, or — when it couldn't be — some staff channel took it
+ */
+export async function acceptLead({
+  event, rawData, lead, uploads = [], rejectedUploads = [], duplicate = {}, idempotencyKey = "", bot = null, source,
+}) {
+  const store = getLeadStore();
+  const previous = duplicate.previous || null;
+
+  // Uploads: real images only, metadata (GPS…) stripped before anything is stored or emailed
+  const checked = await sanitizeUploads(applyPhotoSlots(uploads, rawData.photoSlots));
+  uploads = checked.files;
+  rejectedUploads = [...rejectedUploads, ...checked.rejected];
+
+  // Preliminary range (null when the vehicle isn't in the base value table)
+  let estimate = null;
+  try {
+    estimate = estimateTradeValue(lead, rawData);
+  } catch (e) {
+    console.error("Valuation failed:", e);
+  }
+
+  // Lien: preliminary value minus the payoff the customer gave (null without a payoff)
+  const equity = lead.payoff ? estimateEquity(estimate, Number(lead.payoff)) : null;
+
+  // Follow-up answers (assets/condition-questions.js), only those the customer's answers opened
+  const conditionReport = cleanConditionReport(rawData.conditionReport, rawData);
+
+  // Recalls for the decoded year/make/model (null when disabled)
+  const recalls = await lookupRecalls(lead);
+
+  // Photos go to the object store under the lead id; the lead record keeps metadata + object keys
+  const newId = newLeadId(new Date(lead.submittedAt));
+  const photos = await savePhotos(newId, uploads);
+
+  // Staff recipients from netlify/config/routing.js (consultant, language, make, title, hours)
+  const routing = routeLead(lead, rawData);
+
+  // Where this lead goes. Repeat submissions are stored but not re-sent to staff when
+  // DUPLICATE_MODE=suppress, and get no customer text or ADF (that would be a duplicate CRM lead).
+  // Customer confirmation is on unless SEND_CUSTOMER_CONFIRMATION=false; the customer text needs
+  // SEND_CUSTOMER_SMS=true and the form's opt-in (a STOP on file is checked when it's sent).
+  const suppress = previous && duplicateMode() === "suppress";
+  const staffNames = suppress ? [] : leadChannels();
+  const followUps = [
+    ...(process.env.SEND_CUSTOMER_CONFIRMATION !== "false" && lead.email ? ["customer"] : []),
+    ...(process.env.SEND_CUSTOMER_SMS === "true" && lead.smsConsent && lead.phoneE164 && !previous ? ["customerSms"] : []),
+    ...(previous ? [] : adfChannels()),
+  ];
+
+  // Durable copy first — a lost email must never mean a lost customer
+  const { company, idempotencyKey: _key, photoSlots: _slots, conditionReport: _report, ...fields } = rawData;
+  const entry = {
+    id: newId,
+    createdAt: lead.submittedAt,
+    source,
+    status: "new",
+    statusHistory: [{ status: "new", at: lead.submittedAt, by: source }],
+    lead,
+    fields,
+    photos,
+    estimate,
+    ...(equity ? { equity } : {}),
+    conditionReport,
+    recalls,
+    routing,
+    // TCPA: keep what the customer agreed to, when, for which number and in which words
+    ...(lead.smsConsent && lead.phoneE164
+      ? { consent: { sms: { at: lead.submittedAt, phone: lead.phoneE164, lang: lead.lang, text: renderCustomerSms("consent", { lang: lead.lang }) } } }
+      : {}),
+    ...(idempotencyKey ? { idempotencyKey } : {}),
+    ...(previous ? { duplicateOf: previous.id } : {}),
+    ...(rejectedUploads.length ? { rejectedUploads } : {}),
+    ...(bot && bot.score ? { bot: { score: bot.score, reasons: bot.reasons } } : {}),
+    delivery: pendingDelivery([...staffNames, ...followUps]),
+  };
+  let record = null;
+  try {
+    record = await store.save(entry);
+  } catch (e) {
+    console.error("Lead store write failed:", e);
+  }
+  const leadId = record ? record.id : "";
+
+  // Staff email — stored photos become a linked thumbnail gallery; anything unlinkable is attached
+  const origin = siteOrigin(event);
+  const linkDays = parseFloat(process.env.PHOTO_LINK_TTL_DAYS) || 30;
+  const linked = withPhotoLinks(photos, origin);
+  const gallery = renderPhotoGallery(linked.filter((p) => !isDocumentField(p.field)), {
+    expiresDays: linkDays,
+    missing: missingShots(uploads),
+    rejected: rejectedUploads,
+  });
+  // Borderline bot scores go to staff as a row, not a block
+  const botRow = bot && bot.score ? { botScore: `${bot.score} (${bot.reasons.join("; ")})` } : {};
+  const email = renderLeadEmail(previous
+    ? { lead: { ...lead, leadId }, gallery, repeat: { previous, changes: diffSubmissions(previous, lead, rawData, uploads), matchedOn: duplicate.matchedOn || [] } }
+    : { lead: { ...lead, leadId, ...botRow }, rawData, estimate, equity, documents: linked.filter((p) => isDocumentField(p.field)), conditionReport, recalls, gallery });
+  const attached = photoLinksEnabled() ? photos.filter((p) => !p.key) : photos;
+  email.to = routing.to;
+  email.attachments = toAttachments(uploads.filter((f, i) => attached.includes(photos[i])));
+
+  const row = { ...lead, leadId, source, conditionReport: conditionReportText(conditionReport), photoUrls: linked.map((p) => p.url).filter(Boolean) };
+  const sms = {
+    to: routing.textTo,
+    body: renderStaffSms({ lead, leadId, url: leadUrl(origin, leadId), estimate: previous ? null : estimate, repeat: Boolean(previous) }),
+  };
+  const confirmation = () => {
+    const msg = renderCustomerConfirmation({ lang: lead.lang, leadId, lead, rawData, photos: uploads });
+    return { to: lead.email, replyTo: process.env.CUSTOMER_REPLY_TO, subject: msg.subject, text: msg.text, html: msg.html };
+  };
+  const item = {
+    leadId,
+    email,
+    attachmentKeys: attached.filter((p) => p.key).map((p) => ({ key: p.key, filename: p.filename, mimetype: p.mimetype })),
+    row,
+    sms,
+    ...(followUps.includes("customer")
+      ? { customer: confirmation() }
+      : {}),
+    ...(followUps.includes("customerSms")
+      ? { customerSms: { to: lead.phoneE164, body: renderCustomerSms("received", { lang: lead.lang, name: lead.name, ref: leadId }) } }
+      : {}),
+    ...(followUps.some((n) => n.startsWith("adf")) ? { adf: renderAdf(lead, rawData) } : {}),
+    origin,
+  };
+
+  const files = uploads.filter((f) => !isDocumentField(f.field)).length;
+
+  // Stored lead → queue everything and let the outbox send it; the customer doesn't wait on providers
+  let queued = null;
+  if (record && attached.every((p) => p.key)) {
+    try {
+      queued = await enqueue(item, [...staffNames, ...followUps]);
+    } catch (e) {
+      console.error(`Outbox write failed (${leadId}):`, e);
+    }
+  }
+  if (queued) {
+    if (Object.keys(queued).length) await startDelivery(origin, leadId);
+    return { leadId, files, estimate, accepted: true };
+  }
+
+  // Otherwise send from here: the lead store or the outbox couldn't be written, or photos the photo store
+  // couldn't keep only exist in this request. Staff go first — a lead no channel took isn't confirmed
+  // to the customer, whose entry point is about to ask them to resend. Failures are still queued when possible.
+  const message = { ...item, record: { ...(record || entry), photos: linked } };
+  const tried = await sendNow(message, staffNames);
+  const accepted = Boolean(record) || Object.values(tried).some((r) => r.ok);
+  if (accepted) Object.assign(tried, await sendNow(message, followUps));
+  const states = {};
+  if (record) {
+    try {
+      Object.assign(states, await enqueue(item, Object.keys(tried), tried));
+    } catch (e) {
+      console.error(`Outbox write failed (${leadId}):`, e);
+    }
+  }
+  const delivery = withDelivery({}, Object.fromEntries(Object.entries(tried).map(([name, r]) => [name, { ...r, ...states[name] }])));
+
+  // Keep every channel's outcome with the lead (staff inbox shows what reached whom)
+  if (record) {
+    try {
+      await store.save({ ...record, delivery });
+    } catch (e) {
+      console.error("Lead store update failed:", e);
+    }
+  }
+
+  return { leadId, files, estimate, accepted };
+}
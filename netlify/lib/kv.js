@@ -0,0 +1,113 @@
+// netlify/lib/kv.js
+// Tiny JSON key/value layer with swappable backends, shared by the lead store,
+// caches and other server-side state.
+//
+//   kind "file"   - one JSON file per key under `dir` (local dev; default)
+//   kind "blobs"  - Netlify Blobs store named after the namespace (production)
+//   kind "memory" - per-instance Map (tests, throwaway caches)
+//
+// Environment:
+//   DATA_DIR - root for file namespaces (default ".data")
+//   NETLIFY_SITE_ID / NETLIFY_BLOBS_TOKEN - explicit Blobs credentials (optional on Netlify)
+import { promises as fs } from "node:fs";
+import path from "node:path";
+import { getStore } from "@netlify/blobs";
+
+/** Keys become file names — percent-encode, then swap "%" for "_" (literal "_" is pre-encoded) */
+const fileName = (key) => `${encodeURIComponent(key).replace(/_/g, "%5F").replace(/%/g, "_")}.json`;
+const keyFromFile = (name) => decodeURIComponent(name.slice(0, -5).replace(/_/g, "%"));
+
+function fileAdapter(dir) {
+  const file = (key) => path.join(dir, fileName(key));
+  return {
+    async get(key) {
+      try {
+        return JSON.parse(await fs.readFile(file(key), "utf8"));
+      } catch (e) {
+        if (e.code === "ENOENT") return null;
+        throw e;
+      }
+    },
+    async set(key, value) {
+      await fs.mkdir(dir, { recursive: true });
+      await fs.writeFile(file(key), JSON.stringify(value, null, 2), "utf8");
+    },
+    async delete(key) {
+      await fs.rm(file(key), { force: true });
+    },
+    async keys(prefix = "") {
+      let names = [];
+      try {
+        names = await fs.readdir(dir);
+      } catch (e) {
+        if (e.code === "ENOENT") return [];
+        throw e;
+      }
+      return names
+        .filter((n) => n.endsWith(".json"))
+        .map(keyFromFile)
+        .filter((k) => k.startsWith(prefix));
+    },
+  };
+}
+
+function blobsAdapter(name) {
+  const store = process.env.NETLIFY_SITE_ID && process.env.NETLIFY_BLOBS_TOKEN
+    ? getStore({ name, siteID: process.env.NETLIFY_SITE_ID, token: process.env.NETLIFY_BLOBS_TOKEN })
+    : getStore(name);
+  return {
+    async get(key) {
+      return (await store.get(key, { type: "json" })) ?? null;
+    },
+    async set(key, value) {
+      await store.setJSON(key, value);
+    },
+    async delete(key) {
+      await store.delete(key);
+    },
+    async keys(prefix = "") {
+      const { blobs } = await store.list(prefix ? { prefix } : {});
+      return blobs.map((b) => b.key);
+    },
+  };
+}
+
+const memoryMaps = new Map(); // namespace → Map, shared by every openKv() in this instance
+
+function memoryAdapter(name) {
+  if (!memoryMaps.has(name)) memoryMaps.set(name, new Map());
+  const map = memoryMaps.get(name);
+  return {
+    async get(key) { return map.has(key) ? structuredClone(map.get(key)) : null; },
+    async set(key, value) { map.set(key, structuredClone(value)); },
+    async delete(key) { map.delete(key); },
+    async keys(prefix = "") { return [...map.keys()].filter((k) => k.startsWith(prefix)); },
+  };
+}
+
+/**
+ * Open a namespace.
+ * @param {string} name - namespace (Blobs store name / sub-folder of DATA_DIR)
+ * @param {{ kind?: string, dir?: string }} [opts]
+ * @returns {{ get(key): Promise<any>, set(key, value): Promise<void>, delete(key): Promise<void>, keys(prefix?): Promise<string[]> }}
+ */
+export function openKv(name, { kind, dir } = {}) {
+  const k = String(kind || "file").trim().toLowerCase();
+  if (k === "blobs") return blobsAdapter(name);
+  if (k === "memory") return memoryAdapter(name);
+  return fileAdapter(path.resolve(dir || path.join(process.env.DATA_DIR || ".data", name)));
+}
+
+/**
+ * Read-through cache entry with a TTL. Returns { value, fresh } or null;
+ * stale values are still returned so callers can fall back to them when upstream is down.
+ */
+export async function readCache(kv, key) {
+  const entry = await kv.get(key);
+  if (!entry || typeof entry !== "object" || !("value" in entry)) return null;
+  return { value: entry.value, fresh: Date.now() < (entry.expiresAt || 0) };
+}
+
+export async function writeCache(kv, key, value, ttlSeconds) {
+  await kv.set(key, { value, expiresAt: Date.now() + ttlSeconds * 1000 });
+}
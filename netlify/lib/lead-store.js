@@ -0,0 +1,206 @@
+// netlify/lib/lead-store.js
+// Durable copy of every submission, independent of email delivery.
+//
+// Environment:
+//   LEAD_STORE      - "file" (default), "blobs" or "memory"
+//   LEAD_STORE_DIR  - directory for the file adapter (default ".data/leads")
+//   NETLIFY_SITE_ID / NETLIFY_BLOBS_TOKEN - credentials for the blobs adapter
+//
+// Backends (file/blobs/memory) come from kv.js; searching is done here
+// so every backend behaves the same. Lead ids start with their UTC day (newLeadId), so a search
+// lists only the months its from/to window covers and reads the newest days first.
+import { randomBytes } from "node:crypto";
+import { openKv } from "./kv.js";
+import { channelOf } from "./attribution.js";
+import { isDocumentField } from "./uploads.js";
+
+const ID_ALPHABET = "23456789ABCDEFGHJKMNPQRSTUVWXYZ"; // no 0/O/1/I/L — easy to read over the phone
+
+/** Short, date-prefixed lead id, e.g. "20261018-7KQ2MX" */
+export function newLeadId(date = new Date()) {
+  const day = date.toISOString().slice(0, 10).replace(/-/g, "");
+  const bytes = randomBytes(6);
+  const suffix = Array.from(bytes, (b) => ID_ALPHABET[b % ID_ALPHABET.length]).join("");
+  return `${day}-${suffix}`;
+}
+
+const validId = (id) => /^[0-9]{8}-[A-Z0-9]{6}$/.test(String(id || ""));
+
+/* ----------------- search ----------------- */
+const lc = (v) => String(v || "").trim().toLowerCase();
+const onlyDigits = (v) => String(v || "").replace(/\D/g, "");
+
+/** Consultant the lead named — the staff member it matched (routing), else what the customer typed */
+const consultantOf = (record) =>
+  (record.routing && record.routing.consultant && record.routing.consultant.name) || String((record.fields || {}).salesConsultant || "").trim();
+
+/** Last-touch marketing source (utmSource, else click id / referrer bucket — lib/attribution.js) */
+const sourceOf = (record) => channelOf({ ...(record.fields || {}), ...(record.lead || {}) }).source;
+
+/** Parse "2026-10-01" / ISO timestamps; `endOfDay` makes a bare date inclusive */
+function parseDate(v, endOfDay = false) {
+  const s = String(v || "").trim();
+  if (!s) return null;
+  const d = new Date(/^\d{4}-\d{2}-\d{2}$/.test(s) && endOfDay ? `${s}T23:59:59.999Z` : s);
+  return Number.isNaN(d.getTime()) ? null : d.getTime();
+}
+
+function matches(record, q) {
+  const lead = record.lead || {};
+  if (q.vin && !lc(lead.vin).includes(lc(q.vin))) return false;
+  if (q.email && !lc(lead.email).includes(lc(q.email))) return false;
+  if (q.phone) {
+    const want = onlyDigits(q.phone);
+    if (want && !onlyDigits(lead.phone).includes(want)) return false;
+  }
+  if (q.status && leadStatus(record) !== q.status) return false;
+  if (q.make && lc(lead.make) !== lc(q.make)) return false;
+  if (q.consultant && !lc(consultantOf(record)).includes(lc(q.consultant))) return false;
+  if (q.source && sourceOf(record) !== lc(q.source)) return false;
+  const t = new Date(record.createdAt).getTime();
+  const from = parseDate(q.from);
+  const to = parseDate(q.to, true);
+  if (from !== null && t < from) return false;
+  if (to !== null && t > to) return false;
+  return true;
+}
+
+/* ----------------- review status ----------------- */
+// new → appraised (offer entered) → offered (sent to the customer) → accepted | declined | expired
+// (lib/offers.js moves a lead along; staff can re-appraise until the customer answers)
+export const LEAD_STATUSES = ["new", "appraised", "offered", "accepted", "declined", "expired"];
+
+/** A lead's status, with an offer past its expiration date reading as expired */
+export function leadStatus(record, now = Date.now()) {
+  const status = record.status || "new";
+  const offer = record.offer || {};
+  if (status === "offered" && offer.expiresAt && Date.parse(offer.expiresAt) <= now) return "expired";
+  return status;
+}
+
+/** Compact row for list views */
+export function summarize(record) {
+  const l = record.lead || {};
+  return {
+    id: record.id,
+    createdAt: record.createdAt,
+    status: leadStatus(record),
+    ...(record.offer && record.offer.amount ? { offerAmount: record.offer.amount } : {}),
+    name: l.name,
+    email: l.email,
+    phone: l.phone,
+    vin: l.vin,
+    year: l.year,
+    make: l.make,
+    model: l.model,
+    photoCount: (record.photos || []).filter((p) => !isDocumentField(p.field)).length,
+    consultant: consultantOf(record),
+    source: sourceOf(record),
+  };
+}
+
+/* ----------------- listing ----------------- */
+const READ_CONCURRENCY = 8; // records read at once
+const READ_BATCH = 50;      // search reads whole days, about this many records at a time
+
+/** "20261018" — the date part of lead ids created at `t` (UTC, like newLeadId) */
+const idDay = (t) => new Date(t).toISOString().slice(0, 10).replace(/-/g, "");
+
+/** Key prefixes covering [lo, hi] ("YYYYMMDD" days): one per month, or every key for a window over two years */
+function monthPrefixes(lo, hi) {
+  if (!lo) return [""];
+  const prefixes = [];
+  for (let y = +lo.slice(0, 4), m = +lo.slice(4, 6); `${y}${String(m).padStart(2, "0")}` <= hi.slice(0, 6);) {
+    prefixes.push(`${y}${String(m).padStart(2, "0")}`);
+    if (prefixes.length > 24) return [""];
+    if (++m > 12) { m = 1; y += 1; }
+  }
+  return prefixes;
+}
+
+/** Lead ids created between `from` and `to` (ms or null), grouped by day, newest day first */
+async function idsByDay(kv, from, to) {
+  const lo = from === null ? "" : idDay(from);
+  const hi = to === null ? idDay(Date.now() + 86400000) : idDay(to);
+  const byDay = new Map();
+  for (const prefix of monthPrefixes(lo, hi)) {
+    for (const id of await kv.keys(prefix)) {
+      const day = id.slice(0, 8);
+      if (!validId(id) || (lo && day < lo) || (to !== null && day > hi)) continue;
+      if (!byDay.has(day)) byDay.set(day, []);
+      byDay.get(day).push(id);
+    }
+  }
+  return [...byDay.keys()].sort().reverse().map((day) => byDay.get(day));
+}
+
+/** Read records, READ_CONCURRENCY at a time; missing ones are dropped */
+async function getMany(kv, ids) {
+  const out = [];
+  let next = 0;
+  const worker = async () => {
+    while (next < ids.length) {
+      const i = next++;
+      out[i] = await kv.get(ids[i]);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(READ_CONCURRENCY, ids.length) }, worker));
+  return out.filter(Boolean);
+}
+
+/* ----------------- public API ----------------- */
+let cached;
+
+/**
+ * Lead store selected by LEAD_STORE.
+ * @returns {{ save(record): Promise<object>, get(id): Promise<object|null>, search(query?): Promise<object[]>, range(query?): Promise<object[]> }}
+ */
+export function getLeadStore() {
+  if (cached) return cached;
+
+  const kv = openKv("leads", { kind: process.env.LEAD_STORE, dir: process.env.LEAD_STORE_DIR });
+  const days = (query) => idsByDay(kv, parseDate(query.from), parseDate(query.to, true));
+
+  cached = {
+    /** Insert or replace a record; assigns id/createdAt when missing */
+    async save(record) {
+      const rec = { ...record };
+      if (!rec.createdAt) rec.createdAt = new Date().toISOString();
+      if (!rec.id) rec.id = newLeadId(new Date(rec.createdAt));
+      rec.updatedAt = new Date().toISOString();
+      await kv.set(rec.id, rec);
+      return rec;
+    },
+
+    async get(id) {
+      if (!validId(id)) return null;
+      return kv.get(id);
+    },
+
+    /** Newest first; query = { vin, phone, email, status, make, consultant, source, from, to, limit } */
+    async search(query = {}) {
+      const limit = Math.min(Math.max(parseInt(query.limit, 10) || 50, 1), 500);
+      const found = [];
+      let batch = [];
+      const byDay = await days(query);
+      for (const [i, ids] of byDay.entries()) {
+        batch.push(...ids);
+        if (batch.length < READ_BATCH && i < byDay.length - 1) continue;
+        found.push(...(await getMany(kv, batch)).filter((r) => matches(r, query)));
+        batch = [];
+        if (found.length >= limit) break; // whole days read, so older days can't be newer than these
+      }
+      return found
+        .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)))
+        .slice(0, limit);
+    },
+
+    /** Every match, oldest first, no limit — for reports; query = { from, to } */
+    async range(query = {}) {
+      return (await getMany(kv, (await days(query)).flat()))
+        .filter((r) => matches(r, { from: query.from, to: query.to }))
+        .sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)));
+    },
+  };
+  return cached;
+}
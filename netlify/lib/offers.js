@@ -0,0 +1,203 @@
+// netlify/lib/offers.js
+// Appraiser review: staff enter an offer on a stored lead (amount, expiration date, internal notes and an
+// optional note for the customer), send it, and the customer answers on the offer page
+// (/offer/?t=<token>). Every status change (lead-store.js LEAD_STATUSES) is appended to the lead's
+// statusHistory with who made it and the amount, so each number offered stays on record.
+// Offer links carry a random token; only its SHA-256 is stored ("offers" kv store → lead id), and
+// re-sending a revised offer retires the previous link.
+//
+// Environment:
+//   OFFER_STORE    - kv backend for offer links ("file" | "blobs" | "memory"; default LEAD_STORE or "file")
+//   OFFER_TTL_DAYS - expiration when staff don't pick a date (default 7)
+import { createHash, randomBytes } from "node:crypto";
+import { openKv } from "./kv.js";
+import { getLeadStore, leadStatus } from "./lead-store.js";
+import { sendEmail, staffRecipients } from "./delivery.js";
+import { dealerTimeZone, zonedInstant } from "./dropoff.js";
+import { leadUrl } from "./site.js";
+import { renderOfferEmail, renderOfferResponse } from "../templates/offer.js";
+
+const hash = (token) => createHash("sha256").update(String(token)).digest("hex");
+export const offerTtlDays = () => parseFloat(process.env.OFFER_TTL_DAYS) || 7;
+
+let kv;
+const links = () => kv || (kv = openKv("offers", { kind: process.env.OFFER_STORE || process.env.LEAD_STORE }));
+
+// Refusals (bad amount, wrong status…) come back as { ok: false, statusCode, error } for the function to answer with;
+// store or email failures throw.
+const refuse = (statusCode, error) => ({ ok: false, statusCode, error });
+
+const MAX_NOTE = 2000;
+const clip = (v) => String(v ?? "").trim().slice(0, MAX_NOTE);
+
+/** "2026-10-23" → end of that day at the dealership; full ISO timestamps as given; NaN when unreadable */
+function parseExpires(v, now) {
+  const s = String(v || "").trim();
+  if (!s) return now + offerTtlDays() * 86400 * 1000;
+  const day = /^(\d{4})-(\d{2})-(\d{2})$/.exec(s);
+  return day ? zonedInstant(+day[1], +day[2] - 1, +day[3], 23, 59, dealerTimeZone()) : Date.parse(s);
+}
+
+/** Record with `status` moved on and the change appended to statusHistory */
+function withStatus(record, status, at, extra = {}) {
+  return {
+    ...record,
+    status,
+    statusHistory: [...(record.statusHistory || []), { status, at, ...extra }],
+  };
+}
+
+/** Persist an offered → expired change the first time anyone looks after the date */
+async function settleExpiry(record, now) {
+  if (record.status !== "offered" || leadStatus(record, now) !== "expired") return record;
+  return getLeadStore().save(withStatus(record, "expired", record.offer.expiresAt, { by: "system" }));
+}
+
+/** Stored lead by id with its status up to date, or null */
+export async function getReviewedLead(leadId, now = Date.now()) {
+  const record = await getLeadStore().get(leadId);
+  return record ? settleExpiry(record, now) : null;
+}
+
+/**
+ * Enter (or revise) the appraiser's offer: status → appraised. Not sent to the customer yet.
+ * Allowed until the customer has accepted or declined.
+ * @param {string} leadId
+ * @param {{ amount: number|string, expiresAt?: string, notes?: string, message?: string, appraiser?: string }} input
+ *   notes stay internal; message is shown to the customer
+ * @returns {Promise<{ ok: true, record: object } | { ok: false, statusCode: number, error: string }>}
+ */
+export async function saveAppraisal(leadId, input = {}, now = Date.now()) {
+  const record = await getReviewedLead(leadId, now);
+  if (!record) return refuse(404, "Lead not found");
+  const status = leadStatus(record, now);
+  if (status === "accepted" || status === "declined") return refuse(409, `The customer already ${status} this offer`);
+
+  const amount = Math.round(Number(String(input.amount ?? "").replace(/[$,\s]/g, "")));
+  if (!Number.isFinite(amount) || amount <= 0) return refuse(422, "amount must be a positive dollar amount");
+  const expires = parseExpires(input.expiresAt, now);
+  if (!Number.isFinite(expires)) return refuse(422, "expiresAt must be a date (YYYY-MM-DD)");
+  if (expires <= now) return refuse(422, "expiresAt must be in the future");
+
+  const at = new Date(now).toISOString();
+  const by = clip(input.appraiser).slice(0, 100) || "staff";
+  const offer = {
+    amount,
+    expiresAt: new Date(expires).toISOString(),
+    notes: clip(input.notes),
+    message: clip(input.message),
+    appraiser: by,
+    appraisedAt: at,
+  };
+  return { ok: true, record: await getLeadStore().save(withStatus({ ...record, offer }, "appraised", at, { by, amount })) };
+}
+
+/**
+ * Email the customer a link to the appraised offer: status → offered.
+ * @param {string} leadId
+ * @param {{ origin: string, by?: string }} opts - site origin for the link
+ * @returns {Promise<{ ok: true, record: object, url: string } | { ok: false, statusCode: number, error: string }>}
+ */
+export async function sendOffer(leadId, { origin, by = "staff" }, now = Date.now()) {
+  const record = await getReviewedLead(leadId, now);
+  if (!record) return refuse(404, "Lead not found");
+  const status = leadStatus(record, now);
+  if (status !== "appraised" && status !== "offered") {
+    return refuse(409, status === "expired" ? "This offer has expired — enter a new one first" : "Enter an offer first");
+  }
+  const lead = record.lead || {};
+  if (!lead.email) return refuse(422, "This lead has no email address");
+
+  const token = randomBytes(24).toString("base64url");
+  const url = `${origin}/offer/?t=${encodeURIComponent(token)}&lang=${encodeURIComponent(lead.lang || "en")}`;
+  const msg = renderOfferEmail({
+    lang: lead.lang,
+    name: lead.name,
+    vehicle: [lead.year, lead.make, lead.model].filter(Boolean).join(" "),
+    amount: record.offer.amount,
+    expiresAt: record.offer.expiresAt,
+    message: record.offer.message,
+    url,
+  });
+  await sendEmail({ to: lead.email, replyTo: process.env.CUSTOMER_REPLY_TO, subject: msg.subject, text: msg.text, html: msg.html });
+
+  // Only the newest link works: the record keeps its hash, the store maps it back to the lead
+  await links().set(hash(token), { leadId, createdAt: new Date(now).toISOString() });
+  const at = new Date(now).toISOString();
+  const offer = { ...record.offer, sentAt: at, tokenHash: hash(token) };
+  const saved = await getLeadStore().save(
+    withStatus({ ...record, offer }, "offered", at, { by: clip(by).slice(0, 100) || "staff", amount: offer.amount }),
+  );
+  return { ok: true, record: saved, url };
+}
+
+/** Lead behind an offer link, or null when the link is unknown or was replaced by a newer offer */
+async function leadForToken(token, now) {
+  if (!/^[A-Za-z0-9_-]{20,64}$/.test(String(token || ""))) return null;
+  const link = await links().get(hash(token));
+  if (!link) return null;
+  const record = await getReviewedLead(link.leadId, now);
+  if (!record || !record.offer || record.offer.tokenHash !== hash(token)) return null;
+  return record;
+}
+
+/** What the offer page shows — nothing internal (notes, routing, other answers) */
+function publicOffer(record, now) {
+  const lead = record.lead || {};
+  const offer = record.offer;
+  return {
+    ref: record.id,
+    status: leadStatus(record, now),
+    name: String(lead.name || "").split(/\s+/)[0] || "",
+    vehicle: [lead.year, lead.make, lead.model].filter(Boolean).join(" "),
+    lang: lead.lang || "en",
+    amount: offer.amount,
+    expiresAt: offer.expiresAt,
+    message: offer.message || "",
+    ...(offer.response ? { response: offer.response, respondedAt: offer.respondedAt } : {}),
+  };
+}
+
+/** Offer for a customer link, or null */
+export async function getOffer(token, now = Date.now()) {
+  const record = await leadForToken(token, now);
+  return record ? publicOffer(record, now) : null;
+}
+
+/**
+ * The customer's answer on the offer page. accept / decline close the offer (status → accepted /
+ * declined); a question leaves it open. Routed staff are emailed either way and the message is
+ * kept on the lead (messages).
+ * @param {string} token
+ * @param {{ action: "accept"|"decline"|"question", message?: string, origin: string }} answer
+ * @returns {Promise<{ ok: true, offer: object } | { ok: false, statusCode: number, error: string }>} offer as the page shows it
+ */
+export async function respondToOffer(token, { action, message = "", origin }, now = Date.now()) {
+  if (!["accept", "decline", "question"].includes(action)) return refuse(400, "action must be accept, decline or question");
+  const text = clip(message);
+  if (action === "question" && !text) return refuse(422, "Type your question first");
+
+  let record = await leadForToken(token, now);
+  if (!record) return refuse(404, "This offer link is no longer valid");
+  const status = leadStatus(record, now);
+  if (status !== "offered") return refuse(409, status === "expired" ? "This offer has expired" : "This offer was already answered");
+
+  const at = new Date(now).toISOString();
+  const messages = text ? [...(record.messages || []), { direction: "in", channel: "offer", action, body: text, at }] : record.messages;
+  record = { ...record, ...(messages ? { messages } : {}) };
+  if (action !== "question") {
+    record = withStatus({ ...record, offer: { ...record.offer, response: action, respondedAt: at } },
+      action === "accept" ? "accepted" : "declined", at, { by: "customer", amount: record.offer.amount });
+  }
+  record = await getLeadStore().save(record);
+
+  // Staff hear about it whether or not the email goes through — the answer is already on the lead
+  try {
+    const routed = record.routing && record.routing.to && record.routing.to.length ? record.routing.to : staffRecipients();
+    const msg = renderOfferResponse({ record, action, message: text, url: leadUrl(origin, record.id) });
+    await sendEmail({ to: routed, replyTo: record.lead && record.lead.email, subject: msg.subject, text: msg.text, html: msg.html });
+  } catch (e) {
+    console.error(`Offer response email failed (${record.id}):`, e.message);
+  }
+  return { ok: true, offer: publicOffer(record, now) };
+}
@@ -0,0 +1,281 @@
+// netlify/lib/outbox.js
+// Delivery outbox. Once a lead is stored (lib/intake.js), everything it still has to send is queued
+// here — the staff channels (lib/delivery.js), the customer confirmation email and text, and the ADF
+// copy for the CRM (lib/adf.js) — and the entry point answers without waiting on any provider.
+// functions/delivery-background.js sends a new entry right away; the scheduled functions/delivery-retry.js
+// picks up anything that didn't go and retries failures with backoff. A channel still failing after
+// OUTBOX_MAX_ATTEMPTS is parked (dead letter) until staff replay it (POST /api/outbox/replay, functions/outbox.js).
+// Entries keep the rendered messages — staff email attachments as photo-store keys — so a retry sends what the
+// first attempt would have; the webhook body is re-read from the lead store. Every attempt's result
+// is written to the lead record's delivery block.
+//
+// Environment:
+//   OUTBOX_STORE           - kv backend ("file" | "blobs" | "memory"; default LEAD_STORE or "file")
+//   OUTBOX_MAX_ATTEMPTS    - tries per channel before it's parked, the first one included (default 6)
+//   OUTBOX_BACKOFF_MINUTES - wait before the first retry; x4 after each failure, capped at 12 hours (default 2)
+import { openKv } from "./kv.js";
+import { getLeadStore } from "./lead-store.js";
+import { deliverLead, sendEmail, toAttachments } from "./delivery.js";
+import { emailAdf, postAdf } from "./adf.js";
+import { isOptedOut, sendSms } from "./sms.js";
+import { readPhoto, withPhotoLinks } from "./photo-store.js";
+
+let kv;
+const entries = () => kv || (kv = openKv("outbox", { kind: process.env.OUTBOX_STORE || process.env.LEAD_STORE }));
+
+const num = (name, fallback) => {
+  const n = parseFloat(process.env[name]);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+};
+
+const MAX_DELAY_MS = 12 * 3600 * 1000;
+const LEASE_MS = 2 * 60 * 1000; // a runner holds an entry this long, so overlapping runs don't double-send
+
+/** When to try again after `attempts` failed tries */
+export function nextAttemptAt(attempts, now = Date.now()) {
+  const delay = Math.min(num("OUTBOX_BACKOFF_MINUTES", 2) * 60000 * 4 ** Math.max(0, attempts - 1), MAX_DELAY_MS);
+  return new Date(now + delay).toISOString();
+}
+
+/** Outbox state for a channel after a failed try */
+function afterFailure(prev, result, now) {
+  const attempts = (prev ? prev.attempts : 0) + 1;
+  const dead = attempts >= Math.floor(num("OUTBOX_MAX_ATTEMPTS", 6));
+  return {
+    status: dead ? "dead" : "retrying",
+    attempts,
+    lastError: result.error || "",
+    lastAttemptAt: result.at,
+    ...(dead ? {} : { nextAttemptAt: nextAttemptAt(attempts, now) }),
+  };
+}
+
+// Channels besides the staff ones in lib/delivery.js: what each sends from the queued message and where
+// its result lives in the lead record's delivery block (staff channels: delivery.channels.<name>)
+const FOLLOW_UPS = {
+  customer: { path: ["customer"], send: (m) => sendEmail(m.customer) },
+  customerSms: {
+    path: ["customerSms"],
+    async send(m) {
+      if (await isOptedOut(m.customerSms.to)) return { skipped: "opted out" };
+      return sendSms(m.customerSms.to, m.customerSms.body);
+    },
+  },
+  adfPost: { path: ["adf", "post"], send: (m) => postAdf(m.adf) },
+  adfEmail: { path: ["adf", "email"], send: (m) => emailAdf(m.adf) },
+};
+
+/**
+ * A lead record's delivery block with per-channel results or outbox states merged in.
+ * @param {object} delivery - current delivery block ({} for a new lead)
+ * @param {Object<string, object>} byChannel - { channelName: result and/or outbox state }
+ */
+export function withDelivery(delivery = {}, byChannel = {}) {
+  const next = { ...delivery };
+  for (const [name, value] of Object.entries(byChannel)) {
+    const [group, key] = FOLLOW_UPS[name] ? FOLLOW_UPS[name].path : ["channels", name];
+    next[group] = key ? { ...(next[group] || {}), [key]: value } : value;
+  }
+  return next;
+}
+
+/** Merge channel results into the lead record's delivery block */
+async function recordOnLead(leadId, channels) {
+  const store = getLeadStore();
+  try {
+    const record = await store.get(leadId);
+    if (!record) return;
+    await store.save({ ...record, delivery: withDelivery(record.delivery, channels) });
+  } catch (e) {
+    console.error(`Lead store update failed (${leadId}):`, e.message);
+  }
+}
+
+/**
+ * Send a lead on `names` now. Never throws — each channel reports { ok, at, id?, skipped?, error? }.
+ * Used by the outbox runs, and by lib/intake.js for a lead that can't be queued.
+ * @param {object} message - deliverLead() message plus the follow-up messages (customer, customerSms, adf)
+ * @param {string[]} names - staff channels (lib/delivery.js) and/or customer, customerSms, adfPost, adfEmail
+ */
+export async function sendNow(message, names) {
+  const staff = names.filter((n) => !FOLLOW_UPS[n]);
+  const results = {};
+  await Promise.all([
+    staff.length ? deliverLead(message, { only: staff }).then(({ channels }) => Object.assign(results, channels)) : null,
+    ...names.filter((n) => FOLLOW_UPS[n]).map(async (name) => {
+      try {
+        const extra = await FOLLOW_UPS[name].send(message);
+        results[name] = {
+          ok: true,
+          at: new Date().toISOString(),
+          ...(extra && extra.id ? { id: extra.id } : {}),
+          ...(extra && extra.skipped ? { skipped: extra.skipped } : {}),
+        };
+      } catch (e) {
+        console.warn(`Lead delivery failed (${name}):`, e.message);
+        results[name] = { ok: false, at: new Date().toISOString(), error: String(e.message).slice(0, 500) };
+      }
+    }),
+  ]);
+  return results;
+}
+
+const PENDING = { status: "pending", attempts: 0 };
+
+/** A new lead's delivery block: every channel it goes out on, pending (the outbox sends them) */
+export function pendingDelivery(names) {
+  return withDelivery({}, Object.fromEntries(names.map((n) => [n, { ...PENDING }])));
+}
+
+/**
+ * Queue a stored lead's channels. Channels already tried (`tried`) are queued only when that try failed;
+ * the rest are pending and go out on the next run (functions/delivery-background.js, delivery-retry.js).
+ * @param {object} item
+ * @param {string} item.leadId
+ * @param {{ to, subject, html, text }} item.email - staff email, routed recipients included (attachments are dropped)
+ * @param {Array<{ key: string, filename: string, mimetype: string }>} [item.attachmentKeys] - stored photos to attach
+ * @param {object} item.row - Sheets row
+ * @param {{ to: string[], body: string }} [item.sms] - staff text
+ * @param {{ to, replyTo?, subject, text, html }} [item.customer] - customer confirmation email
+ * @param {{ to: string, body: string }} [item.customerSms] - customer confirmation text
+ * @param {{ doc, subject, filename }} [item.adf] - lib/adf.js renderAdf()
+ * @param {string} item.origin - site origin for photo links
+ * @param {string[]} names - channels to send on
+ * @param {Object<string, { ok: boolean, at: string, error?: string }>} [tried] - sendNow() results
+ * @returns {Promise<Object<string, { status, attempts, nextAttemptAt? }>>} per queued channel ({} when nothing is left)
+ */
+export async function enqueue({ leadId, email, attachmentKeys = [], row, sms, customer, customerSms, adf, origin }, names, tried = {}, now = Date.now()) {
+  const channels = {};
+  for (const name of names) {
+    if (!tried[name]) channels[name] = { ...PENDING };
+    else if (!tried[name].ok) channels[name] = afterFailure(null, tried[name], now);
+  }
+  if (!Object.keys(channels).length) return {};
+  const { attachments: _files, ...mail } = email;
+  await entries().set(leadId, {
+    leadId,
+    createdAt: new Date(now).toISOString(),
+    origin,
+    email: mail,
+    attachmentKeys,
+    row,
+    ...(sms ? { sms } : {}),
+    ...(customer ? { customer } : {}),
+    ...(customerSms ? { customerSms } : {}),
+    ...(adf ? { adf } : {}),
+    channels,
+  });
+  return Object.fromEntries(Object.entries(channels).map(([name, { lastError: _e, lastAttemptAt: _at, ...state }]) => [name, state]));
+}
+
+/**
+ * Ask functions/delivery-background.js to send a newly queued lead now. Never throws — when the call
+ * doesn't get through, delivery-retry.js sends the lead on its next run.
+ */
+export async function startDelivery(origin, leadId) {
+  try {
+    const res = await fetch(`${origin}/.netlify/functions/delivery-background`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ leadId }),
+      signal: AbortSignal.timeout(3000),
+    });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  } catch (e) {
+    console.warn(`Background delivery didn't start (${leadId}); delivery-retry will send it:`, e.message);
+  }
+}
+
+/** Try `names` for one entry now; updates the entry, the lead record and `summary` */
+async function attempt(entry, names, now, summary) {
+  await entries().set(entry.leadId, { ...entry, lockedUntil: new Date(now + LEASE_MS).toISOString() });
+
+  const record = await getLeadStore().get(entry.leadId);
+  const files = [];
+  for (const a of entry.attachmentKeys || []) {
+    const obj = await readPhoto(a.key).catch(() => null);
+    if (obj) files.push({ filename: a.filename, mimetype: obj.contentType || a.mimetype, buffer: obj.buffer });
+  }
+  const results = await sendNow({
+    ...entry,
+    email: { ...entry.email, attachments: toAttachments(files) },
+    record: record ? { ...record, photos: withPhotoLinks(record.photos, entry.origin) } : { id: entry.leadId, ...entry.row },
+  }, names);
+
+  const channels = { ...entry.channels };
+  const onLead = {};
+  for (const [name, r] of Object.entries(results)) {
+    summary.tried += 1;
+    if (r.ok) {
+      summary.delivered += 1;
+      onLead[name] = { ...r, attempts: channels[name].attempts + 1 };
+      delete channels[name];
+    } else {
+      channels[name] = afterFailure(channels[name], r, now);
+      if (channels[name].status === "dead") summary.parked += 1;
+      const { lastError: _e, lastAttemptAt: _at, ...state } = channels[name];
+      onLead[name] = { ...r, ...state };
+    }
+  }
+  await recordOnLead(entry.leadId, onLead);
+
+  if (Object.keys(channels).length) {
+    const { lockedUntil: _lock, ...rest } = entry;
+    await entries().set(entry.leadId, { ...rest, channels });
+  } else {
+    await entries().delete(entry.leadId);
+  }
+}
+
+const locked = (entry, now) => entry.lockedUntil && Date.parse(entry.lockedUntil) > now;
+
+const isDue = (c, now) => c.status === "pending" || (c.status === "retrying" && Date.parse(c.nextAttemptAt) <= now);
+
+/**
+ * Send every pending channel and retry those whose backoff has run out — all leads (scheduled runner)
+ * or one (background send right after intake).
+ * @param {{ leadId?: string }} [opts]
+ * @returns {Promise<{ tried: number, delivered: number, parked: number }>}
+ */
+export async function retryDue({ leadId } = {}, now = Date.now()) {
+  const summary = { tried: 0, delivered: 0, parked: 0 };
+  for (const key of leadId ? [leadId] : await entries().keys()) {
+    const entry = await entries().get(key);
+    if (!entry || locked(entry, now)) continue;
+    const due = Object.keys(entry.channels).filter((n) => isDue(entry.channels[n], now));
+    if (due.length) await attempt(entry, due, now, summary);
+  }
+  return summary;
+}
+
+/**
+ * Replay parked channels now — one lead (every queued channel, parked or waiting) or all parked leads.
+ * A replay that fails again stays parked.
+ * @param {{ leadId?: string }} [opts]
+ * @returns {Promise<{ found: boolean, tried: number, delivered: number, parked: number }>}
+ */
+export async function replay({ leadId } = {}, now = Date.now()) {
+  const summary = { found: false, tried: 0, delivered: 0, parked: 0 };
+  const keys = leadId ? [leadId] : await entries().keys();
+  for (const key of keys) {
+    const entry = await entries().get(key);
+    if (!entry || locked(entry, now)) continue;
+    const names = Object.keys(entry.channels).filter((n) => leadId || entry.channels[n].status === "dead");
+    if (!names.length) continue;
+    summary.found = true;
+    await attempt(entry, names, now, summary);
+  }
+  return summary;
+}
+
+/**
+ * Queued leads, oldest first, without the email bodies.
+ * @param {{ status?: "pending" | "retrying" | "dead" }} [query] - only entries with a channel in this state
+ */
+export async function listOutbox({ status } = {}) {
+  const all = (await Promise.all((await entries().keys()).map((k) => entries().get(k)))).filter(Boolean);
+  return all
+    .filter((e) => !status || Object.values(e.channels).some((c) => c.status === status))
+    .sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)))
+    .map((e) => ({ leadId: e.leadId, createdAt: e.createdAt, subject: e.email.subject, channels: e.channels }));
+}
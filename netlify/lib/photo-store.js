@@ -0,0 +1,189 @@
+// netlify/lib/photo-store.js
+// Uploaded photos (and the odd document, e.g. a lien payoff statement PDF) live in an object store; emails and the staff inbox link to them
+// through signed, expiring URLs served by netlify/functions/photos.js.
+//
+//   kind "file"   - one file per object under PHOTO_DIR (local dev; default)
+//   kind "blobs"  - Netlify Blobs store "photos" (production)
+//   kind "memory" - per-instance Map (tests)
+//
+// Environment:
+//   PHOTO_STORE         - backend (default LEAD_STORE, else "file")
+//   PHOTO_DIR           - folder for the file backend (default <DATA_DIR>/photos)
+//   PHOTO_LINK_SECRET   - HMAC key for view links; without it emails fall back to attachments
+//   PHOTO_LINK_TTL_DAYS - how long emailed links stay valid (default 30)
+import { createHmac, timingSafeEqual } from "node:crypto";
+import { promises as fs } from "node:fs";
+import path from "node:path";
+import { getStore } from "@netlify/blobs";
+
+const THUMB_EDGE = 320;
+
+/* ----------------- backends ----------------- */
+// Object keys look like "<leadId>/<n>-<field>.jpg" — each segment is a file-system-safe name
+function fileAdapter(dir) {
+  const file = (key) => path.join(dir, ...key.split("/"));
+  return {
+    async put(key, buffer, contentType) {
+      await fs.mkdir(path.dirname(file(key)), { recursive: true });
+      await fs.writeFile(file(key), buffer);
+      await fs.writeFile(`${file(key)}.type`, contentType, "utf8");
+    },
+    async get(key) {
+      try {
+        const [buffer, contentType] = await Promise.all([
+          fs.readFile(file(key)),
+          fs.readFile(`${file(key)}.type`, "utf8").catch(() => "application/octet-stream"),
+        ]);
+        return { buffer, contentType };
+      } catch (e) {
+        if (e.code === "ENOENT") return null;
+        throw e;
+      }
+    },
+  };
+}
+
+function blobsAdapter() {
+  const store = process.env.NETLIFY_SITE_ID && process.env.NETLIFY_BLOBS_TOKEN
+    ? getStore({ name: "photos", siteID: process.env.NETLIFY_SITE_ID, token: process.env.NETLIFY_BLOBS_TOKEN })
+    : getStore("photos");
+  return {
+    async put(key, buffer, contentType) {
+      await store.set(key, new Blob([buffer]), { metadata: { contentType } });
+    },
+    async get(key) {
+      const hit = await store.getWithMetadata(key, { type: "arrayBuffer" });
+      if (!hit) return null;
+      return {
+        buffer: Buffer.from(hit.data),
+        contentType: (hit.metadata && hit.metadata.contentType) || "application/octet-stream",
+      };
+    },
+  };
+}
+
+const memoryObjects = new Map();
+
+function memoryAdapter() {
+  return {
+    async put(key, buffer, contentType) { memoryObjects.set(key, { buffer: Buffer.from(buffer), contentType }); },
+    async get(key) { return memoryObjects.get(key) || null; },
+  };
+}
+
+let adapter;
+function objects() {
+  if (adapter) return adapter;
+  const kind = String(process.env.PHOTO_STORE || process.env.LEAD_STORE || "file").trim().toLowerCase();
+  if (kind === "blobs") adapter = blobsAdapter();
+  else if (kind === "memory") adapter = memoryAdapter();
+  else adapter = fileAdapter(path.resolve(process.env.PHOTO_DIR || path.join(process.env.DATA_DIR || ".data", "photos")));
+  return adapter;
+}
+
+/* ----------------- thumbnails ----------------- */
+let sharpLoader;
+const loadSharp = () =>
+  sharpLoader || (sharpLoader = import("sharp").then((m) => m.default).catch((e) => {
+    console.warn("sharp unavailable, emails will link full-size photos:", e.message);
+    return null;
+  }));
+
+/** JPEG thumbnail (long edge THUMB_EDGE, EXIF orientation applied) or null if the image can't be decoded */
+async function makeThumbnail(buffer) {
+  const sharp = await loadSharp();
+  if (!sharp) return null;
+  try {
+    return await sharp(buffer)
+      .rotate()
+      .resize(THUMB_EDGE, THUMB_EDGE, { fit: "inside", withoutEnlargement: true })
+      .jpeg({ quality: 70 })
+      .toBuffer();
+  } catch (e) {
+    console.warn("Thumbnail failed:", e.message);
+    return null;
+  }
+}
+
+/* ----------------- save / read ----------------- */
+const EXT = { "image/jpeg": "jpg", "image/png": "png", "image/webp": "webp", "image/gif": "gif", "image/heic": "heic", "image/heif": "heif", "application/pdf": "pdf" };
+
+function extFor(file) {
+  const fromName = (String(file.filename || "").match(/\.([a-z0-9]{1,5})$/i) || [])[1];
+  return (EXT[file.mimetype] || fromName || "bin").toLowerCase();
+}
+
+const segment = (s) => String(s).replace(/[^A-Za-z0-9-]/g, "") || "x";
+
+/**
+ * Store uploads under `prefix` (the lead id). Never throws — a file that couldn't be
+ * stored comes back with `error` and no `key` so the caller can still attach it.
+ * @param {string} prefix
+ * @param {Array<{ field, filename, mimetype, buffer, size, slot?, label?, note? }>} files
+ * @returns {Promise<Array<{ field, filename, mimetype, size, slot?, label?, note?, key?, thumbKey?, error? }>>}
+ */
+export async function savePhotos(prefix, files = []) {
+  const out = [];
+  for (const [i, f] of files.entries()) {
+    const meta = { field: f.field, filename: f.filename, mimetype: f.mimetype, size: f.size };
+    if (f.slot) Object.assign(meta, { slot: f.slot, label: f.label, note: f.note || "" });
+    const base = `${segment(prefix)}/${String(i + 1).padStart(2, "0")}-${segment(f.field)}`;
+    try {
+      const key = `${base}.${extFor(f)}`;
+      await objects().put(key, f.buffer, f.mimetype || "application/octet-stream");
+      meta.key = key;
+
+      const thumb = String(f.mimetype).startsWith("image/") ? await makeThumbnail(f.buffer) : null;
+      if (thumb) {
+        await objects().put(`${base}.thumb.jpg`, thumb, "image/jpeg");
+        meta.thumbKey = `${base}.thumb.jpg`;
+      }
+    } catch (e) {
+      console.error(`Photo store write failed (${f.filename}):`, e.message);
+      meta.error = e.message;
+    }
+    out.push(meta);
+  }
+  return out;
+}
+
+/** @returns {Promise<null | { buffer: Buffer, contentType: string }>} */
+export async function readPhoto(key) {
+  return objects().get(key);
+}
+
+/* ----------------- signed links ----------------- */
+const secret = () => process.env.PHOTO_LINK_SECRET || "";
+
+export const photoLinksEnabled = () => Boolean(secret());
+
+const signature = (key, exp) => createHmac("sha256", secret()).update(`${key}\n${exp}`).digest("hex");
+
+/**
+ * Signed view URL for an object key.
+ * @param {string} key
+ * @param {{ origin: string, ttlSeconds?: number }} opts
+ */
+export function signPhotoUrl(key, { origin, ttlSeconds } = {}) {
+  const ttl = ttlSeconds || (parseFloat(process.env.PHOTO_LINK_TTL_DAYS) || 30) * 86400;
+  const exp = Math.floor(Date.now() / 1000) + Math.round(ttl);
+  const p = key.split("/").map(encodeURIComponent).join("/");
+  return `${origin}/api/photos/${p}?exp=${exp}&sig=${signature(key, exp)}`;
+}
+
+/** True when `sig` matches `key` + `exp` and the link hasn't expired */
+export function verifyPhotoSignature(key, exp, sig) {
+  if (!secret() || !/^\d+$/.test(String(exp)) || !/^[0-9a-f]{64}$/.test(String(sig))) return false;
+  if (Number(exp) < Date.now() / 1000) return false;
+  return timingSafeEqual(Buffer.from(signature(key, exp), "hex"), Buffer.from(String(sig), "hex"));
+}
+
+/** Stored photo metadata + fresh signed links (url / thumbUrl) for emails and the inbox */
+export function withPhotoLinks(photos = [], origin, ttlSeconds) {
+  if (!photoLinksEnabled()) return photos;
+  return photos.map((p) => (p.key ? {
+    ...p,
+    url: signPhotoUrl(p.key, { origin, ttlSeconds }),
+    thumbUrl: signPhotoUrl(p.thumbKey || p.key, { origin, ttlSeconds }),
+  } : p));
+}
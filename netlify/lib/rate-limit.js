@@ -0,0 +1,69 @@
+// netlify/lib/rate-limit.js
+// Fixed-window request limits (per client IP, per VIN…) on top of kv.js.
+// Counters are keyed by a hash of the id, so the store never holds raw IPs or VINs.
+// Best-effort: kv.js has no atomic increment, so a burst of parallel requests can slip a few over.
+//
+// Environment:
+//   RATE_LIMIT_STORE       - kv backend: "memory" (default — per function instance, fine for local dev),
+//                            "blobs" (shared by every instance; use in production) or "file"
+//   RATE_LIMIT_IP_PER_HOUR - lead submissions per client IP per hour (default 10; 0 = off)
+//   RATE_LIMIT_VIN_PER_DAY - lead submissions per VIN per day (default 5; 0 = off)
+//   RATE_LIMIT_DRAFTS_PER_HOUR - "email me a link" requests per client IP per hour (default 5; 0 = off)
+//   RATE_LIMIT_OFFERS_PER_HOUR - offer-page answers (accept / decline / question) per client IP per hour (default 10; 0 = off)
+import { createHash } from "node:crypto";
+import { openKv } from "./kv.js";
+
+let kv;
+const counters = () => kv || (kv = openKv("rate-limits", { kind: process.env.RATE_LIMIT_STORE || "memory" }));
+
+const hash = (s) => createHash("sha256").update(String(s)).digest("hex").slice(0, 32);
+
+function envLimit(name, fallback) {
+  const n = parseInt(process.env[name], 10);
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+/** Limits by bucket name → { limit, windowSeconds } (limit 0 = unlimited) */
+export function rateLimits() {
+  return {
+    ip: { limit: envLimit("RATE_LIMIT_IP_PER_HOUR", 10), windowSeconds: 3600 },
+    vin: { limit: envLimit("RATE_LIMIT_VIN_PER_DAY", 5), windowSeconds: 86400 },
+    drafts: { limit: envLimit("RATE_LIMIT_DRAFTS_PER_HOUR", 5), windowSeconds: 3600 },
+    offers: { limit: envLimit("RATE_LIMIT_OFFERS_PER_HOUR", 10), windowSeconds: 3600 },
+  };
+}
+
+/** Caller's IP as Netlify reports it ("" when unknown, e.g. local tests) */
+export function clientIp(event) {
+  const h = (event && event.headers) || {};
+  const forwarded = String(h["x-forwarded-for"] || "").split(",")[0];
+  return String(h["x-nf-client-connection-ip"] || forwarded || h["client-ip"] || "").trim();
+}
+
+/**
+ * Count one request against `bucket` for `id`.
+ * Never throws — if the store is down the request is allowed (and logged).
+ * @param {string} bucket - key of rateLimits()
+ * @param {string} id - IP, VIN…; empty ids aren't limited
+ * @returns {Promise<{ ok: boolean, retryAfter?: number }>} retryAfter in seconds when over the limit
+ */
+export async function hitRateLimit(bucket, id, now = Date.now()) {
+  const { limit, windowSeconds } = rateLimits()[bucket] || {};
+  if (!limit || !id) return { ok: true };
+
+  const key = `${bucket}:${hash(id)}`;
+  const windowMs = windowSeconds * 1000;
+  try {
+    const prev = await counters().get(key);
+    const entry = prev && now - prev.start < windowMs ? prev : { start: now, count: 0 };
+    if (entry.count >= limit) {
+      return { ok: false, retryAfter: Math.max(1, Math.ceil((entry.start + windowMs - now) / 1000)) };
+    }
+    entry.count += 1;
+    await counters().set(key, entry);
+    return { ok: true };
+  } catch (e) {
+    console.warn(`Rate limit check failed (${bucket}):`, e.message);
+    return { ok: true };
+  }
+}
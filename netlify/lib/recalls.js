@@ -0,0 +1,96 @@
+// netlify/lib/recalls.js
+// Safety recall lookup by year/make/model behind a swappable provider.
+//
+// Environment:
+//   RECALL_PROVIDER   - "nhtsa" (default), "stub" (canned sample, no network) or "off"
+//   RECALL_TIMEOUT_MS - NHTSA timeout (default 5000)
+//
+// NHTSA's public API lists campaigns for the model year, not open status for a specific VIN —
+// the appraiser still confirms open/closed on the VIN before reconditioning.
+import { openKv, readCache, writeCache } from "./kv.js";
+
+const RECALLS_TTL = 24 * 3600;
+const str = (v) => (v === undefined || v === null ? "" : String(v).trim());
+
+/** NHTSA result row → our shape */
+const normalize = (r) => ({
+  campaign: str(r.NHTSACampaignNumber),
+  component: str(r.Component),
+  summary: str(r.Summary),
+  consequence: str(r.Consequence),
+  remedy: str(r.Remedy),
+  reportDate: str(r.ReportReceivedDate),
+});
+
+const providers = {
+  nhtsa: {
+    name: "nhtsa",
+    async lookup({ year, make, model }) {
+      const url = `https://api.nhtsa.gov/recalls/recallsByVehicle?make=${encodeURIComponent(make)}&model=${encodeURIComponent(model)}&modelYear=${encodeURIComponent(year)}`;
+      const ms = parseInt(process.env.RECALL_TIMEOUT_MS, 10) || 5000;
+      const res = await fetch(url, { signal: AbortSignal.timeout(ms) });
+      // NHTSA answers 400 for year/make/model combos it has never heard of — that's "no recalls"
+      if (res.status === 400) return [];
+      if (!res.ok) throw new Error(`NHTSA recalls HTTP ${res.status}`);
+      const js = await res.json();
+      return (js.results || js.Results || []).map(normalize);
+    },
+  },
+
+  // Local development: deterministic, offline
+  stub: {
+    name: "stub",
+    async lookup({ year, make, model }) {
+      return [normalize({
+        NHTSACampaignNumber: "00V000000",
+        Component: "SAMPLE COMPONENT",
+        Summary: `Sample recall for ${year} ${make} ${model} (RECALL_PROVIDER=stub).`,
+        Consequence: "None — stub data.",
+        Remedy: "None — stub data.",
+        ReportReceivedDate: "01/01/2024",
+      })];
+    },
+  },
+};
+
+/** Swap in another implementation (e.g. a paid VIN-level service) under a new RECALL_PROVIDER name */
+export function registerRecallProvider(name, provider) {
+  providers[name] = { name, ...provider };
+}
+
+let kv;
+const cache = () =>
+  kv || (kv = openKv("recall-cache", { kind: process.env.VEHICLE_CACHE || process.env.LEAD_STORE }));
+
+/**
+ * Recalls for a vehicle. Never throws.
+ * @returns {Promise<null | { provider: string, checkedAt: string, items: object[], error?: string }>}
+ *          null when disabled or year/make/model are missing
+ */
+export async function lookupRecalls({ year, make, model }) {
+  const name = str(process.env.RECALL_PROVIDER).toLowerCase() || "nhtsa";
+  if (name === "off" || !year || !make || !model) return null;
+
+  const provider = providers[name];
+  const checkedAt = new Date().toISOString();
+  if (!provider) return { provider: name, checkedAt, items: [], error: `Unknown recall provider "${name}"` };
+
+  const key = `${name}:${str(year)}:${str(make).toLowerCase()}:${str(model).toLowerCase()}`;
+  let hit = null;
+  try {
+    hit = await readCache(cache(), key);
+  } catch (e) {
+    console.warn("Recall cache read failed:", e.message);
+  }
+  if (hit && hit.fresh) return { provider: name, checkedAt, items: hit.value };
+
+  try {
+    const items = await provider.lookup({ year: str(year), make: str(make), model: str(model) });
+    writeCache(cache(), key, items, RECALLS_TTL).catch((e) => console.warn("Recall cache write failed:", e.message));
+    return { provider: name, checkedAt, items };
+  } catch (e) {
+    console.warn("Recall lookup failed:", e.message);
+    if (hit) return { provider: name, checkedAt, items: hit.value };
+    return { provider: name, checkedAt, items: [], error: e.message };
+  }
+}
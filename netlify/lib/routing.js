@@ -0,0 +1,115 @@
+// netlify/lib/routing.js
+// Staff email (and text) recipients per lead, from the rules in netlify/config/routing.js.
+// Pure apart from reading TO_EMAIL / DEALER_TZ, so rules can be checked offline (scripts/route-lead.js).
+import routingConfig from "../config/routing.js";
+import { staffRecipients } from "./delivery.js";
+import { dealerTimeZone } from "./dropoff.js";
+
+/** Lowercase, no accents or punctuation, single spaces — "José  O'Brien" → "jose obrien" */
+const key = (s) =>
+  String(s || "").normalize("NFD").replace(/[\u0300-\u036f]/g, "").toLowerCase()
+    .replace(/['’.]/g, "").replace(/[^a-z0-9@]+/g, " ").trim();
+
+const inList = (list, v) => (list || []).some((x) => key(x) === key(v));
+
+/**
+ * Staff member the customer named as their consultant, or null.
+ * Matches the full name, an alias, the email (or its local part), or a first name only one person has.
+ */
+export function matchConsultant(answer, staff = []) {
+  const want = key(answer);
+  if (!want) return null;
+  const exact = staff.find((s) =>
+    [s.name, ...(s.aliases || []), s.email, String(s.email || "").split("@")[0]].some((n) => n && key(n) === want));
+  if (exact) return exact;
+  const byFirst = staff.filter((s) => s.name && key(s.name).split(" ")[0] === want);
+  return byFirst.length === 1 ? byFirst[0] : null;
+}
+
+/** Is `date` inside `hours` ({ mon: ["09:00", "20:00"], … }) at the dealership? */
+export function isOpen(date, hours = {}, tz = dealerTimeZone()) {
+  const p = Object.fromEntries(new Intl.DateTimeFormat("en-US", {
+    timeZone: tz, hourCycle: "h23", weekday: "short", hour: "2-digit", minute: "2-digit",
+  }).formatToParts(date).map((x) => [x.type, x.value]));
+  const span = hours[p.weekday.slice(0, 3).toLowerCase()];
+  if (!span) return false;
+  const hhmm = `${p.hour}:${p.minute}`;
+  return hhmm >= span[0] && hhmm < span[1];
+}
+
+function matches(when = {}, facts) {
+  if (when.lang && !inList(when.lang, facts.lang)) return false;
+  if (when.make && !inList(when.make, facts.make)) return false;
+  if (when.notMake && (!facts.make || inList(when.notMake, facts.make))) return false;
+  if (when.title && !inList(when.title, facts.title)) return false;
+  if (when.consultant !== undefined && Boolean(facts.consultant) !== Boolean(when.consultant)) return false;
+  if (when.hours && (when.hours === "open") !== facts.open) return false;
+  return true;
+}
+
+function resolve(notify, facts, config) {
+  const staff = config.staff || [];
+  const has = (list, v) => (list || []).some((x) => String(x).toLowerCase() === String(v).toLowerCase());
+  return [].concat(notify || []).flatMap((n) => {
+    if (n === "consultant") return facts.consultant ? [facts.consultant.email] : [];
+    if (n === "TO_EMAIL") return facts.defaults;
+    if (n && n.role) return staff.filter((s) => has(s.roles, n.role)).map((s) => s.email);
+    if (n && n.language) return staff.filter((s) => has(s.languages, n.language)).map((s) => s.email);
+    if (n && n.emails) return n.emails;
+    return [];
+  }).filter(Boolean);
+}
+
+/**
+ * Recipients for one lead. Fallback rules are only tried when the others sent the lead to nobody.
+ * @param {object} lead - normalized lead (lang, make, submittedAt…)
+ * @param {object} [fields] - raw answers (title, salesConsultant)
+ * @param {{ config?: object, now?: Date, defaults?: string[], samples?: boolean }} [opts] - overrides for offline
+ *   checks; `samples` routes to the directory's sample entries as if they were staff
+ * @returns {{ to: string[], textTo: string[], rules: string[], unstaffed?: string[], samples?: string[],
+ *   consultant: { name: string, email: string } | null }}
+ *   rules = matched rules that added someone; unstaffed = matched rules that resolved to nobody;
+ *   samples = recipients that are sample entries
+ */
+export function routeLead(lead = {}, fields = {}, { config: base = routingConfig, now, defaults = staffRecipients(), samples = false } = {}) {
+  const config = { ...base, staff: (base.staff || []).filter((s) => samples || !s.sample) };
+  const at = now || (lead.submittedAt ? new Date(lead.submittedAt) : new Date());
+  const consultant = matchConsultant(fields.salesConsultant, config.staff);
+  const facts = {
+    lang: lead.lang || fields.lang || "en",
+    make: lead.make || fields.make || "",
+    title: fields.title || "",
+    consultant,
+    open: isOpen(at, config.businessHours),
+    defaults,
+  };
+
+  const to = new Set();
+  const rules = [];
+  const unstaffed = [];
+  const apply = (rule) => {
+    if (!matches(rule.when, facts)) return;
+    const emails = resolve(rule.notify, facts, config);
+    (emails.length ? rules : unstaffed).push(rule.name);
+    emails.forEach((e) => to.add(String(e).trim().toLowerCase()));
+  };
+  (config.rules || []).filter((r) => !r.fallback).forEach(apply);
+  if (!to.size) (config.rules || []).filter((r) => r.fallback).forEach(apply);
+  if (!to.size) defaults.forEach((e) => to.add(e.toLowerCase()));
+
+  // Routed staff with a mobile number on file also get a text
+  const textTo = config.staff
+    .filter((s) => s.phone && to.has(String(s.email).trim().toLowerCase()))
+    .map((s) => s.phone);
+
+  const sampled = config.staff.filter((s) => s.sample && to.has(String(s.email).trim().toLowerCase())).map((s) => s.email);
+
+  return {
+    to: [...to],
+    textTo,
+    rules,
+    ...(unstaffed.length ? { unstaffed } : {}),
+    ...(sampled.length ? { samples: sampled } : {}),
+    consultant: consultant ? { name: consultant.name, email: consultant.email } : null,
+  };
+}
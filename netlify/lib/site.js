@@ -0,0 +1,49 @@
+// netlify/lib/site.js
+// Absolute links back to this site (photo links, resume links, lead links), which origins may post to it,
+// and decoding the ids in route paths.
+//
+// Environment:
+//   URL             - site origin (set by Netlify); otherwise the host the request came in on
+//   ALLOWED_ORIGINS - other origins allowed to post the form cross-site, comma-separated
+//                     (e.g. "https://www.quirkvw.com"); this site is always allowed
+
+/** Site origin for links: Netlify's URL, else the host the request came in on */
+export function siteOrigin(event) {
+  if (process.env.URL) return process.env.URL.replace(/\/+$/, "");
+  const h = (event && event.headers) || {};
+  const host = h["x-forwarded-host"] || h.host || "localhost:8888";
+  const proto = h["x-forwarded-proto"] || (host.startsWith("localhost") ? "http" : "https");
+  return `${proto}://${host}`;
+}
+
+/** A URL path segment decoded; null when it isn't valid percent-encoding (route parsers answer 404/400) */
+export function decodeSegment(s) {
+  try {
+    return decodeURIComponent(s);
+  } catch {
+    return null; // URIError
+  }
+}
+
+/** Staff link to one lead (staff texts, notifications): the lead's page in the /admin dashboard */
+export function leadUrl(origin, leadId) {
+  return leadId ? `${origin}/admin/#${encodeURIComponent(leadId)}` : "";
+}
+
+/**
+ * The request's Origin when it may post here, "" when there's no Origin header (same-origin
+ * navigations, server-to-server) and null when it's a foreign site.
+ */
+export function allowedOrigin(event) {
+  const h = (event && event.headers) || {};
+  const origin = String(h.origin || h.Origin || "").replace(/\/+$/, "");
+  if (!origin) return "";
+  const allowed = new Set([
+    siteOrigin(event),
+    ...String(process.env.ALLOWED_ORIGINS || "").split(",").map((s) => s.trim().replace(/\/+$/, "")).filter(Boolean),
+  ]);
+  let host = "";
+  try { host = new URL(origin).host; } catch { return null; }
+  // Deploy previews / branch deploys post to their own host
+  return allowed.has(origin) || host === (h["x-forwarded-host"] || h.host) ? origin : null;
+}
@@ -0,0 +1,146 @@
+// netlify/lib/sms.js
+// Text messages behind a small provider interface:
+//   twilio - Twilio Programmable Messaging (REST + signed inbound webhooks)
+//   fake   - nothing leaves the building: messages are logged and kept in the "sms-fake" kv store,
+//            inbound webhooks take JSON { from, body } — for local dev and tests
+// Each provider: send({ to, body }) → { id }, verify(event), inbound(event) → { from, body }, reply(text) → response.
+// Customers who text STOP are kept in the "sms-optouts" store (keyed by a hash of the number).
+//
+// Environment:
+//   SMS_PROVIDER        - "twilio" | "fake" (unset = no texting)
+//   SMS_FROM            - sending number, E.164 (+16175550100)
+//   TWILIO_ACCOUNT_SID / TWILIO_AUTH_TOKEN
+//   SMS_STORE           - kv backend for opt-outs and the fake provider (default LEAD_STORE or "file")
+import { createHash, createHmac, randomBytes, timingSafeEqual } from "node:crypto";
+import { openKv } from "./kv.js";
+import { siteOrigin } from "./site.js";
+
+const stores = {};
+const store = (name) => stores[name] || (stores[name] = openKv(name, { kind: process.env.SMS_STORE || process.env.LEAD_STORE }));
+
+const hash = (s) => createHash("sha256").update(String(s)).digest("hex").slice(0, 32);
+
+const xml = (s) => String(s).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+
+/** Form-encoded or JSON webhook body as a plain object */
+function bodyParams(event) {
+  const raw = event.isBase64Encoded ? Buffer.from(event.body || "", "base64").toString("utf8") : event.body || "";
+  const ct = String((event.headers || {})["content-type"] || (event.headers || {})["Content-Type"] || "");
+  if (ct.includes("application/json")) {
+    try {
+      return JSON.parse(raw || "{}");
+    } catch {
+      return {};
+    }
+  }
+  return Object.fromEntries(new URLSearchParams(raw));
+}
+
+/* ----------------- providers ----------------- */
+const twilio = {
+  name: "twilio",
+  async send({ to, body }) {
+    const { TWILIO_ACCOUNT_SID: sid, TWILIO_AUTH_TOKEN: token, SMS_FROM: from } = process.env;
+    if (!sid || !token || !from) throw new Error("TWILIO_ACCOUNT_SID / TWILIO_AUTH_TOKEN / SMS_FROM is not set");
+    const res = await fetch(`https://api.twilio.com/2010-04-01/Accounts/${encodeURIComponent(sid)}/Messages.json`, {
+      method: "POST",
+      headers: { Authorization: `Basic ${Buffer.from(`${sid}:${token}`).toString("base64")}` },
+      body: new URLSearchParams({ From: from, To: to, Body: body }),
+      signal: AbortSignal.timeout(10000),
+    });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(`Twilio ${res.status}: ${data.message || "send failed"}`);
+    return { id: data.sid };
+  },
+  /** X-Twilio-Signature: base64 HMAC-SHA1 of the full URL plus the sorted POST params */
+  verify(event) {
+    const token = process.env.TWILIO_AUTH_TOKEN || "";
+    const got = String((event.headers || {})["x-twilio-signature"] || "");
+    if (!token || !got) return false;
+    const url = event.rawUrl || `${siteOrigin(event)}${event.path}`;
+    const params = bodyParams(event);
+    const payload = url + Object.keys(params).sort().map((k) => k + params[k]).join("");
+    const want = Buffer.from(createHmac("sha1", token).update(payload).digest("base64"));
+    const have = Buffer.from(got);
+    return want.length === have.length && timingSafeEqual(want, have);
+  },
+  inbound(event) {
+    const p = bodyParams(event);
+    return { from: String(p.From || ""), body: String(p.Body || "") };
+  },
+  reply(text) {
+    return {
+      statusCode: 200,
+      headers: { "Content-Type": "text/xml" },
+      body: `<?xml version="1.0" encoding="UTF-8"?><Response>${text ? `<Message>${xml(text)}</Message>` : ""}</Response>`,
+    };
+  },
+};
+
+const fake = {
+  name: "fake",
+  async send({ to, body }) {
+    const id = `fake-${Date.now().toString(36)}-${randomBytes(3).toString("hex")}`;
+    await store("sms-fake").set(id, { id, to, body, at: new Date().toISOString() });
+    console.log(`[sms:fake] → ${to}: ${body}`);
+    return { id };
+  },
+  verify: () => true,
+  inbound(event) {
+    const p = bodyParams(event);
+    return { from: String(p.from || p.From || ""), body: String(p.body || p.Body || "") };
+  },
+  reply(text) {
+    return { statusCode: 200, headers: { "Content-Type": "application/json" }, body: JSON.stringify({ ok: true, reply: text || "" }) };
+  },
+};
+
+const PROVIDERS = { twilio, fake };
+
+/** The configured provider, or null when texting is off */
+export function smsProvider() {
+  return PROVIDERS[String(process.env.SMS_PROVIDER || "").trim().toLowerCase()] || null;
+}
+
+/** Messages the fake provider "sent", oldest first (local dev / tests) */
+export async function fakeOutbox() {
+  const kv = store("sms-fake");
+  const all = (await Promise.all((await kv.keys()).map((k) => kv.get(k)))).filter(Boolean);
+  return all.sort((a, b) => a.at.localeCompare(b.at));
+}
+
+/**
+ * Text one number (E.164). Throws when texting is off or the provider refuses.
+ * @returns {Promise<{ id?: string }>}
+ */
+export async function sendSms(to, body) {
+  const provider = smsProvider();
+  if (!provider) throw new Error("SMS_PROVIDER is not set");
+  return provider.send({ to, body });
+}
+
+/* ----------------- opt-outs ----------------- */
+export async function isOptedOut(phone) {
+  return Boolean(await store("sms-optouts").get(hash(phone)));
+}
+
+/** STOP → true, START → false */
+export async function setOptOut(phone, out) {
+  const kv = store("sms-optouts");
+  if (out) await kv.set(hash(phone), { at: new Date().toISOString() });
+  else await kv.delete(hash(phone));
+}
+
+// Carrier-standard keywords (CTIA): opt-out, opt back in, help
+const STOP = new Set(["stop", "stopall", "unsubscribe", "cancel", "end", "quit", "optout", "revoke", "parar", "pare", "cancelar"]);
+const START = new Set(["start", "unstop", "subscribe"]); // not "yes": customers answer questions with it
+const HELP = new Set(["help", "info", "ayuda", "ajuda"]);
+
+/** "stop" | "start" | "help" | "" for an inbound message body */
+export function keywordOf(body) {
+  const word = String(body || "").trim().toLowerCase().replace(/[^a-z]/g, "");
+  if (STOP.has(word)) return "stop";
+  if (START.has(word)) return "start";
+  if (HELP.has(word)) return "help";
+  return "";
+}
@@ -0,0 +1,131 @@
+// netlify/lib/uploads.js
+// Server-side checks on uploaded photos, run before anything is stored or emailed:
+//   - the type comes from the file's magic bytes, never the browser's declared mimeType
+//   - anything that isn't a JPEG / PNG / WebP / GIF / HEIC is rejected — except that document fields
+//     (DOCUMENT_FIELDS: the lien payoff statement) also take a PDF, kept as uploaded
+//   - EXIF (GPS, camera serials), XMP and IPTC metadata is removed: sharp re-encodes with the
+//     orientation applied; if sharp can't load, JPEG/PNG metadata is cut out losslessly
+// The browser already re-encodes photos (assets/app.js); this covers the no-JS path and
+// anything posted straight at the function.
+
+/** Same limits the form advertises ("Max 10MB per file; 24 files total") */
+export const UPLOAD_LIMITS = { fileBytes: 10 * 1024 * 1024, files: 24 };
+
+const EXT = { "image/jpeg": "jpg", "image/png": "png", "image/webp": "webp", "image/gif": "gif", "image/heic": "heic" };
+
+/** Upload fields that carry paperwork rather than vehicle photos (kept out of the photo gallery) */
+export const DOCUMENT_FIELDS = ["payoffStatement"];
+export const isDocumentField = (field) => DOCUMENT_FIELDS.includes(field);
+
+const isPdf = (buf) => Boolean(buf) && buf.length > 5 && buf.subarray(0, 5).toString("latin1") === "%PDF-";
+const HEIF_BRANDS = new Set(["heic", "heix", "hevc", "hevx", "heim", "heis", "mif1", "msf1"]);
+
+/** MIME type from the first bytes, or "" when it isn't an image we accept */
+export function sniffImageType(buf) {
+  if (!buf || buf.length < 12) return "";
+  if (buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff) return "image/jpeg";
+  if (buf.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return "image/png";
+  const ascii = (start, end) => buf.subarray(start, end).toString("latin1");
+  if (ascii(0, 6) === "GIF87a" || ascii(0, 6) === "GIF89a") return "image/gif";
+  if (ascii(0, 4) === "RIFF" && ascii(8, 12) === "WEBP") return "image/webp";
+  if (ascii(4, 8) === "ftyp" && HEIF_BRANDS.has(ascii(8, 12))) return "image/heic";
+  return "";
+}
+
+/* ----------------- metadata removal ----------------- */
+let sharpLoader;
+const loadSharp = () =>
+  sharpLoader || (sharpLoader = import("sharp").then((m) => m.default).catch((e) => {
+    console.warn("sharp unavailable, falling back to lossless JPEG/PNG metadata stripping:", e.message);
+    return null;
+  }));
+
+/** Re-encode without metadata (orientation baked in); files with nothing to strip are left alone */
+async function stripWithSharp(sharp, buffer, type) {
+  const meta = await sharp(buffer).metadata();
+  const hasMeta = meta.exif || meta.xmp || meta.iptc || (meta.orientation || 1) !== 1;
+  if (type !== "image/heic" && !hasMeta) return { buffer, type };
+
+  let img = sharp(buffer).rotate();
+  if (typeof img.keepIccProfile === "function") img = img.keepIccProfile();
+  if (type === "image/png") return { buffer: await img.png().toBuffer(), type };
+  if (type === "image/webp") return { buffer: await img.webp({ quality: 90 }).toBuffer(), type };
+  // JPEG stays JPEG; HEIC becomes JPEG so every mail client can show it
+  return { buffer: await img.jpeg({ quality: 90 }).toBuffer(), type: "image/jpeg" };
+}
+
+// JPEG segments that carry metadata: APP1 (EXIF/XMP), APP12, APP13 (IPTC/Photoshop), COM
+const JPEG_DROP = new Set([0xe1, 0xec, 0xed, 0xfe]);
+
+/** Drop metadata segments between SOI and the start of scan; image data is untouched */
+function stripJpeg(buf) {
+  const out = [buf.subarray(0, 2)];
+  let i = 2;
+  while (i + 4 <= buf.length && buf[i] === 0xff) {
+    const marker = buf[i + 1];
+    if (marker === 0xda) break; // start of scan — the rest is image data
+    const len = buf.readUInt16BE(i + 2);
+    if (!JPEG_DROP.has(marker)) out.push(buf.subarray(i, i + 2 + len));
+    i += 2 + len;
+  }
+  if (i + 2 > buf.length || buf[i] !== 0xff || buf[i + 1] !== 0xda) throw new Error("Malformed JPEG");
+  out.push(buf.subarray(i));
+  return Buffer.concat(out);
+}
+
+// PNG text/EXIF/time chunks
+const PNG_DROP = new Set(["eXIf", "tEXt", "zTXt", "iTXt", "tIME"]);
+
+function stripPng(buf) {
+  const out = [buf.subarray(0, 8)];
+  let i = 8;
+  while (i + 12 <= buf.length) {
+    const len = buf.readUInt32BE(i);
+    const type = buf.subarray(i + 4, i + 8).toString("latin1");
+    const end = i + 12 + len;
+    if (end > buf.length) throw new Error("Malformed PNG");
+    if (!PNG_DROP.has(type)) out.push(buf.subarray(i, end));
+    i = end;
+    if (type === "IEND") break;
+  }
+  return Buffer.concat(out);
+}
+
+async function stripMetadata(buffer, type) {
+  if (type === "image/gif") return { buffer, type }; // GIF has no EXIF/GPS
+  const sharp = await loadSharp();
+  if (sharp) return stripWithSharp(sharp, buffer, type);
+  if (type === "image/jpeg") return { buffer: stripJpeg(buffer), type };
+  if (type === "image/png") return { buffer: stripPng(buffer), type };
+  throw new Error("Can't remove metadata from this format without sharp");
+}
+
+/**
+ * Sniff and clean parsed uploads. Never throws.
+ * @param {Array<{ field, filename, mimetype, buffer, size }>} files
+ * @returns {Promise<{ files: Array<{ field, filename, mimetype, buffer, size }>, rejected: Array<{ field, filename, reason }> }>}
+ */
+export async function sanitizeUploads(files = []) {
+  const kept = [];
+  const rejected = [];
+  for (const f of files) {
+    if (isDocumentField(f.field) && isPdf(f.buffer)) {
+      kept.push({ ...f, mimetype: "application/pdf", size: f.buffer.length });
+      continue;
+    }
+    const type = sniffImageType(f.buffer);
+    if (!type) {
+      rejected.push({ field: f.field, filename: f.filename, reason: isDocumentField(f.field) ? "not a PDF or image" : "not an image" });
+      continue;
+    }
+    try {
+      const clean = await stripMetadata(f.buffer, type);
+      const filename = clean.type === type ? f.filename : `${f.filename.replace(/\.[a-z0-9]{1,5}$/i, "")}.${EXT[clean.type]}`;
+      kept.push({ ...f, filename, mimetype: clean.type, buffer: clean.buffer, size: clean.buffer.length });
+    } catch (e) {
+      console.warn(`Upload rejected (${f.filename}):`, e.message);
+      rejected.push({ field: f.field, filename: f.filename, reason: "couldn't be processed" });
+    }
+  }
+  return { files: kept, rejected };
+}
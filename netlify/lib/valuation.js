@@ -0,0 +1,131 @@
+// netlify/lib/valuation.js
+// Instant preliminary trade range from netlify/config/valuation.js.
+// This is a starting point for the appraiser, not an offer.
+import defaultTable from "../config/valuation.js";
+
+const lc = (v) => String(v || "").trim().toLowerCase();
+const num = (v) => {
+  const n = Number(String(v ?? "").replace(/[^\d.-]/g, ""));
+  return Number.isFinite(n) ? n : NaN;
+};
+
+/** Find the base value row for a vehicle; returns { value, basis, label } or null */
+function findBase(table, { year, make, model, trim }) {
+  const y = parseInt(year, 10);
+  if (!y || !make || !model) return null;
+
+  const same = table.baseValues.filter((r) => lc(r.make) === lc(make) && lc(r.model) === lc(model));
+  if (!same.length) return null;
+
+  const trimMatch = (r) => r.trim && lc(trim).includes(lc(r.trim));
+  const exactTrim = same.find((r) => r.year === y && trimMatch(r));
+  if (exactTrim) return { value: exactTrim.value, basis: "exact", label: `${y} ${exactTrim.make} ${exactTrim.model} ${exactTrim.trim}` };
+
+  const anyTrim = same.find((r) => r.year === y && !r.trim);
+  if (anyTrim) return { value: anyTrim.value, basis: "model", label: `${y} ${anyTrim.make} ${anyTrim.model}` };
+
+  // Nearest listed year (trim-less rows only), adjusted by yearlyDepreciation per model year
+  const nearest = same
+    .filter((r) => !r.trim)
+    .sort((a, b) => Math.abs(a.year - y) - Math.abs(b.year - y))[0];
+  if (!nearest || Math.abs(nearest.year - y) > table.maxYearGap) return null;
+
+  const value = nearest.value * Math.pow(1 - table.yearlyDepreciation, nearest.year - y);
+  return { value, basis: "nearest-year", label: `${nearest.year} ${nearest.make} ${nearest.model} (adjusted to ${y})` };
+}
+
+/** Apply a { pct } / { amount } rule against the base value */
+function ruleAmount(rule, base) {
+  if (!rule) return 0;
+  if (typeof rule.pct === "number") return base * rule.pct;
+  if (typeof rule.amount === "number") return rule.amount;
+  return 0;
+}
+
+function mileageAdjustment(table, base, year, mileage, now) {
+  const miles = num(mileage);
+  if (!Number.isFinite(miles) || miles < 0) return null;
+  const m = table.mileage;
+  const age = Math.max(1, now.getFullYear() - parseInt(year, 10));
+  const expected = age * m.expectedPerYear;
+  const diff = miles - expected;
+  const raw = diff > 0 ? -diff * m.perMileOver : -diff * m.perMileUnder;
+  const amount = diff > 0
+    ? Math.max(raw, -base * m.maxPenaltyPct)
+    : Math.min(raw, base * m.maxCreditPct);
+  return { label: `Mileage (${Math.round(miles).toLocaleString("en-US")} vs. ~${expected.toLocaleString("en-US")} expected)`, amount };
+}
+
+/**
+ * Estimate a preliminary trade range.
+ * @param {object} lead - output of normalizeLead()
+ * @param {object} rawData - raw form fields (title, accident, warnings, tires, brakes, keys)
+ * @returns {null | { low:number, high:number, point:number, base:number, basis:string, baseLabel:string,
+ *                    breakdown: Array<{label:string, amount:number}> }}
+ */
+export function estimateTradeValue(lead, rawData = {}, { table = defaultTable, now = new Date() } = {}) {
+  const src = { ...rawData, ...lead };
+  const found = findBase(table, src);
+  if (!found) return null;
+
+  const base = found.value;
+  const breakdown = [];
+  const add = (label, amount) => {
+    if (amount) breakdown.push({ label, amount: Math.round(amount) });
+  };
+
+  const miles = mileageAdjustment(table, base, src.year, src.mileage, now);
+  if (miles) add(miles.label, miles.amount);
+
+  const pick = (group, key) => {
+    const entries = Object.entries(table[group] || {});
+    const hit = entries.find(([k]) => lc(k) === lc(src[key]));
+    return hit ? hit[1] : null;
+  };
+
+  add(`Title: ${src.title}`, ruleAmount(pick("title", "title"), base));
+  add("Accident history", ruleAmount(pick("accident", "accident"), base));
+  add("Dashboard warning lights", ruleAmount(pick("warnings", "warnings"), base));
+  add(`Tires: ${src.tires}`, ruleAmount(pick("tires", "tires"), base));
+  add(`Brakes: ${src.brakes}`, ruleAmount(pick("brakes", "brakes"), base));
+
+  const keys = parseInt(src.keys, 10);
+  if (Number.isFinite(keys) && keys < table.keys.expected) {
+    const missing = table.keys.expected - keys;
+    add(`Keys: ${keys} of ${table.keys.expected}`, missing * table.keys.perMissing);
+  }
+
+  const total = breakdown.reduce((s, b) => s + b.amount, 0);
+  const point = Math.max(table.minValue, base + total);
+  const round = (n) => Math.round(n / table.roundTo) * table.roundTo;
+
+  return {
+    low: Math.max(table.minValue, round(point * (1 - table.rangeSpread))),
+    high: Math.max(table.minValue, round(point * (1 + table.rangeSpread))),
+    point: Math.round(point),
+    base: Math.round(base),
+    basis: found.basis,
+    baseLabel: found.label,
+    breakdown,
+  };
+}
+
+/**
+ * Estimated equity for a vehicle with a loan: preliminary value minus the payoff the customer gave.
+ * @param {object|null} estimate - estimateTradeValue() result (null when the vehicle isn't in the table)
+ * @param {number} payoff - dollars owed
+ * @returns {null | { payoff: number, low?: number, high?: number, point?: number, position: "positive"|"negative"|"mixed"|"unknown" }}
+ *   null without a payoff; "mixed" when the range straddles zero, "unknown" without an estimate
+ */
+export function estimateEquity(estimate, payoff) {
+  if (!Number.isFinite(payoff) || payoff < 0) return null;
+  if (!estimate) return { payoff, position: "unknown" };
+  const low = estimate.low - payoff;
+  const high = estimate.high - payoff;
+  const position = low >= 0 ? "positive" : high < 0 ? "negative" : "mixed";
+  return { payoff, low: Math.round(low), high: Math.round(high), point: Math.round(estimate.point - payoff), position };
+}
+
+/** "$18,400" */
+export const formatUsd = (n) =>
+  `$${Math.round(Number(n) || 0).toLocaleString("en-US")}`;
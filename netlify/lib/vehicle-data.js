@@ -0,0 +1,153 @@
+// netlify/lib/vehicle-data.js
+// VIN decode + model lists: NHTSA vPIC through a cache, with bundled fallbacks.
+//
+//   decode:  cache (WMI+VDS+year+plant) → vPIC → stale cache → WMI table + model-year code
+//   models:  cache (make+year)          → vPIC → stale cache → bundled catalog
+//
+// Environment:
+//   VEHICLE_CACHE   - kv backend for the cache ("file" | "blobs" | "memory"; default LEAD_STORE or "file")
+//   VPIC_TIMEOUT_MS - upstream timeout (default 6000) so the fallback answers fast
+import { openKv, readCache, writeCache } from "./kv.js";
+import WMI from "../data/wmi.js";
+import CATALOG from "../data/models.js";
+import { VIN_RE } from "../../assets/lead-schema.js";
+
+const VPIC = "https://vpic.nhtsa.dot.gov/api/vehicles";
+const DECODE_TTL = 30 * 24 * 3600;  // factory data doesn't change
+const MODELS_TTL = 7 * 24 * 3600;
+
+// [response key, DecodeVinValuesExtended key] — response keys match the form's hidden inputs
+const SPEC_KEYS = [
+  ["vinBodyClass", "BodyClass"],
+  ["vinDriveType", "DriveType"],
+  ["vinDisplacementL", "DisplacementL"],
+  ["vinCylinders", "EngineCylinders"],
+  ["vinFuelType", "FuelTypePrimary"],
+  ["vinTransmission", "TransmissionStyle"],
+  ["vinPlantCountry", "PlantCountry"],
+];
+
+const str = (v) => (v === undefined || v === null ? "" : String(v).trim());
+
+let kv;
+const cache = () =>
+  kv || (kv = openKv("vehicle-cache", { kind: process.env.VEHICLE_CACHE || process.env.LEAD_STORE }));
+
+async function vpicJson(url) {
+  const ms = parseInt(process.env.VPIC_TIMEOUT_MS, 10) || 6000;
+  const res = await fetch(url, { signal: AbortSignal.timeout(ms) });
+  if (!res.ok) throw new Error(`vPIC HTTP ${res.status}`);
+  return res.json();
+}
+
+/** Cached value if fresh, else loader(); on loader failure fall back to stale cache, then `fallback()` */
+async function throughCache(key, ttl, loader, fallback) {
+  let hit = null;
+  try {
+    hit = await readCache(cache(), key);
+  } catch (e) {
+    console.warn("Vehicle cache read failed:", e.message);
+  }
+  if (hit && hit.fresh) return { ...hit.value, source: "cache" };
+
+  try {
+    const value = await loader();
+    if (value) {
+      writeCache(cache(), key, value, ttl).catch((e) => console.warn("Vehicle cache write failed:", e.message));
+      return { ...value, source: "vpic" };
+    }
+  } catch (e) {
+    console.warn(`vPIC lookup failed (${key}):`, e.message);
+  }
+
+  if (hit) return { ...hit.value, source: "cache-stale" };
+  return { ...fallback(), source: "local" };
+}
+
+/* ----------------- VIN decode ----------------- */
+/** Model year from VIN position 10 (position 7 alpha → 2010+ cycle for cars/light trucks) */
+export function modelYearFromVin(vin) {
+  const codes = "ABCDEFGHJKLMNPRSTVWXY123456789";
+  const i = codes.indexOf(vin[9]);
+  if (i < 0) return "";
+  let year = 1980 + i;
+  if (/[A-Z]/.test(vin[6])) year += 30;
+  return year > new Date().getFullYear() + 1 ? "" : String(year);
+}
+
+function tidy(specs, speeds) {
+  if (specs.vinTransmission && speeds) specs.vinTransmission = `${specs.vinTransmission}, ${speeds}-speed`;
+  if (specs.vinDisplacementL) {
+    const n = parseFloat(specs.vinDisplacementL);
+    if (Number.isFinite(n)) specs.vinDisplacementL = String(Math.round(n * 10) / 10);
+  }
+  return specs;
+}
+
+async function decodeFromVpic(vin) {
+  const js = await vpicJson(`${VPIC}/DecodeVinValuesExtended/${encodeURIComponent(vin)}?format=json`);
+  const r = js && js.Results && js.Results[0];
+  if (!r) return null;
+  const specs = {};
+  for (const [id, key] of SPEC_KEYS) specs[id] = str(r[key]);
+  const out = {
+    year: str(r.ModelYear || r.Model_Year),
+    make: str(r.Make),
+    model: str(r.Model),
+    trim: str(r.Trim),
+    specs: tidy(specs, str(r.TransmissionSpeeds)),
+  };
+  return out.year || out.make || out.model ? out : null;
+}
+
+function decodeLocally(vin) {
+  const make = WMI[vin.slice(0, 3)] || "";
+  return { year: modelYearFromVin(vin), make, model: "", trim: "", specs: {} };
+}
+
+/**
+ * Decode a VIN. Never throws for upstream trouble — `source` says where the answer came from.
+ * @returns {Promise<{ year, make, model, trim, specs, source: "cache"|"vpic"|"cache-stale"|"local" }>}
+ */
+export async function decodeVin(vinInput) {
+  const vin = str(vinInput).toUpperCase();
+  if (!VIN_RE.test(vin)) throw new Error("Invalid VIN");
+  // Same WMI (1–3) + VDS (4–8) + model year (10) + plant (11) decodes identically; serial doesn't matter
+  const key = `vin:${vin.slice(0, 8)}${vin.slice(9, 11)}`;
+  return throughCache(key, DECODE_TTL, () => decodeFromVpic(vin), () => decodeLocally(vin));
+}
+
+/* ----------------- models / makes ----------------- */
+const catalogMake = (make) =>
+  Object.keys(CATALOG).find((m) => m.toLowerCase() === str(make).toLowerCase());
+
+function catalogModels(make, year) {
+  const y = parseInt(year, 10);
+  const entries = CATALOG[catalogMake(make)] || [];
+  return entries
+    .filter((e) => {
+      if (typeof e === "string" || !y) return true;
+      const [, from, to] = e;
+      return y >= from && (to === null || y <= to);
+    })
+    .map((e) => (typeof e === "string" ? e : e[0]))
+    .sort((a, b) => a.localeCompare(b));
+}
+
+async function modelsFromVpic(make, year) {
+  const js = await vpicJson(`${VPIC}/GetModelsForMakeYear/make/${encodeURIComponent(make)}/modelyear/${encodeURIComponent(year)}?format=json`);
+  const models = [...new Set((js.Results || []).map((r) => str(r.Model_Name)).filter(Boolean))]
+    .sort((a, b) => a.localeCompare(b));
+  return models.length ? { models } : null;
+}
+
+/** @returns {Promise<{ models: string[], source: string }>} */
+export async function modelsFor(make, year) {
+  const key = `models:${str(make).toLowerCase()}:${str(year)}`;
+  return throughCache(key, MODELS_TTL, () => modelsFromVpic(make, year), () => ({ models: catalogModels(make, year) }));
+}
+
+/** Makes in the bundled catalog (what the form offers when vPIC can't help) */
+export function catalogMakes() {
+  return Object.keys(CATALOG).sort((a, b) => a.localeCompare(b));
+}
@@ -0,0 +1,199 @@
+// netlify/templates/customer-confirmation.js
+// Customer-facing "we got your trade-in" email.
+// Marketing: edit the COPY block below — wording only, no handler logic lives here.
+// {placeholders} are filled in at send time: {name}, {dealer}, {ref}, {phone}.
+// DEALER_NAME / DEALER_PHONE env vars supply {dealer} / {phone}.
+
+const COPY = {
+  en: {
+    subject: "We received your trade-in – {dealer} (Ref {ref})",
+    subjectNoRef: "We received your trade-in – {dealer}",
+    heading: "Thanks, {name}!",
+    intro: "We received your trade-in details. Here's a copy of what you sent us.",
+    refLabel: "Your reference number",
+    refHint: "Mention this number when you talk to us.",
+    vehicleHeading: "Your vehicle",
+    conditionHeading: "Condition summary",
+    photosHeading: "Photos received",
+    noPhotos: "No photos uploaded — we may ask you for a few.",
+    nextHeading: "What happens next",
+    nextSteps: [
+      "A {dealer} appraiser reviews your answers and photos.",
+      "We'll contact you (usually within one business day) with your trade-in value.",
+      "Bring the vehicle in — if its condition matches your answers, we honor the value.",
+    ],
+    questions: "Questions? Just reply to this email.",
+    questionsPhone: "Questions? Call us at {phone} or just reply to this email.",
+    footer: "You're receiving this because you requested a trade-in appraisal from {dealer}.",
+    labels: {
+      vin: "VIN", mileage: "Mileage",
+      title: "Title", keys: "Keys", owners: "Owners", accident: "Accident history",
+      warnings: "Warning lights", tires: "Tires", brakes: "Brakes",
+      photoExterior: "Exterior", photoInterior: "Interior", photoDash: "Dashboard / odometer", photoDamage: "Damage / flaws",
+    },
+    values: {},
+  },
+  es: {
+    subject: "Recibimos su vehículo para intercambio – {dealer} (Ref. {ref})",
+    subjectNoRef: "Recibimos su vehículo para intercambio – {dealer}",
+    heading: "¡Gracias, {name}!",
+    intro: "Recibimos los detalles de su intercambio. Aquí tiene una copia de lo que nos envió.",
+    refLabel: "Su número de referencia",
+    refHint: "Mencione este número cuando hable con nosotros.",
+    vehicleHeading: "Su vehículo",
+    conditionHeading: "Resumen del estado",
+    photosHeading: "Fotos recibidas",
+    noPhotos: "No se subieron fotos — es posible que le pidamos algunas.",
+    nextHeading: "Próximos pasos",
+    nextSteps: [
+      "Un tasador de {dealer} revisa sus respuestas y fotos.",
+      "Nos comunicaremos con usted (normalmente en un día hábil) con el valor de su intercambio.",
+      "Traiga el vehículo — si su estado coincide con sus respuestas, respetamos el valor.",
+    ],
+    questions: "¿Preguntas? Simplemente responda a este correo.",
+    questionsPhone: "¿Preguntas? Llámenos al {phone} o responda a este correo.",
+    footer: "Recibe este mensaje porque solicitó una tasación de intercambio a {dealer}.",
+    labels: {
+      vin: "VIN", mileage: "Kilometraje",
+      title: "Título", keys: "Llaves", owners: "Propietarios", accident: "Historial de accidentes",
+      warnings: "Luces de advertencia", tires: "Neumáticos", brakes: "Frenos",
+      photoExterior: "Exterior", photoInterior: "Interior", photoDash: "Tablero / odómetro", photoDamage: "Daños / defectos",
+    },
+    values: {
+      Yes: "Sí", No: "No",
+      Clean: "Limpio", Lien: "Con gravamen", Rebuilt: "Reconstruido", Salvage: "Salvamento",
+      New: "Nuevo", Good: "Bueno", Worn: "Desgastado", "Needs Replacement": "Necesita reemplazo",
+    },
+  },
+  "pt-BR": {
+    subject: "Recebemos seu veículo para troca – {dealer} (Ref. {ref})",
+    subjectNoRef: "Recebemos seu veículo para troca – {dealer}",
+    heading: "Obrigado, {name}!",
+    intro: "Recebemos os detalhes da sua troca. Aqui está uma cópia do que você nos enviou.",
+    refLabel: "Seu número de referência",
+    refHint: "Informe este número quando falar conosco.",
+    vehicleHeading: "Seu veículo",
+    conditionHeading: "Resumo do estado",
+    photosHeading: "Fotos recebidas",
+    noPhotos: "Nenhuma foto enviada — podemos pedir algumas.",
+    nextHeading: "Próximos passos",
+    nextSteps: [
+      "Um avaliador da {dealer} analisa suas respostas e fotos.",
+      "Entraremos em contato (normalmente em um dia útil) com o valor da sua troca.",
+      "Traga o veículo — se o estado corresponder às suas respostas, mantemos o valor.",
+    ],
+    questions: "Dúvidas? É só responder a este e-mail.",
+    questionsPhone: "Dúvidas? Ligue para {phone} ou responda a este e-mail.",
+    footer: "Você recebeu esta mensagem porque pediu uma avaliação de troca à {dealer}.",
+    labels: {
+      vin: "VIN", mileage: "Milhagem",
+      title: "Título", keys: "Chaves", owners: "Proprietários", accident: "Histórico de acidentes",
+      warnings: "Luzes de advertência", tires: "Pneus", brakes: "Freios",
+      photoExterior: "Exterior", photoInterior: "Interior", photoDash: "Painel / hodômetro", photoDamage: "Danos / defeitos",
+    },
+    values: {
+      Yes: "Sim", No: "Não",
+      Clean: "Limpo", Lien: "Com financiamento", Rebuilt: "Reconstruído", Salvage: "Salvado",
+      New: "Novo", Good: "Bom", Worn: "Gasto", "Needs Replacement": "Precisa trocar",
+    },
+  },
+};
+
+const CONDITION_KEYS = ["title", "keys", "owners", "accident", "warnings", "tires", "brakes"];
+const PHOTO_FIELDS = ["photoExterior", "photoInterior", "photoDash", "photoDamage"];
+
+const esc = (s) =>
+  String(s ?? "").replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+
+const fill = (tpl, vars) => String(tpl).replace(/\{(\w+)\}/g, (_, k) => (vars[k] ?? ""));
+
+/**
+ * Render the customer confirmation email.
+ * @param {object} p
+ * @param {"en"|"es"|"pt-BR"} p.lang
+ * @param {string} p.leadId - reference number (may be empty if the store was down)
+ * @param {object} p.lead - normalized lead
+ * @param {object} p.rawData - raw form fields (condition answers)
+ * @param {Array<{field:string}>} p.photos - received uploads (metadata is enough)
+ * @returns {{ subject: string, html: string, text: string }}
+ */
+export function renderCustomerConfirmation({ lang = "en", leadId = "", lead, rawData = {}, photos = [] }) {
+  const c = COPY[lang] || COPY.en;
+  const vars = {
+    name: (lead.name || "").split(/\s+/)[0] || lead.name || "",
+    dealer: process.env.DEALER_NAME || "Quirk Volkswagen MA",
+    phone: process.env.DEALER_PHONE || "",
+    ref: leadId,
+  };
+  const t = (s) => fill(s, vars);
+  const v = (val) => c.values[val] || val;
+  const questions = t(vars.phone ? c.questionsPhone : c.questions);
+
+  const vehicle = [lead.year, lead.make, lead.model, lead.trim].filter(Boolean).join(" ");
+  const vehicleRows = [
+    [c.labels.vin, lead.vin],
+    [c.labels.mileage, lead.mileage],
+  ].filter(([, val]) => val);
+
+  const conditionRows = CONDITION_KEYS
+    .map((k) => [c.labels[k], String(rawData[k] ?? "").trim()])
+    .filter(([, val]) => val)
+    .map(([label, val]) => [label, v(val)]);
+
+  const photoRows = PHOTO_FIELDS
+    .map((f) => [c.labels[f], photos.filter((p) => p.field === f).length])
+    .filter(([, n]) => n > 0);
+
+  const table = (rows) => `
+    <table cellpadding="4" cellspacing="0" border="0" style="border-collapse:collapse;font-size:14px;color:#111827;">
+      ${rows.map(([k, val]) => `<tr><th align="left" style="padding:4px 12px 4px 0;font-weight:600;">${esc(k)}</th><td style="padding:4px 0;">${esc(val)}</td></tr>`).join("")}
+    </table>`;
+  const h3 = (s) => `<h3 style="margin:20px 0 6px;font-size:16px;color:#004a2f;">${esc(s)}</h3>`;
+
+  const html = `
+  <div style="max-width:600px;margin:0 auto;font-family:system-ui,Segoe UI,Roboto,Helvetica,Arial;color:#111827;">
+    <div style="background:#002D72;color:#fff;padding:16px 20px;border-radius:8px 8px 0 0;font-size:18px;font-weight:700;">${esc(vars.dealer)}</div>
+    <div style="border:1px solid #e5e7eb;border-top:none;padding:20px;border-radius:0 0 8px 8px;">
+      <h2 style="margin:0 0 8px;color:#004a2f;">${esc(t(c.heading))}</h2>
+      <p style="margin:0 0 16px;">${esc(t(c.intro))}</p>
+      ${leadId ? `
+      <div style="background:#eef7f2;border:1px solid #cfe7db;border-radius:8px;padding:12px 14px;">
+        <div style="font-size:13px;color:#374151;">${esc(c.refLabel)}</div>
+        <div style="font-size:22px;font-weight:700;letter-spacing:1px;">${esc(leadId)}</div>
+        <div style="font-size:12px;color:#6B7280;">${esc(c.refHint)}</div>
+      </div>` : ""}
+      ${h3(c.vehicleHeading)}
+      <p style="margin:0 0 6px;font-weight:600;">${esc(vehicle)}</p>
+      ${table(vehicleRows)}
+      ${conditionRows.length ? `${h3(c.conditionHeading)}${table(conditionRows)}` : ""}
+      ${h3(c.photosHeading)}
+      ${photoRows.length ? table(photoRows) : `<p style="margin:0;color:#374151;">${esc(c.noPhotos)}</p>`}
+      ${h3(c.nextHeading)}
+      <ol style="margin:0;padding-left:20px;">${c.nextSteps.map((s) => `<li style="margin:4px 0;">${esc(t(s))}</li>`).join("")}</ol>
+      <p style="margin:20px 0 0;">${esc(questions)}</p>
+    </div>
+    <p style="font-size:12px;color:#6B7280;text-align:center;">${esc(t(c.footer))}</p>
+  </div>`;
+
+  const lines = (rows) => rows.map(([k, val]) => `  ${k}: ${val}`);
+  const text = [
+    t(c.heading),
+    "",
+    t(c.intro),
+    ...(leadId ? ["", `${c.refLabel}: ${leadId}`] : []),
+    "",
+    `${c.vehicleHeading}: ${vehicle}`,
+    ...lines(vehicleRows),
+    ...(conditionRows.length ? ["", `${c.conditionHeading}:`, ...lines(conditionRows)] : []),
+    "",
+    `${c.photosHeading}:`,
+    ...(photoRows.length ? lines(photoRows) : [`  ${c.noPhotos}`]),
+    "",
+    `${c.nextHeading}:`,
+    ...c.nextSteps.map((s, i) => `  ${i + 1}. ${t(s)}`),
+    "",
+    questions,
+  ].join("\n");
+
+  return { subject: t(leadId ? c.subject : c.subjectNoRef), html, text };
+}
@@ -0,0 +1,108 @@
+// netlify/templates/dropoff-ics.js
+// "Add to calendar" file for the drop-off appointment picked on the success page.
+// Marketing: edit the COPY block below — wording only, no handler logic lives here.
+// {placeholders}: {dealer}, {vehicle}, {ref}, {phone}.
+// DEALER_ADDRESS fills in the event location.
+
+const COPY = {
+  en: {
+    summary: "Trade-in drop-off – {dealer}",
+    intro: "Bring your {vehicle} to {dealer} for your trade-in appraisal.",
+    introNoVehicle: "Bring your vehicle to {dealer} for your trade-in appraisal.",
+    ref: "Reference number: {ref}",
+    bring: "Please bring all keys, your title or loan payoff details, and your registration.",
+    change: "Need a different time? Call us at {phone}.",
+    reminder: "Trade-in drop-off at {dealer} in one hour",
+  },
+  es: {
+    summary: "Entrega de su vehículo – {dealer}",
+    intro: "Traiga su {vehicle} a {dealer} para su tasación de intercambio.",
+    introNoVehicle: "Traiga su vehículo a {dealer} para su tasación de intercambio.",
+    ref: "Número de referencia: {ref}",
+    bring: "Traiga todas las llaves, el título o los datos de pago del préstamo y el registro.",
+    change: "¿Necesita otro horario? Llámenos al {phone}.",
+    reminder: "Entrega de su vehículo en {dealer} en una hora",
+  },
+  "pt-BR": {
+    summary: "Entrega do veículo – {dealer}",
+    intro: "Traga seu {vehicle} à {dealer} para a avaliação de troca.",
+    introNoVehicle: "Traga seu veículo à {dealer} para a avaliação de troca.",
+    ref: "Número de referência: {ref}",
+    bring: "Traga todas as chaves, o título ou os dados de quitação do financiamento e o registro.",
+    change: "Precisa de outro horário? Ligue para {phone}.",
+    reminder: "Entrega do veículo na {dealer} em uma hora",
+  },
+};
+
+const fill = (tpl, vars) => String(tpl).replace(/\{(\w+)\}/g, (_, k) => (vars[k] ?? ""));
+
+/** RFC 5545 TEXT escaping */
+const icsText = (s) => String(s ?? "").replace(/\\/g, "\\\\").replace(/;/g, "\\;").replace(/,/g, "\\,").replace(/\r?\n/g, "\\n");
+
+/** 20261020T140000Z */
+const icsTime = (ms) => new Date(ms).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+
+/** Fold content lines at 75 octets (continuation lines start with a space) */
+function fold(line) {
+  const out = [];
+  let cur = "";
+  for (const ch of line) {
+    if (Buffer.byteLength(cur + ch) > (out.length ? 74 : 75)) {
+      out.push(cur);
+      cur = "";
+    }
+    cur += ch;
+  }
+  out.push(cur);
+  return out.join("\r\n ");
+}
+
+/**
+ * @param {{ lang?: string, start: string, minutes: number, ref?: string, vehicle?: string, uid: string }} p
+ * @returns {{ filename: string, body: string }}
+ */
+export function renderDropoffIcs({ lang = "en", start, minutes, ref = "", vehicle = "", uid }) {
+  const c = COPY[lang] || COPY.en;
+  const vars = {
+    dealer: process.env.DEALER_NAME || "Quirk Volkswagen MA",
+    phone: process.env.DEALER_PHONE || "",
+    vehicle,
+    ref,
+  };
+  const t = (s) => fill(s, vars);
+  const begin = Date.parse(start);
+
+  const description = [
+    t(vehicle ? c.intro : c.introNoVehicle),
+    ref ? t(c.ref) : "",
+    c.bring,
+    vars.phone ? t(c.change) : "",
+  ].filter(Boolean).join("\n");
+
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//Quirk Auto Dealers//Trade Appraisal//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    "BEGIN:VEVENT",
+    `UID:${uid}`,
+    `DTSTAMP:${icsTime(Date.now())}`,
+    `DTSTART:${icsTime(begin)}`,
+    `DTEND:${icsTime(begin + minutes * 60 * 1000)}`,
+    `SUMMARY:${icsText(t(c.summary))}`,
+    `DESCRIPTION:${icsText(description)}`,
+    ...(process.env.DEALER_ADDRESS ? [`LOCATION:${icsText(process.env.DEALER_ADDRESS)}`] : []),
+    "BEGIN:VALARM",
+    "ACTION:DISPLAY",
+    "TRIGGER:-PT1H",
+    `DESCRIPTION:${icsText(t(c.reminder))}`,
+    "END:VALARM",
+    "END:VEVENT",
+    "END:VCALENDAR",
+  ];
+  return {
+    filename: `trade-in-drop-off${ref ? `-${ref}` : ""}.ics`,
+    body: lines.map(fold).join("\r\n") + "\r\n",
+  };
+}
@@ -0,0 +1,294 @@
+// netlify/templates/lead-email.js
+// Staff "New Trade-In Lead" / "Updated Trade-In Lead" email. Used for every lead, whichever way it
+// arrived (form POST or Netlify Forms — see lib/intake.js), so the distribution list always gets the same layout.
+// Sections: lien / equity (title "Lien"), preliminary range, factory specs, condition report (follow-up
+// answers), recalls, photo gallery, then every submitted field. The loan account number only ever appears masked (lib/intake.js normalizeLead).
+import { formatUsd } from "../lib/valuation.js";
+import { conditionReportRows } from "../../assets/condition-questions.js";
+
+const safe = (v) => (typeof v === "string" ? v.trim() : "");
+const escape = (s) =>
+  String(s).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+
+/** Preliminary range block (HTML + text) for the internal email */
+function estimateSection(estimate) {
+  if (!estimate) {
+    return {
+      html: `<p style="margin:0 0 16px;color:#6B7280;font-size:13px;">No preliminary range — vehicle not in the base value table.</p>`,
+      text: "Preliminary range: n/a (vehicle not in base value table)",
+    };
+  }
+  const sign = (n) => (n > 0 ? `+${formatUsd(n)}` : n < 0 ? `-${formatUsd(-n)}` : formatUsd(0));
+  const lines = [
+    ["Base", `${formatUsd(estimate.base)} (${estimate.baseLabel})`],
+    ...estimate.breakdown.map((b) => [b.label, sign(b.amount)]),
+  ];
+  const html = `
+    <div style="margin:0 0 16px;padding:10px 12px;border:1px solid #d9efe4;border-left:6px solid #002D72;border-radius:8px;font-family:system-ui,Segoe UI,Roboto,Helvetica,Arial;">
+      <div style="font-size:16px;font-weight:700;color:#111827;">Preliminary range: ${formatUsd(estimate.low)} – ${formatUsd(estimate.high)}</div>
+      <table cellpadding="2" cellspacing="0" border="0" style="margin-top:6px;font-size:13px;color:#374151;">
+        ${lines.map(([k, v]) => `<tr><td style="padding-right:12px;">${escape(k)}</td><td align="right">${escape(v)}</td></tr>`).join("")}
+      </table>
+    </div>
+  `;
+  const text = [
+    `Preliminary range: ${formatUsd(estimate.low)} – ${formatUsd(estimate.high)}`,
+    ...lines.map(([k, v]) => `  ${k}: ${v}`),
+  ].join("\n");
+  return { html, text };
+}
+
+/** Lien fields — shown in lienSection, never in the generic table (the raw account number is unmasked) */
+const LIEN_FIELDS = ["lienholder", "lienAccount", "payoff", "payoffStatement"];
+
+const EQUITY_STYLE = {
+  positive: { color: "#065F46", background: "#ECFDF5", border: "#10B981", label: "Positive equity" },
+  negative: { color: "#991B1B", background: "#FEF2F2", border: "#EF4444", label: "Negative equity" },
+  mixed: { color: "#92400E", background: "#FFFBEB", border: "#F59E0B", label: "Equity uncertain" },
+  unknown: { color: "#374151", background: "#F9FAFB", border: "#9CA3AF", label: "Equity unknown" },
+};
+
+/** "Lien / payoff" block: lienholder, masked account, payoff and the estimated equity, up top */
+function lienSection(lead, equity, documents = []) {
+  if (!("payoff" in lead)) return { html: "", text: "" }; // title isn't "Lien"
+  const signed = (n) => (n < 0 ? `-${formatUsd(-n)}` : `+${formatUsd(n)}`);
+  const style = EQUITY_STYLE[equity ? equity.position : "unknown"];
+  const headline = !equity
+    ? "Payoff not given — equity unknown"
+    : equity.position === "unknown"
+      ? `${style.label} — no preliminary value to compare with the ${formatUsd(equity.payoff)} payoff`
+      : `${style.label}: ${signed(equity.point)} (range ${signed(equity.low)} to ${signed(equity.high)})`;
+  const rows = [
+    ["Lienholder", lead.lienholder || "not given"],
+    ["Account", lead.lienAccount || "not given"],
+    ["Estimated payoff", lead.payoff ? formatUsd(lead.payoff) : "not given"],
+  ];
+  const docs = documents.map((d) => ({ name: d.filename, url: d.url || "" }));
+
+  const html = `
+    <div style="margin:0 0 16px;padding:12px 14px;background:${style.background};border:1px solid ${style.border};border-left:8px solid ${style.border};border-radius:8px;font-family:system-ui,Segoe UI,Roboto,Helvetica,Arial;">
+      <div style="font-size:18px;font-weight:800;color:${style.color};">${escape(headline)}</div>
+      <table cellpadding="2" cellspacing="0" border="0" style="margin-top:6px;font-size:13px;color:#374151;">
+        ${rows.map(([k, v]) => `<tr><td style="padding-right:12px;">${escape(k)}</td><td>${escape(v)}</td></tr>`).join("")}
+        ${docs.length ? `<tr><td style="padding-right:12px;vertical-align:top;">Payoff statement</td><td>${docs.map((d) => (d.url ? `<a href="${escape(d.url)}">${escape(d.name)}</a>` : `${escape(d.name)} (attached)`)).join("<br>")}</td></tr>` : ""}
+      </table>
+      <div style="margin-top:6px;font-size:12px;color:#6B7280;">Equity = preliminary value minus the customer's payoff estimate — confirm with the lender's payoff letter.</div>
+    </div>
+  `;
+  const text = [
+    `LIEN — ${headline}`,
+    ...rows.map(([k, v]) => `  ${k}: ${v}`),
+    ...docs.map((d) => `  Payoff statement: ${d.url || `${d.name} (attached)`}`),
+  ].join("\n");
+  return { html, text };
+}
+
+/** Factory specs captured from the NHTSA decode (hidden vin* inputs) */
+const SPEC_FIELDS = [
+  ["vinBodyClass", "Body class"],
+  ["vinDriveType", "Drivetrain"],
+  ["vinDisplacementL", "Engine (L)"],
+  ["vinCylinders", "Cylinders"],
+  ["vinFuelType", "Fuel"],
+  ["vinTransmission", "Transmission"],
+  ["vinPlantCountry", "Plant country"],
+];
+
+function specsSection(rawData) {
+  const rows = SPEC_FIELDS
+    .map(([k, label]) => [label, safe(rawData[k])])
+    .filter(([, v]) => v);
+  if (!rows.length) return { html: "", text: "" };
+  const html = `
+    <h3 style="margin:0 0 6px;font-family:system-ui,Segoe UI,Roboto,Helvetica,Arial;font-size:15px;color:#111827;">Factory specs (NHTSA decode)</h3>
+    <table cellpadding="2" cellspacing="0" border="0" style="margin:0 0 16px;font-family:system-ui,Segoe UI,Roboto,Helvetica,Arial;font-size:13px;color:#374151;">
+      ${rows.map(([k, v]) => `<tr><td style="padding-right:12px;">${escape(k)}</td><td>${escape(v)}</td></tr>`).join("")}
+    </table>
+  `;
+  const text = ["Factory specs (NHTSA decode):", ...rows.map(([k, v]) => `  ${k}: ${v}`)].join("\n");
+  return { html, text };
+}
+
+/** "Condition report" — the structured follow-up answers (assets/condition-questions.js), by group */
+function conditionSection(report) {
+  const groups = conditionReportRows(report || {});
+  if (!groups.length) return { html: "", text: "" };
+  const html = `
+    <h3 style="margin:0 0 6px;font-family:system-ui,Segoe UI,Roboto,Helvetica,Arial;font-size:15px;color:#111827;">Condition report</h3>
+    <table cellpadding="2" cellspacing="0" border="0" style="margin:0 0 16px;font-family:system-ui,Segoe UI,Roboto,Helvetica,Arial;font-size:13px;color:#374151;">
+      ${groups.map((g) => `
+        <tr><td colspan="2" style="padding:6px 0 2px;font-weight:700;color:#111827;">${escape(g.group)}</td></tr>
+        ${g.rows.map(([q, a]) => `<tr><td style="padding-right:12px;">${escape(q)}</td><td style="font-weight:600;">${escape(a)}</td></tr>`).join("")}
+      `).join("")}
+    </table>
+  `;
+  const text = [
+    "Condition report:",
+    ...groups.flatMap((g) => [`  ${g.group}`, ...g.rows.map(([q, a]) => `    ${q} ${a}`)]),
+  ].join("\n");
+  return { html, text };
+}
+
+/** "Recalls" block — campaigns NHTSA lists for this year/make/model */
+function recallsSection(recalls) {
+  if (!recalls) return { html: "", text: "" };
+  const h = `<h3 style="margin:0 0 6px;font-family:system-ui,Segoe UI,Roboto,Helvetica,Arial;font-size:15px;color:#111827;">Recalls</h3>`;
+  const note = `<p style="margin:0 0 16px;color:#6B7280;font-size:12px;">Campaigns listed for this year/make/model — confirm open status on the VIN.</p>`;
+
+  if (recalls.error && !recalls.items.length) {
+    return {
+      html: `${h}<p style="margin:0 0 16px;color:#B45309;font-size:13px;">Recall lookup failed (${escape(recalls.error)}) — check manually.</p>`,
+      text: `Recalls: lookup failed (${recalls.error}) — check manually`,
+    };
+  }
+  if (!recalls.items.length) {
+    return {
+      html: `${h}<p style="margin:0 0 16px;color:#374151;font-size:13px;">No recalls listed for this year/make/model.</p>`,
+      text: "Recalls: none listed for this year/make/model",
+    };
+  }
+  const html = `${h}
+    <table cellpadding="4" cellspacing="0" border="0" style="margin:0 0 4px;border-collapse:collapse;font-family:system-ui,Segoe UI,Roboto,Helvetica,Arial;font-size:13px;color:#374151;">
+      ${recalls.items.map((r) => `
+        <tr>
+          <td style="vertical-align:top;padding:4px 10px 4px 0;white-space:nowrap;font-weight:600;color:#111827;">${escape(r.campaign)}</td>
+          <td style="vertical-align:top;padding:4px 0;"><strong>${escape(r.component)}</strong><br>${escape(r.summary)}</td>
+        </tr>
+      `).join("")}
+    </table>
+    ${note}
+  `;
+  const text = [
+    `Recalls (${recalls.items.length}):`,
+    ...recalls.items.map((r) => `  ${r.campaign} – ${r.component}: ${r.summary}`),
+  ].join("\n");
+  return { html, text };
+}
+
+/** Build HTML + text tables (includes all provided fields) */
+function buildEmailBodies(lead, rawData, { estimate = null, equity = null, documents = [], conditionReport = null, recalls = null, gallery = { html: "", text: "" } } = {}) {
+  const preferred = [
+    "name","email","phone","vin","year","make","model","trim","mileage",
+    "extColor","intColor","title","keys","owners","accident","accidentRepair",
+    "warnings","mech","cosmetic","interior","mods","smells","service",
+    "tires","brakes","wear","utmSource","utmMedium","utmCampaign","utmTerm","utmContent",
+    "referrer","landingPage","firstUtmSource","firstUtmMedium","firstUtmCampaign","firstUtmTerm","firstUtmContent",
+    "firstReferrer","firstLandingPage","firstSeenAt","gclid","fbclid","submittedAt","leadId"
+  ];
+
+  const merged = { ...rawData, ...lead }; // preserve normalized
+  const included = new Set([...SPEC_FIELDS.map(([k]) => k), ...LIEN_FIELDS, "photoSlots", "conditionReport"]); // shown in their own sections
+  const rows = [];
+
+  preferred.forEach((k) => {
+    const v = merged[k];
+    if (v !== undefined && v !== null && String(v).trim() !== "") {
+      rows.push([k, String(v)]);
+      included.add(k);
+    }
+  });
+
+  Object.keys(merged)
+    .filter((k) => !included.has(k))
+    .sort()
+    .forEach((k) => {
+      const v = merged[k];
+      if (v !== undefined && v !== null && String(v).trim() !== "") {
+        rows.push([k, String(v)]);
+      }
+    });
+
+  const lien = lienSection(lead, equity, documents);
+  const range = estimateSection(estimate);
+  const specs = specsSection(rawData);
+  const condition = conditionSection(conditionReport);
+  const recallBlock = recallsSection(recalls);
+  const html = `
+    <h2 style="margin:0 0 12px;font-family:system-ui,Segoe UI,Roboto,Helvetica,Arial;">New Trade-In Lead</h2>
+    <p style="margin:0 0 16px;color:#374151;">
+      ${escape([lead.year, lead.make, lead.model].filter(Boolean).join(" "))}${lead.trim ? ` – ${escape(lead.trim)}` : ""}
+    </p>
+    ${lien.html}
+    ${range.html}
+    ${specs.html}
+    ${condition.html}
+    ${recallBlock.html}
+    ${gallery.html}
+    <table cellpadding="6" cellspacing="0" border="0" style="border-collapse:collapse;font-family:system-ui,Segoe UI,Roboto,Helvetica,Arial;font-size:14px;">
+      ${rows.map(([k,v]) => `
+        <tr>
+          <th align="left" style="text-transform:capitalize;vertical-align:top;color:#111827;padding:6px 10px 6px 0;">${escape(k)}</th>
+          <td style="vertical-align:top;color:#111827;padding:6px 0;">${escape(v)}</td>
+        </tr>
+      `).join("")}
+    </table>
+    <p style="margin-top:16px;color:#6B7280;font-size:12px;">Submitted at ${escape(lead.submittedAt)}</p>
+  `;
+  const text = [lien.text, range.text, specs.text, condition.text, recallBlock.text, gallery.text, rows.map(([k,v]) => `${k}: ${v}`).join("\n")].filter(Boolean).join("\n\n");
+  return { html, text };
+}
+
+/** "Updated lead" email: only what changed since the previous submission */
+function buildUpdateEmailBodies(lead, previous, changes, matchedOn, gallery = { html: "", text: "" }) {
+  const show = (v) => (v === "" ? "—" : v);
+  const html = `
+    <h2 style="margin:0 0 12px;font-family:system-ui,Segoe UI,Roboto,Helvetica,Arial;">Updated Trade-In Lead</h2>
+    <p style="margin:0 0 16px;color:#374151;">
+      ${escape(lead.name)} resubmitted ${escape([lead.year, lead.make, lead.model].filter(Boolean).join(" "))}
+      (matched on ${escape(matchedOn.join(", "))}; previous lead ${escape(previous.id)} from ${escape(previous.createdAt)}).
+    </p>
+    ${changes.length ? `
+    <table cellpadding="6" cellspacing="0" border="0" style="border-collapse:collapse;font-family:system-ui,Segoe UI,Roboto,Helvetica,Arial;font-size:14px;">
+      <tr>
+        <th align="left" style="padding:6px 10px 6px 0;color:#111827;">Field</th>
+        <th align="left" style="padding:6px 10px 6px 0;color:#6B7280;">Before</th>
+        <th align="left" style="padding:6px 0;color:#111827;">Now</th>
+      </tr>
+      ${changes.map((c) => `
+        <tr>
+          <th align="left" style="text-transform:capitalize;vertical-align:top;color:#111827;padding:6px 10px 6px 0;">${escape(c.field)}</th>
+          <td style="vertical-align:top;color:#6B7280;padding:6px 10px 6px 0;text-decoration:line-through;">${escape(show(c.before))}</td>
+          <td style="vertical-align:top;color:#111827;padding:6px 0;">${escape(show(c.after))}</td>
+        </tr>
+      `).join("")}
+    </table>` : `<p style="margin:0;color:#374151;">No changes — identical resubmission.</p>`}
+    ${gallery.html ? `<div style="margin-top:16px;">${gallery.html}</div>` : ""}
+    <p style="margin-top:16px;color:#6B7280;font-size:12px;">Submitted at ${escape(lead.submittedAt)}</p>
+  `;
+  const text = [
+    `Updated lead (matched on ${matchedOn.join(", ")}; previous ${previous.id} from ${previous.createdAt})`,
+    "",
+    ...(changes.length
+      ? changes.map((c) => `${c.field}: ${show(c.before)} -> ${show(c.after)}`)
+      : ["No changes — identical resubmission."]),
+    ...(gallery.text ? ["", gallery.text] : []),
+  ].join("\n");
+  return { html, text };
+}
+
+/**
+ * @param {object} p
+ * @param {object} p.lead - normalized lead plus leadId (and botScore when there is one)
+ * @param {object} [p.rawData] - submitted fields
+ * @param {object} [p.estimate] - lib/valuation.js result
+ * @param {object} [p.equity] - estimateEquity() result (title "Lien" with a payoff)
+ * @param {Array<{ filename: string, url?: string }>} [p.documents] - payoff statement uploads
+ * @param {object} [p.conditionReport] - follow-up answers, cleanConditionReport() output
+ * @param {object} [p.recalls] - lib/recalls.js result
+ * @param {{ html: string, text: string }} [p.gallery] - templates/photo-gallery.js block
+ * @param {{ previous: object, changes: Array, matchedOn: string[] }} [p.repeat] - set for a repeat
+ *   submission: the email lists only what changed since `previous`
+ * @returns {{ subject: string, html: string, text: string }}
+ */
+export function renderLeadEmail({
+  lead, rawData = {}, estimate = null, equity = null, documents = [], conditionReport = null, recalls = null, gallery = { html: "", text: "" }, repeat = null,
+}) {
+  const vehicle = [lead.year, lead.make, lead.model].filter(Boolean).join(" ");
+  if (repeat) {
+    const { html, text } = buildUpdateEmailBodies(lead, repeat.previous, repeat.changes, repeat.matchedOn, gallery);
+    return { subject: `Updated Trade-In Lead – ${lead.name} – ${vehicle}`.trim(), html, text };
+  }
+  const { html, text } = buildEmailBodies(lead, rawData, { estimate, equity, documents, conditionReport, recalls, gallery });
+  const flag = equity && (equity.position === "positive" || equity.position === "negative") ? ` – ${equity.position} equity` : "";
+  return { subject: `New Trade-In Lead – ${lead.name} – ${vehicle}${flag}`.trim(), html, text };
+}
@@ -0,0 +1,144 @@
+// netlify/templates/offer.js
+// "Your trade-in offer" email with the link to the offer page, and the staff email sent when the
+// customer accepts, declines or asks a question there (lib/offers.js).
+// Marketing: edit the COPY block below — wording only, no handler logic lives here.
+// {placeholders}: {dealer}, {name}, {vehicle}, {amount}, {expires}, {phone}.
+
+const COPY = {
+  en: {
+    subject: "Your trade-in offer: {amount} – {dealer}",
+    heading: "Your trade-in offer",
+    greeting: "Hi {name},",
+    intro: "Our appraiser reviewed your {vehicle}. Here is our offer:",
+    introNoVehicle: "Our appraiser reviewed your trade-in. Here is our offer:",
+    expires: "Good through {expires}, as long as the vehicle's condition matches your answers.",
+    messageLabel: "A note from your appraiser:",
+    button: "Review my offer",
+    actions: "On the offer page you can accept it, decline it, or ask us a question.",
+    call: "Prefer to talk? Call us at {phone}.",
+  },
+  es: {
+    subject: "Su oferta de intercambio: {amount} – {dealer}",
+    heading: "Su oferta de intercambio",
+    greeting: "Hola {name}:",
+    intro: "Nuestro tasador revisó su {vehicle}. Esta es nuestra oferta:",
+    introNoVehicle: "Nuestro tasador revisó su vehículo. Esta es nuestra oferta:",
+    expires: "Válida hasta el {expires}, siempre que el estado del vehículo coincida con sus respuestas.",
+    messageLabel: "Una nota de su tasador:",
+    button: "Ver mi oferta",
+    actions: "En la página de la oferta puede aceptarla, rechazarla o hacernos una pregunta.",
+    call: "¿Prefiere hablar? Llámenos al {phone}.",
+  },
+  "pt-BR": {
+    subject: "Sua oferta de troca: {amount} – {dealer}",
+    heading: "Sua oferta de troca",
+    greeting: "Olá {name},",
+    intro: "Nosso avaliador analisou seu {vehicle}. Esta é a nossa oferta:",
+    introNoVehicle: "Nosso avaliador analisou seu veículo. Esta é a nossa oferta:",
+    expires: "Válida até {expires}, desde que o estado do veículo corresponda às suas respostas.",
+    messageLabel: "Uma observação do seu avaliador:",
+    button: "Ver minha oferta",
+    actions: "Na página da oferta você pode aceitá-la, recusá-la ou nos fazer uma pergunta.",
+    call: "Prefere conversar? Ligue para {phone}.",
+  },
+};
+
+const esc = (s) =>
+  String(s ?? "").replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+
+const fill = (tpl, vars) => String(tpl).replace(/\{(\w+)\}/g, (_, k) => (vars[k] ?? ""));
+
+export const formatAmount = (n) => `$${Math.round(Number(n)).toLocaleString("en-US")}`;
+
+/** "Friday, October 23" in the customer's language, at the dealership */
+export function formatExpires(iso, lang = "en", timeZone = process.env.DEALER_TZ || "America/New_York") {
+  return new Intl.DateTimeFormat(lang, { timeZone, weekday: "long", month: "long", day: "numeric" }).format(new Date(iso));
+}
+
+/**
+ * Customer offer email.
+ * @param {{ lang?: string, name?: string, vehicle?: string, amount: number, expiresAt: string, message?: string, url: string }} p
+ * @returns {{ subject: string, html: string, text: string }}
+ */
+export function renderOfferEmail({ lang = "en", name = "", vehicle = "", amount, expiresAt, message = "", url }) {
+  const c = COPY[lang] || COPY.en;
+  const vars = {
+    dealer: process.env.DEALER_NAME || "Quirk Volkswagen MA",
+    phone: process.env.DEALER_PHONE || "",
+    name: String(name).split(/\s+/)[0] || "",
+    vehicle,
+    amount: formatAmount(amount),
+    expires: formatExpires(expiresAt, lang),
+  };
+  const t = (s) => fill(s, vars);
+  const intro = t(vehicle ? c.intro : c.introNoVehicle);
+
+  const html = `
+  <div style="max-width:600px;margin:0 auto;font-family:system-ui,Segoe UI,Roboto,Helvetica,Arial;color:#111827;">
+    <div style="background:#002D72;color:#fff;padding:16px 20px;border-radius:8px 8px 0 0;font-size:18px;font-weight:700;">${esc(vars.dealer)}</div>
+    <div style="border:1px solid #e5e7eb;border-top:none;padding:20px;border-radius:0 0 8px 8px;">
+      <h2 style="margin:0 0 8px;color:#004a2f;">${esc(c.heading)}</h2>
+      ${vars.name ? `<p style="margin:0 0 8px;">${esc(t(c.greeting))}</p>` : ""}
+      <p style="margin:0 0 12px;">${esc(intro)}</p>
+      <p style="margin:0 0 8px;font-size:30px;font-weight:700;color:#004a2f;text-align:center;">${esc(vars.amount)}</p>
+      <p style="margin:0 0 16px;font-size:13px;color:#374151;text-align:center;">${esc(t(c.expires))}</p>
+      ${message ? `<p style="margin:0 0 4px;font-weight:600;">${esc(c.messageLabel)}</p>
+      <p style="margin:0 0 16px;white-space:pre-wrap;">${esc(message)}</p>` : ""}
+      <p style="margin:0 0 16px;text-align:center;">
+        <a href="${esc(url)}" style="display:inline-block;background:#002D72;color:#fff;text-decoration:none;font-weight:700;padding:12px 22px;border-radius:8px;">${esc(c.button)}</a>
+      </p>
+      <p style="margin:0 0 8px;font-size:13px;color:#374151;">${esc(c.actions)}</p>
+      ${vars.phone ? `<p style="margin:0;font-size:13px;color:#374151;">${esc(t(c.call))}</p>` : ""}
+    </div>
+  </div>`;
+
+  const text = [
+    c.heading, "",
+    ...(vars.name ? [t(c.greeting)] : []),
+    intro, "", vars.amount, t(c.expires), "",
+    ...(message ? [c.messageLabel, message, ""] : []),
+    `${c.button}: ${url}`, c.actions,
+    ...(vars.phone ? [t(c.call)] : []),
+  ].join("\n");
+  return { subject: t(c.subject), html, text };
+}
+
+const RESPONSE_LABELS = {
+  accept: "accepted the offer",
+  decline: "declined the offer",
+  question: "has a question about the offer",
+};
+
+/**
+ * Staff email (English) for a customer's answer on the offer page.
+ * @param {{ record: object, action: "accept"|"decline"|"question", message?: string, url: string }} p
+ * @returns {{ subject: string, html: string, text: string }}
+ */
+export function renderOfferResponse({ record, action, message = "", url }) {
+  const lead = record.lead || {};
+  const offer = record.offer || {};
+  const who = lead.name || lead.email || lead.phone || "Customer";
+  const vehicle = [lead.year, lead.make, lead.model].filter(Boolean).join(" ");
+  const headline = `${who} ${RESPONSE_LABELS[action]}`;
+  const facts = [
+    ["Lead", record.id],
+    ["Vehicle", vehicle],
+    ["Offer", offer.amount ? formatAmount(offer.amount) : ""],
+    ["Expires", offer.expiresAt ? formatExpires(offer.expiresAt) : ""],
+    ["Phone", lead.phone],
+    ["Email", lead.email],
+  ].filter(([, v]) => v);
+
+  const html = `
+  <div style="font-family:system-ui,Segoe UI,Roboto,Helvetica,Arial;color:#111827;">
+    <h2 style="margin:0 0 10px;color:#004a2f;">${esc(headline)}</h2>
+    <table style="border-collapse:collapse;margin:0 0 12px;">
+      ${facts.map(([k, v]) => `<tr><td style="padding:2px 12px 2px 0;font-weight:600;">${esc(k)}</td><td>${esc(v)}</td></tr>`).join("")}
+    </table>
+    ${message ? `<blockquote style="margin:0 0 12px;white-space:pre-wrap;">${esc(message)}</blockquote>` : ""}
+    <p style="margin:0;"><a href="${esc(url)}">Open lead ${esc(record.id)}</a></p>
+  </div>`;
+
+  const text = [headline, "", ...facts.map(([k, v]) => `${k}: ${v}`), "", ...(message ? [message, ""] : []), `Lead: ${url}`].join("\n");
+  return { subject: `${headline}${vehicle ? ` – ${vehicle}` : ""} (${record.id})`, html, text };
+}
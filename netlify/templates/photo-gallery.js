@@ -0,0 +1,56 @@
+// netlify/templates/photo-gallery.js
+// Staff email "Photos" block: thumbnails grouped by category, each linking to the full image.
+// Guided-capture shots carry a `label` (e.g. "Odometer") and damage shots a customer `note`.
+// Expects photo metadata with signed `url` / `thumbUrl` (see withPhotoLinks in lib/photo-store.js).
+
+const LABELS = {
+  photoExterior: "Exterior",
+  photoInterior: "Interior",
+  photoDash: "Dashboard / odometer",
+  photoDamage: "Damage",
+};
+
+const esc = (s) =>
+  String(s).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+
+/**
+ * @param {Array<{ field: string, filename: string, url?: string, thumbUrl?: string, label?: string, note?: string }>} photos
+ * @param {{ expiresDays?: number, missing?: string[], rejected?: Array<{ filename: string, reason: string }> }} [opts]
+ *   "links expire in N days"; required shots not provided; uploads the server refused (lib/uploads.js)
+ * @returns {{ html: string, text: string }} empty strings when there's nothing linkable or refused
+ */
+export function renderPhotoGallery(photos = [], { expiresDays, missing = [], rejected = [] } = {}) {
+  const linked = photos.filter((p) => p.url);
+  const refused = rejected.map((r) => (r.filename ? `${r.filename} (${r.reason})` : r.reason));
+  if (!linked.length && !refused.length) return { html: "", text: "" };
+
+  const groups = [];
+  for (const p of linked) {
+    let g = groups.find((x) => x.field === p.field);
+    if (!g) groups.push((g = { field: p.field, label: LABELS[p.field] || p.field, items: [] }));
+    g.items.push(p);
+  }
+
+  const note = expiresDays && linked.length ? `Links expire in ${expiresDays} days — the lead inbox always has fresh ones.` : "";
+  const html = `
+    <h3 style="margin:0 0 6px;font-family:system-ui,Segoe UI,Roboto,Helvetica,Arial;font-size:15px;color:#111827;">Photos (${linked.length})</h3>
+    ${groups.map((g) => `
+      <p style="margin:8px 0 4px;font-family:system-ui,Segoe UI,Roboto,Helvetica,Arial;font-size:13px;font-weight:600;color:#374151;">${esc(g.label)}</p>
+      <div style="margin:0 0 8px;">
+        ${g.items.map((p) => `<a href="${esc(p.url)}" style="display:inline-block;vertical-align:top;width:120px;margin:0 6px 6px 0;text-decoration:none;color:#374151;"><img src="${esc(p.thumbUrl || p.url)}" alt="${esc(p.label || p.filename)}" width="120" style="width:120px;height:90px;object-fit:cover;border:1px solid #e5e7eb;border-radius:6px;display:block;">${p.label ? `<span style="display:block;font-family:system-ui,Segoe UI,Roboto,Helvetica,Arial;font-size:11px;font-weight:600;margin-top:2px;">${esc(p.label)}</span>` : ""}${p.note ? `<span style="display:block;font-family:system-ui,Segoe UI,Roboto,Helvetica,Arial;font-size:11px;">${esc(p.note)}</span>` : ""}</a>`).join("")}
+      </div>
+    `).join("")}
+    ${missing.length ? `<p style="margin:0 0 6px;color:#B45309;font-size:13px;">Not provided: ${esc(missing.join(", "))}</p>` : ""}
+    ${refused.length ? `<p style="margin:0 0 6px;color:#B45309;font-size:13px;">Not accepted: ${esc(refused.join(", "))}</p>` : ""}
+    ${note ? `<p style="margin:0 0 16px;color:#6B7280;font-size:12px;">${esc(note)}</p>` : ""}
+  `;
+  const text = [
+    `Photos (${linked.length}):`,
+    ...groups.flatMap((g) => [`  ${g.label}:`, ...g.items.map((p) =>
+      `    ${p.label ? `${p.label}${p.note ? ` (${p.note})` : ""}: ` : ""}${p.url}`)]),
+    ...(missing.length ? [`Not provided: ${missing.join(", ")}`] : []),
+    ...(refused.length ? [`Not accepted: ${refused.join(", ")}`] : []),
+    ...(note ? [note] : []),
+  ].join("\n");
+  return { html, text };
+}
@@ -0,0 +1,71 @@
+// netlify/templates/resume-link.js
+// "Finish your trade-in later" email with the resume link.
+// Marketing: edit the COPY block below — wording only, no handler logic lives here.
+// {placeholders}: {dealer}, {days}, {vehicle}.
+
+const COPY = {
+  en: {
+    subject: "Finish your trade-in appraisal – {dealer}",
+    heading: "Pick up where you left off",
+    intro: "We saved your answers{vehicleSuffix}. Tap the button to finish your trade-in appraisal on any device.",
+    vehicleSuffix: " for your {vehicle}",
+    button: "Finish my appraisal",
+    expires: "This link works for {days} days. Photos aren't saved — you'll add them when you finish.",
+    ignore: "Didn't ask for this? You can ignore this email.",
+  },
+  es: {
+    subject: "Termine su tasación de intercambio – {dealer}",
+    heading: "Continúe donde se quedó",
+    intro: "Guardamos sus respuestas{vehicleSuffix}. Toque el botón para terminar su tasación en cualquier dispositivo.",
+    vehicleSuffix: " de su {vehicle}",
+    button: "Terminar mi tasación",
+    expires: "Este enlace funciona durante {days} días. Las fotos no se guardan — las agregará al terminar.",
+    ignore: "¿No lo solicitó? Puede ignorar este correo.",
+  },
+  "pt-BR": {
+    subject: "Termine sua avaliação de troca – {dealer}",
+    heading: "Continue de onde parou",
+    intro: "Salvamos suas respostas{vehicleSuffix}. Toque no botão para terminar sua avaliação em qualquer dispositivo.",
+    vehicleSuffix: " do seu {vehicle}",
+    button: "Terminar minha avaliação",
+    expires: "Este link funciona por {days} dias. As fotos não são salvas — você as adiciona ao terminar.",
+    ignore: "Não pediu isto? Pode ignorar este e-mail.",
+  },
+};
+
+const esc = (s) =>
+  String(s ?? "").replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+
+const fill = (tpl, vars) => String(tpl).replace(/\{(\w+)\}/g, (_, k) => (vars[k] ?? ""));
+
+/**
+ * @param {{ lang?: "en"|"es"|"pt-BR", url: string, days: number, vehicle?: string }} p
+ * @returns {{ subject: string, html: string, text: string }}
+ */
+export function renderResumeLink({ lang = "en", url, days, vehicle = "" }) {
+  const c = COPY[lang] || COPY.en;
+  const vars = {
+    dealer: process.env.DEALER_NAME || "Quirk Volkswagen MA",
+    days,
+    vehicle,
+  };
+  vars.vehicleSuffix = vehicle ? fill(c.vehicleSuffix, vars) : "";
+  const t = (s) => fill(s, vars);
+
+  const html = `
+  <div style="max-width:600px;margin:0 auto;font-family:system-ui,Segoe UI,Roboto,Helvetica,Arial;color:#111827;">
+    <div style="background:#002D72;color:#fff;padding:16px 20px;border-radius:8px 8px 0 0;font-size:18px;font-weight:700;">${esc(vars.dealer)}</div>
+    <div style="border:1px solid #e5e7eb;border-top:none;padding:20px;border-radius:0 0 8px 8px;">
+      <h2 style="margin:0 0 8px;color:#004a2f;">${esc(t(c.heading))}</h2>
+      <p style="margin:0 0 20px;">${esc(t(c.intro))}</p>
+      <p style="margin:0 0 20px;text-align:center;">
+        <a href="${esc(url)}" style="display:inline-block;background:#002D72;color:#fff;text-decoration:none;font-weight:700;padding:12px 22px;border-radius:8px;">${esc(c.button)}</a>
+      </p>
+      <p style="margin:0 0 8px;font-size:13px;color:#374151;">${esc(t(c.expires))}</p>
+      <p style="margin:0;font-size:12px;color:#6B7280;">${esc(c.ignore)}</p>
+    </div>
+  </div>`;
+
+  const text = [t(c.heading), "", t(c.intro), "", `${c.button}: ${url}`, "", t(c.expires), c.ignore].join("\n");
+  return { subject: t(c.subject), html, text };
+}
@@ -0,0 +1,79 @@
+// netlify/templates/sms.js
+// Text messages: staff "new lead" summary, customer "we got your trade-in" text and the
+// STOP / START / HELP auto-replies (lib/sms.js).
+// Marketing: edit the COPY block below — wording only, no handler logic lives here.
+// {placeholders}: {dealer}, {phone}, {ref}, {name}.
+// `consent` is the opt-in wording shown next to the form's checkbox (smsConsentLabel in
+// assets/locales/*.js) — keep the two in sync; it's saved on the lead as the consent record.
+
+const COPY = {
+  en: {
+    consent: "Text me about my trade-in at this number. {dealer} may send automated texts about this request. Consent is not a condition of purchase. Msg & data rates may apply; msg frequency varies. Reply HELP for help, STOP to cancel.",
+    received: "{dealer}: Hi {name}, we got your trade-in (Ref {ref}). An appraiser will be in touch soon. Msg & data rates may apply. Reply HELP for help, STOP to opt out.",
+    receivedNoRef: "{dealer}: Hi {name}, we got your trade-in. An appraiser will be in touch soon. Msg & data rates may apply. Reply HELP for help, STOP to opt out.",
+    stopped: "{dealer}: You're unsubscribed and won't get more texts from us. Reply START to resubscribe.",
+    started: "{dealer}: You're subscribed to texts about your trade-in again. Reply HELP for help, STOP to opt out.",
+    help: "{dealer} trade-in texts. Questions? Call {phone} or just reply here. Msg & data rates may apply. Reply STOP to opt out.",
+    helpNoPhone: "{dealer} trade-in texts. Questions? Just reply here. Msg & data rates may apply. Reply STOP to opt out.",
+  },
+  es: {
+    consent: "Envíenme mensajes de texto sobre mi vehículo a este número. {dealer} puede enviar mensajes automáticos sobre esta solicitud. El consentimiento no es condición de compra. Pueden aplicarse tarifas de mensajes y datos; la frecuencia varía. Responda HELP para ayuda, STOP para cancelar.",
+    received: "{dealer}: Hola {name}, recibimos su vehículo a intercambio (Ref {ref}). Un tasador se comunicará pronto. Pueden aplicarse tarifas. Responda HELP para ayuda, STOP para cancelar.",
+    receivedNoRef: "{dealer}: Hola {name}, recibimos su vehículo a intercambio. Un tasador se comunicará pronto. Pueden aplicarse tarifas. Responda HELP para ayuda, STOP para cancelar.",
+    stopped: "{dealer}: Se canceló su suscripción y no recibirá más mensajes. Responda START para volver a suscribirse.",
+    started: "{dealer}: Volverá a recibir mensajes sobre su vehículo. Responda HELP para ayuda, STOP para cancelar.",
+    help: "Mensajes de {dealer} sobre su intercambio. ¿Preguntas? Llame al {phone} o responda aquí. Pueden aplicarse tarifas. Responda STOP para cancelar.",
+    helpNoPhone: "Mensajes de {dealer} sobre su intercambio. ¿Preguntas? Responda aquí. Pueden aplicarse tarifas. Responda STOP para cancelar.",
+  },
+  "pt-BR": {
+    consent: "Quero receber mensagens de texto sobre minha troca neste número. A {dealer} pode enviar mensagens automáticas sobre esta solicitação. O consentimento não é condição de compra. Podem ser cobradas tarifas de mensagens e dados; a frequência varia. Responda HELP para ajuda, STOP para cancelar.",
+    received: "{dealer}: Olá {name}, recebemos sua troca (Ref {ref}). Um avaliador entrará em contato em breve. Podem ser cobradas tarifas. Responda HELP para ajuda, STOP para cancelar.",
+    receivedNoRef: "{dealer}: Olá {name}, recebemos sua troca. Um avaliador entrará em contato em breve. Podem ser cobradas tarifas. Responda HELP para ajuda, STOP para cancelar.",
+    stopped: "{dealer}: Sua inscrição foi cancelada e você não receberá mais mensagens. Responda START para voltar a receber.",
+    started: "{dealer}: Você voltará a receber mensagens sobre sua troca. Responda HELP para ajuda, STOP para cancelar.",
+    help: "Mensagens da {dealer} sobre sua troca. Dúvidas? Ligue para {phone} ou responda aqui. Podem ser cobradas tarifas. Responda STOP para cancelar.",
+    helpNoPhone: "Mensagens da {dealer} sobre sua troca. Dúvidas? Responda aqui. Podem ser cobradas tarifas. Responda STOP para cancelar.",
+  },
+};
+
+const fill = (tpl, vars) => String(tpl).replace(/\{(\w+)\}/g, (_, k) => (vars[k] ?? ""));
+
+const dealerVars = () => ({
+  dealer: process.env.DEALER_NAME || "Quirk Volkswagen MA",
+  phone: process.env.DEALER_PHONE || "",
+});
+
+/**
+ * One customer-facing text.
+ * @param {"consent"|"received"|"stopped"|"started"|"help"} kind
+ * @param {{ lang?: string, name?: string, ref?: string }} [vars]
+ * @returns {string}
+ */
+export function renderCustomerSms(kind, { lang = "en", name = "", ref = "" } = {}) {
+  const c = COPY[lang] || COPY.en;
+  const vars = { ...dealerVars(), name: String(name).split(/\s+/)[0] || "", ref };
+  if (kind === "received" && !ref) return fill(c.receivedNoRef, vars);
+  if (kind === "help" && !vars.phone) return fill(c.helpNoPhone, vars);
+  return fill(c[kind], vars);
+}
+
+const usd = (n) => `$${Math.round(n).toLocaleString("en-US")}`;
+const phoneFmt = (d) => (/^\d{10}$/.test(d) ? `(${d.slice(0, 3)}) ${d.slice(3, 6)}-${d.slice(6)}` : d);
+
+/**
+ * Staff summary text (English): who, what, the preliminary range and a link to the lead.
+ * @param {{ lead: object, leadId: string, url: string, estimate?: object, repeat?: boolean }} p
+ * @returns {string}
+ */
+export function renderStaffSms({ lead, leadId, url, estimate = null, repeat = false }) {
+  const vehicle = [lead.year, lead.make, lead.model].filter(Boolean).join(" ");
+  const parts = [
+    `${repeat ? "Updated" : "New"} trade-in lead${leadId ? ` ${leadId}` : ""}:`,
+    [lead.name, phoneFmt(lead.phone || "")].filter(Boolean).join(" "),
+    "–",
+    [vehicle, lead.mileage ? `${Number(lead.mileage).toLocaleString("en-US")} mi` : ""].filter(Boolean).join(", "),
+  ];
+  if (estimate) parts.push(`(est. ${usd(estimate.low)}–${usd(estimate.high)})`);
+  if (lead.lang && lead.lang !== "en") parts.push(`[${lead.lang}]`);
+  return `${parts.filter(Boolean).join(" ")}${url ? ` ${url}` : ""}`;
+}
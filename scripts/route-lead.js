@@ -0,0 +1,30 @@
+// scripts/route-lead.js
+// Offline check of netlify/config/routing.js: who would get a lead like this?
+//   npm run route -- --lang es --make Honda --title Salvage --salesConsultant "Steve" --at 2026-10-18T23:30:00Z
+//   npm run route -- lead.json          (a stored lead record or plain form fields)
+// Prints { to, rules, unstaffed?, samples?, consultant } — "unstaffed" rules matched but nobody in `staff` has the role/language.
+// Sample directory entries count as staff here and are listed under "samples" (live leads skip them).
+// TO_EMAIL / DEALER_TZ are read from the environment as in production.
+import { readFileSync } from "node:fs";
+import { routeLead } from "../netlify/lib/routing.js";
+
+const args = process.argv.slice(2);
+let fields = {};
+let at;
+for (let i = 0; i < args.length; i++) {
+  const m = /^--(.+)$/.exec(args[i]);
+  if (!m) {
+    const rec = JSON.parse(readFileSync(args[i], "utf8"));
+    fields = { ...fields, ...(rec.fields || {}), ...(rec.lead || rec) };
+  } else if (m[1] === "at") {
+    at = new Date(args[++i]);
+  } else {
+    fields[m[1]] = args[++i] ?? "";
+  }
+}
+if (at && Number.isNaN(at.getTime())) {
+  console.error("--at must be a date/time, e.g. 2026-10-18T23:30:00Z");
+  process.exit(1);
+}
+
+console.log(JSON.stringify(routeLead(fields, fields, { now: at, samples: true }), null, 2));